@@ -6,11 +6,22 @@ import formRoutes from './routes/form.route.js';
 import templateRoutes from './routes/template.route.js'; //Import template routes
 import galleryRoutes from './routes/gallery.route.js'; // Import gallery routes
 import emailLogRoutes from './routes/emailLog.route.js'; // Import email log routes
+import adminRoutes from './routes/admin.route.js'; // Import admin management routes
+import auditRoutes from './routes/audit.route.js'; // Import audit log routes
+import formDefinitionRoutes from './routes/formDefinition.route.js'; // Import form definition routes
+import contactRoutes from './routes/contact.route.js'; // Import contact routes
+import quarantineRoutes from './routes/quarantine.route.js'; // Import spam quarantine routes
+import emailLayoutRoutes from './routes/emailLayout.route.js'; // Import email layout routes
+import { routeGuard } from './middlewares/routeGuard.middleware.js'; // Import the global route guard
+import { parseTrustProxy } from './utils/requestIp.js';
 
 
 
 const app = express();
 
+// Proxies allowed to set the client IP through X-Forwarded-For (req.ip, used by rate limits and logs)
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Detect environment (default to development)
 const environment = process.env.NODE_ENV || 'development';
 const corsOriginEnv = process.env.CORS_ORIGIN;
@@ -52,12 +63,21 @@ app.use(cors(corsOptions));
 app.use(cookieParser());
 app.use(express.json({ limit: '50mb' }));
 
+// Protect every API route by default; only routes listed in PUBLIC_ROUTES (src/constants.js) stay open
+app.use('/api', routeGuard);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/form', formRoutes);
 app.use('/api/templates', templateRoutes); // Use template routes
 app.use('/api/gallery', galleryRoutes); // Use gallery routes
 app.use('/api/email-logs', emailLogRoutes); // Use email log routes
+app.use('/api/admins', adminRoutes); // Use admin management routes
+app.use('/api/audit-logs', auditRoutes); // Use audit log routes
+app.use('/api/form-definitions', formDefinitionRoutes); // Use form definition routes
+app.use('/api/contacts', contactRoutes); // Use contact routes
+app.use('/api/quarantine', quarantineRoutes); // Use spam quarantine routes
+app.use('/api/email-layouts', emailLayoutRoutes); // Use email layout and partial routes
 
 
 // Root route for server status
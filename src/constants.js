@@ -0,0 +1,177 @@
+// src/constants.js
+
+/**
+ * Explicit map of API routes that can be reached without an admin session.
+ * Every other route mounted under `/api` is protected by `routeGuard` by default,
+ * so a newly added route has to be listed here on purpose to become public.
+ * Paths are full paths (including the `/api` prefix) and may contain `:param` segments.
+ */
+export const PUBLIC_ROUTES = [
+  // Admin login flow
+  { method: 'POST', path: '/api/auth/request-otp' },
+  { method: 'POST', path: '/api/auth/verify-otp' },
+  { method: 'POST', path: '/api/auth/verify-totp' }, // Authenticator app login (alternative to the email OTP)
+  { method: 'POST', path: '/api/auth/logout' },
+  { method: 'POST', path: '/api/auth/refresh' }, // Authenticated by the refresh token cookie instead
+
+  // Public website form submissions
+  { method: 'POST', path: '/api/form/submit' },
+  { method: 'POST', path: '/api/form/submit-sample-pdf' },
+  { method: 'POST', path: '/api/form/:formKey/submit' }, // Forms configured via /api/form-definitions
+];
+
+/**
+ * Roles an admin account can hold, from most to least privileged.
+ */
+export const ADMIN_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Permissions granted to each admin role.
+ * - viewer: read-only access to form submissions, form definitions and email logs.
+ * - editor: viewer access plus following up on submissions (status, assignee, notes), managing form definitions,
+ *   templates and gallery media and sending emails.
+ * - owner: editor access plus deleting email logs, retrying failed emails, managing admins and reading the audit trail.
+ */
+const VIEWER_PERMISSIONS = ['submissions:read', 'forms:read', 'emailLogs:read'];
+const EDITOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'submissions:manage',
+  'forms:manage',
+  'templates:read',
+  'templates:manage',
+  'gallery:read',
+  'gallery:manage',
+  'emails:send',
+];
+const OWNER_PERMISSIONS = [
+  ...EDITOR_PERMISSIONS,
+  'emailLogs:delete',
+  'emailLogs:retry',
+  'admins:manage',
+  'auditLogs:read',
+];
+
+export const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  owner: OWNER_PERMISSIONS,
+};
+
+/**
+ * Login OTP brute-force and abuse protection settings.
+ * Per-email counters and lockouts are recorded on the Admin document,
+ * per-IP counters are kept in the RateLimit collection.
+ */
+export const OTP_SECURITY = {
+  OTP_TTL_MS: 5 * 60 * 1000,                // An issued OTP is valid for 5 minutes
+  RESEND_COOLDOWN_MS: 60 * 1000,            // Minimum delay between two OTP requests for the same email
+  MAX_REQUESTS_PER_WINDOW: 5,               // OTP requests allowed per email within REQUEST_WINDOW_MS
+  REQUEST_WINDOW_MS: 60 * 60 * 1000,        // 1 hour
+  MAX_VERIFY_ATTEMPTS: 5,                   // Wrong guesses allowed per issued OTP before it is invalidated
+  LOCKOUT_MS: 15 * 60 * 1000,               // Lockout applied after MAX_VERIFY_ATTEMPTS wrong guesses
+  IP_REQUEST_LIMIT: { windowMs: 15 * 60 * 1000, max: 10 }, // OTP requests per IP
+  IP_VERIFY_LIMIT: { windowMs: 15 * 60 * 1000, max: 20 },  // OTP verification attempts per IP
+};
+
+/**
+ * Admin login session settings.
+ * Each login gets a short-lived access token (JWT in 'admin_token') and a rotating refresh token
+ * (in 'admin_refresh_token'). Using the refresh token slides the session's idle expiry forward,
+ * up to SESSION_MAX_LIFETIME_MS after the login.
+ */
+export const SESSION_SETTINGS = {
+  ACCESS_TOKEN_TTL_MS: 15 * 60 * 1000,              // Access tokens (JWTs) expire after 15 minutes
+  SESSION_IDLE_TTL_MS: 7 * 24 * 60 * 60 * 1000,     // A session ends after 7 days without a refresh
+  SESSION_MAX_LIFETIME_MS: 30 * 24 * 60 * 60 * 1000, // A session ends 30 days after login regardless of activity
+  REFRESH_REUSE_GRACE_MS: 10 * 1000,                // The previous refresh token stays valid this long after rotation (parallel tabs)
+  LAST_SEEN_UPDATE_INTERVAL_MS: 60 * 1000,          // Throttle for updating a session's lastSeenAt
+  IP_REFRESH_LIMIT: { windowMs: 15 * 60 * 1000, max: 60 }, // Refresh attempts per IP
+};
+
+/**
+ * Authenticator app (TOTP, RFC 6238) second factor settings.
+ * Admins can enroll an authenticator app and log in with POST /api/auth/verify-totp
+ * instead of waiting for an email OTP. Wrong codes count towards the same lockout as email OTPs.
+ */
+export const TOTP_SETTINGS = {
+  DEFAULT_ISSUER: 'Admin App',              // Name shown in the authenticator app unless TOTP_ISSUER is set
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  WINDOW_STEPS: 1,                          // Accept codes one step before/after the current one (clock drift)
+  SETUP_TTL_MS: 10 * 60 * 1000,             // A started enrollment must be activated within 10 minutes
+  RECOVERY_CODE_COUNT: 10,                  // One-time recovery codes issued on activation
+  IP_VERIFY_LIMIT: { windowMs: 15 * 60 * 1000, max: 20 },  // TOTP login attempts per IP
+};
+
+/**
+ * Duplicate submission detection.
+ * A submission by a contact (see src/models/Contact.model.js) who already submitted the same form
+ * within the dedupe window is saved but flagged with `isDuplicate` and `duplicateOf`.
+ * The window can be overridden with SUBMISSION_DEDUPE_WINDOW_MINUTES (0 disables flagging).
+ */
+export const SUBMISSION_DEDUPE = {
+  DEFAULT_WINDOW_MS: 24 * 60 * 60 * 1000,   // 24 hours
+};
+
+/**
+ * Spam protection for the public form submission routes.
+ * Honeypot hits, failed CAPTCHA checks and disposable email domains are stored in the
+ * QuarantinedSubmission collection for review instead of being saved as submissions.
+ * CAPTCHA verification is configured with CAPTCHA_PROVIDER / CAPTCHA_SECRET_KEY (see src/utils/captcha.js).
+ */
+export const SPAM_PROTECTION = {
+  HONEYPOT_FIELD: 'fax_number',             // Hidden form field real users leave empty
+  CAPTCHA_TOKEN_FIELD: 'captchaToken',      // Body field carrying the CAPTCHA token (provider-specific names also work)
+  CAPTCHA_TIMEOUT_MS: 5000,                 // Timeout of the provider's verification request
+  IP_SUBMIT_LIMIT: { windowMs: 10 * 60 * 1000, max: 10 }, // Public form submissions per IP
+  QUARANTINE_RETENTION_MS: 30 * 24 * 60 * 60 * 1000,      // Quarantined entries are deleted after 30 days
+  QUARANTINE_UPLOADS_DIR: 'uploads/quarantine',           // Uploads of quarantined entries, kept until review or retention end
+  QUARANTINE_CLEANUP_INTERVAL_MS: 24 * 60 * 60 * 1000,    // How often uploads of expired entries are deleted
+};
+
+/**
+ * Idempotency-Key support on routes that send emails (see src/middlewares/idempotency.middleware.js).
+ */
+export const IDEMPOTENCY = {
+  TTL_MS: 24 * 60 * 60 * 1000,              // Responses are replayed to retries for 24 hours
+  LOCK_TIMEOUT_MS: 5 * 60 * 1000,           // An unfinished attempt older than this may be taken over by a retry
+  RETRY_AFTER_MS: 2 * 1000,                 // Retry-After suggested while the first attempt is still running
+  MAX_KEY_LENGTH: 255,
+};
+
+/**
+ * Email delivery queue (src/utils/emailQueue.js, worker in src/workers/emailWorker.js).
+ * `sendEmail` only stores the EmailLog and a job; the worker sends it. The worker runs inside the API
+ * process unless EMAIL_WORKER_MODE=external, in which case it is started with `npm run worker`.
+ */
+export const EMAIL_QUEUE = {
+  CONCURRENCY: 5,                           // Emails sent in parallel per worker (EMAIL_WORKER_CONCURRENCY overrides)
+  POLL_INTERVAL_MS: 2000,                   // How often an idle worker looks for due jobs
+  MAX_ATTEMPTS: 5,                          // Attempts before a job is dead-lettered
+  BASE_BACKOFF_MS: 30 * 1000,               // Delay before the first retry; doubles with each attempt
+  MAX_BACKOFF_MS: 60 * 60 * 1000,           // Upper bound of the retry delay
+  LOCK_TIMEOUT_MS: 5 * 60 * 1000,           // A job claimed longer ago than this is considered abandoned and reclaimed
+  STALE_PENDING_MS: 10 * 60 * 1000,         // Pending email logs without a job older than this are recovered on worker start
+  RECOVERY_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000, // ...unless older than this: those are marked Failed instead of being sent late
+  COMPLETED_RETENTION_MS: 7 * 24 * 60 * 60 * 1000, // Finished jobs are deleted after 7 days (the EmailLog is kept)
+  SHUTDOWN_TIMEOUT_MS: 30 * 1000,           // How long stopping the worker waits for in-flight sends
+};
+
+/**
+ * Scheduled email sending (`sendAt` on template and thank-you sends, see src/utils/emailSchedule.js).
+ * Scheduled emails are queued with a delayed run time and can be listed, cancelled or rescheduled until they are sent.
+ */
+export const EMAIL_SCHEDULING = {
+  RECIPIENT_TIMEZONE: 'recipient',          // sendAtTimezone value meaning "each recipient's local time" (submission geo_timezone)
+  MAX_AHEAD_MS: 365 * 24 * 60 * 60 * 1000,  // Emails can be scheduled at most one year ahead
+};
+
+/**
+ * Outgoing email content (src/utils/emailContent.js).
+ * `sendEmail` sanitizes the HTML, inlines its CSS and adds a plain-text part; messages above these
+ * sizes are still sent, with a warning in the server log and on the EmailLog.
+ */
+export const EMAIL_CONTENT = {
+  MAX_HTML_BYTES: 100 * 1024,               // Gmail clips HTML bodies larger than ~102 KB
+  MAX_MESSAGE_BYTES: 20 * 1024 * 1024,      // Estimated encoded size (HTML, text and known attachment sizes); common SMTP limits are 20-25 MB
+};
@@ -0,0 +1,421 @@
+// src/controllers/admin.controller.js
+import { Admin } from '../models/Admin.model.js';
+import { ADMIN_ROLES } from '../constants.js';
+import { revokeSessions } from '../utils/session.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Fields that must never leave the server when returning admin documents
+const HIDDEN_ADMIN_FIELDS = '-otpExpiresAt -totpLastUsedStep -totpPendingCreatedAt';
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalizes an `otpRecipients` value from the request body into an array of lowercase emails.
+ * Accepts an array, a JSON array string, or a comma-separated string.
+ * @param {string|string[]} value - Raw value from the request body.
+ * @returns {string[]}
+ */
+const parseOtpRecipients = (value) => {
+  if (!value) return [];
+  let recipients = value;
+  if (typeof value === 'string') {
+    try {
+      recipients = JSON.parse(value);
+    } catch (e) {
+      recipients = value.split(',');
+    }
+  }
+  if (!Array.isArray(recipients)) return [];
+  return recipients.map(email => String(email).trim().toLowerCase()).filter(email => email);
+};
+
+/**
+ * Controller function to list admin accounts.
+ * GET /api/admins
+ * Optional query: ?active=true|false
+ */
+export const getAllAdmins = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.active = { $ne: false };
+    if (req.query.active === 'false') filter.active = false;
+
+    const admins = await Admin.find(filter).select(HIDDEN_ADMIN_FIELDS).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Admins fetched successfully!",
+      adminCount: admins.length,
+      data: admins,
+    });
+  } catch (error) {
+    console.error("Error fetching admins:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred while fetching admins." }],
+      message: "Internal server error."
+    });
+  }
+};
+
+/**
+ * Controller function to invite (create) a new admin account.
+ * POST /api/admins
+ * Expected body: { email, role (optional, defaults to 'editor'), otpRecipients (optional) }
+ */
+export const inviteAdmin = async (req, res) => {
+  try {
+    const { email, role } = req.body || {};
+    const otpRecipients = parseOtpRecipients(req.body?.otpRecipients);
+
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "A valid email address is required." }],
+        message: "Validation error."
+      });
+    }
+
+    if (role && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: `Invalid role. Allowed roles: ${ADMIN_ROLES.join(', ')}.` }],
+        message: "Validation error."
+      });
+    }
+
+    const invalidRecipients = otpRecipients.filter(recipient => !emailRegex.test(recipient));
+    if (invalidRecipients.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: `Invalid OTP recipient email(s): ${invalidRecipients.join(', ')}.` }],
+        message: "Validation error."
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingAdmin = await Admin.findOne({ email: normalizedEmail });
+    if (existingAdmin) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{
+          message: existingAdmin.active === false
+            ? `Admin '${normalizedEmail}' already exists but is deactivated. Reactivate the account instead.`
+            : `Admin '${normalizedEmail}' already exists.`
+        }],
+        message: "Duplicate admin."
+      });
+    }
+
+    const newAdmin = new Admin({
+      email: normalizedEmail,
+      role: role || 'editor',
+      otpRecipients,
+      invitedBy: req.admin.adminId,
+    });
+    await newAdmin.save();
+
+    const savedAdmin = await Admin.findById(newAdmin._id).select(HIDDEN_ADMIN_FIELDS);
+
+    await recordAudit(req, { action: 'admin.invite', targetType: 'Admin', targetId: newAdmin._id, after: savedAdmin });
+
+    res.status(201).json({
+      statusCode: 201,
+      success: true,
+      message: `Admin '${normalizedEmail}' invited successfully! They can now log in with an OTP.`,
+      data: savedAdmin,
+    });
+  } catch (error) {
+    console.error("Error inviting admin:", error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map(key => ({ message: error.errors[key].message }));
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: errors,
+        message: "Validation failed for one or more fields."
+      });
+    }
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred while inviting the admin." }],
+      message: "Internal server error."
+    });
+  }
+};
+
+/**
+ * Controller function to update an admin's role or OTP delivery recipients.
+ * PATCH /api/admins/:id
+ * Expected body: { role (optional), otpRecipients (optional, empty to deliver OTPs to the admin's own email) }
+ */
+export const updateAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+    const hasOtpRecipients = req.body && Object.prototype.hasOwnProperty.call(req.body, 'otpRecipients');
+
+    if (!role && !hasOtpRecipients) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "Provide 'role' and/or 'otpRecipients' to update." }],
+        message: "No data to update."
+      });
+    }
+
+    if (role && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: `Invalid role. Allowed roles: ${ADMIN_ROLES.join(', ')}.` }],
+        message: "Validation error."
+      });
+    }
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Admin not found." }],
+        message: "Not Found."
+      });
+    }
+    const adminBefore = admin.toObject();
+
+    // Never leave the system without an active owner
+    if (role && role !== 'owner' && admin.role === 'owner' && admin.active !== false) {
+      const otherOwners = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'owner', active: { $ne: false } });
+      if (otherOwners === 0) {
+        return res.status(409).json({
+          statusCode: 409,
+          success: false,
+          errors: [{ message: "Cannot change the role of the last active owner." }],
+          message: "Conflict."
+        });
+      }
+    }
+
+    if (hasOtpRecipients) {
+      const otpRecipients = parseOtpRecipients(req.body.otpRecipients);
+      const invalidRecipients = otpRecipients.filter(recipient => !emailRegex.test(recipient));
+      if (invalidRecipients.length > 0) {
+        return res.status(400).json({
+          statusCode: 400,
+          success: false,
+          errors: [{ message: `Invalid OTP recipient email(s): ${invalidRecipients.join(', ')}.` }],
+          message: "Validation error."
+        });
+      }
+      admin.otpRecipients = otpRecipients;
+    }
+    if (role) admin.role = role;
+    await admin.save();
+
+    const updatedAdmin = await Admin.findById(id).select(HIDDEN_ADMIN_FIELDS);
+
+    await recordAudit(req, { action: 'admin.update', targetType: 'Admin', targetId: id, before: adminBefore, after: updatedAdmin });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Admin updated successfully!",
+      data: updatedAdmin,
+    });
+  } catch (error) {
+    console.error(`Error updating admin with ID ${req.params.id}:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "Invalid Admin ID format." }],
+        message: "Invalid ID."
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map(key => ({ message: error.errors[key].message }));
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: errors,
+        message: "Validation failed for one or more fields."
+      });
+    }
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred while updating the admin." }],
+      message: "Internal server error."
+    });
+  }
+};
+
+/**
+ * Controller function to deactivate an admin account.
+ * Deactivated admins can no longer request OTPs, and all of their sessions are revoked.
+ * PATCH /api/admins/:id/deactivate
+ */
+export const deactivateAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (String(req.admin.adminId) === String(id)) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "You cannot deactivate your own account." }],
+        message: "Invalid operation."
+      });
+    }
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Admin not found." }],
+        message: "Not Found."
+      });
+    }
+
+    if (admin.active === false) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: "Admin is already deactivated." }],
+        message: "Conflict."
+      });
+    }
+
+    // Never leave the system without an active owner
+    if (admin.role === 'owner') {
+      const otherOwners = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'owner', active: { $ne: false } });
+      if (otherOwners === 0) {
+        return res.status(409).json({
+          statusCode: 409,
+          success: false,
+          errors: [{ message: "Cannot deactivate the last active owner." }],
+          message: "Conflict."
+        });
+      }
+    }
+
+    admin.active = false;
+    admin.deactivatedAt = new Date();
+    admin.otpHash = null;
+    admin.otpExpiresAt = null;
+    await admin.save();
+
+    // Log the admin out on every device
+    const revokedCount = await revokeSessions({ admin: admin._id }, 'admin_deactivated');
+
+    const updatedAdmin = await Admin.findById(id).select(HIDDEN_ADMIN_FIELDS);
+
+    await recordAudit(req, {
+      action: 'admin.deactivate',
+      targetType: 'Admin',
+      targetId: id,
+      before: { active: true, deactivatedAt: null },
+      after: { active: false, deactivatedAt: admin.deactivatedAt },
+      metadata: { revokedSessions: revokedCount },
+    });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Admin '${admin.email}' deactivated successfully!`,
+      data: updatedAdmin,
+    });
+  } catch (error) {
+    console.error(`Error deactivating admin with ID ${req.params.id}:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "Invalid Admin ID format." }],
+        message: "Invalid ID."
+      });
+    }
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred while deactivating the admin." }],
+      message: "Internal server error."
+    });
+  }
+};
+
+/**
+ * Controller function to reactivate a previously deactivated admin account.
+ * PATCH /api/admins/:id/reactivate
+ */
+export const reactivateAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Admin not found." }],
+        message: "Not Found."
+      });
+    }
+
+    if (admin.active !== false) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: "Admin is already active." }],
+        message: "Conflict."
+      });
+    }
+
+    const deactivatedAt = admin.deactivatedAt;
+    admin.active = true;
+    admin.deactivatedAt = null;
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'admin.reactivate',
+      targetType: 'Admin',
+      targetId: id,
+      before: { active: false, deactivatedAt },
+      after: { active: true, deactivatedAt: null },
+    });
+
+    const updatedAdmin = await Admin.findById(id).select(HIDDEN_ADMIN_FIELDS);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Admin '${admin.email}' reactivated successfully!`,
+      data: updatedAdmin,
+    });
+  } catch (error) {
+    console.error(`Error reactivating admin with ID ${req.params.id}:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "Invalid Admin ID format." }],
+        message: "Invalid ID."
+      });
+    }
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred while reactivating the admin." }],
+      message: "Internal server error."
+    });
+  }
+};
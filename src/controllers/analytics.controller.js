@@ -0,0 +1,180 @@
+// src/controllers/analytics.controller.js
+import { Form } from '../models/FormData.model.js';
+import { buildSubmissionFilter } from '../utils/submissionQuery.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Submission fields the time series are split by
+const ANALYTICS_DIMENSIONS = ['form_type', 'page_Name', 'user_type', 'geo_country'];
+
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+
+// Label used for submissions without a value for a dimension, and for values outside the top N
+const UNKNOWN_LABEL = 'Unknown';
+const OTHER_LABEL = 'Other';
+
+// MongoDB error code for a timezone missing from its timezone database ("unrecognized time zone identifier")
+const MONGO_UNKNOWN_TIMEZONE_CODE = 40485;
+
+/**
+ * Builds the aggregation stages that group submissions per period (and optionally per field value).
+ * @param {object} period - The `$dateTrunc` expression for the period.
+ * @param {string} labelFormat - `$dateToString` format of the period label.
+ * @param {string} timezone - IANA timezone.
+ * @param {string} [field] - Submission field to split by.
+ * @returns {object[]}
+ */
+const periodCountStages = (period, labelFormat, timezone, field) => [
+  {
+    $group: {
+      _id: field ? { period, value: { $ifNull: [`$${field}`, UNKNOWN_LABEL] } } : { period },
+      count: { $sum: 1 },
+    }
+  },
+  { $sort: { '_id.period': 1 } },
+  {
+    $project: {
+      _id: 0,
+      period: { $dateToString: { date: '$_id.period', format: labelFormat, timezone } },
+      periodStart: '$_id.period',
+      ...(field && { value: '$_id.value' }),
+      count: 1,
+    }
+  },
+];
+
+/**
+ * Turns per-period/per-value counts into one series entry per period, keeping only the top values
+ * (by total count) and folding the rest into 'Other'.
+ * @param {object[]} rows - { period, periodStart, value, count } rows sorted by period.
+ * @param {object[]} totals - { value, count } rows sorted by count, descending.
+ * @param {number} top - Number of values to keep.
+ * @returns {object[]} [{ period, periodStart, total, counts: { <value>: count } }]
+ */
+const toSeries = (rows, totals, top) => {
+  const kept = new Set(totals.slice(0, top).map(total => String(total.value)));
+  const byPeriod = new Map();
+  for (const row of rows) {
+    if (!byPeriod.has(row.period)) {
+      byPeriod.set(row.period, { period: row.period, periodStart: row.periodStart, total: 0, counts: {} });
+    }
+    const entry = byPeriod.get(row.period);
+    const label = kept.has(String(row.value)) ? String(row.value) : OTHER_LABEL;
+    entry.counts[label] = (entry.counts[label] || 0) + row.count;
+    entry.total += row.count;
+  }
+  return [...byPeriod.values()];
+};
+
+/**
+ * Controller function to fetch submission analytics for the admin dashboard.
+ * All figures are computed with a single MongoDB aggregation ($facet, $dateTrunc; requires MongoDB 5.0+).
+ * GET /api/form/analytics
+ * Optional query:
+ * - interval: 'day' (default), 'week' (starting Monday) or 'month'
+ * - timezone: IANA timezone used to cut periods (default 'UTC'), e.g. 'Asia/Kolkata'
+ * - from, to: date range (default: the last 30 days); date-only values are days in `timezone`
+ * - top: number of values per dimension returned separately, the rest is grouped as 'Other' (default 10, max 50)
+ * - the filters of GET /api/form/submissions (form_type, user_type, geo_country, page_Name, ...)
+ * Periods without submissions are omitted from the series.
+ */
+export const getSubmissionAnalytics = async (req, res) => {
+  try {
+    const interval = String(req.query.interval || 'day');
+    const timezone = String(req.query.timezone || 'UTC');
+    const top = Math.min(MAX_TOP, Math.max(1, parseInt(req.query.top, 10) || DEFAULT_TOP));
+
+    let validationError = null;
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      validationError = `Invalid interval '${interval}'. Allowed: ${ANALYTICS_INTERVALS.join(', ')}.`;
+    } else if (!isValidTimezone(timezone)) {
+      validationError = `Invalid timezone '${timezone}'. Use an IANA timezone name such as 'Asia/Kolkata'.`;
+    }
+
+    // Default to the last 30 days so the dashboard never aggregates the whole collection by accident
+    const query = { ...req.query };
+    if (!query.from && !query.to) {
+      query.from = new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+    const { filter, error: filterError } = buildSubmissionFilter(query, {}, validationError ? {} : { timezone });
+
+    if (validationError || filterError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: validationError || filterError }],
+        message: "Validation error."
+      });
+    }
+
+    const period = { $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' } };
+    const labelFormat = interval === 'month' ? '%Y-%m' : '%Y-%m-%d';
+
+    const facets = {
+      total: [{ $count: 'count' }],
+      timeline: periodCountStages(period, labelFormat, timezone),
+      topPageUrls: [
+        { $group: { _id: { $ifNull: ['$page_url', UNKNOWN_LABEL] }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: top },
+        { $project: { _id: 0, page_url: '$_id', count: 1 } },
+      ],
+    };
+    for (const dimension of ANALYTICS_DIMENSIONS) {
+      facets[`${dimension}Series`] = periodCountStages(period, labelFormat, timezone, dimension);
+      facets[`${dimension}Totals`] = [
+        { $group: { _id: { $ifNull: [`$${dimension}`, UNKNOWN_LABEL] }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, value: '$_id', count: 1 } },
+      ];
+    }
+
+    const [result] = await Form.aggregate([{ $match: filter }, { $facet: facets }]);
+
+    const breakdowns = {};
+    for (const dimension of ANALYTICS_DIMENSIONS) {
+      const totals = result[`${dimension}Totals`];
+      const otherCount = totals.slice(top).reduce((sum, total) => sum + total.count, 0);
+      breakdowns[dimension] = {
+        totals: otherCount > 0 ? [...totals.slice(0, top), { value: OTHER_LABEL, count: otherCount }] : totals,
+        series: toSeries(result[`${dimension}Series`], totals, top),
+      };
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Submission analytics fetched successfully!",
+      data: {
+        interval,
+        timezone,
+        from: filter.createdAt?.$gte || null,
+        to: filter.createdAt?.$lte || null,
+        totalCount: result.total[0]?.count || 0,
+        timeline: result.timeline,
+        breakdowns,
+        topPageUrls: result.topPageUrls,
+      },
+    });
+  } catch (error) {
+    // Timezones known to the runtime (Intl) but not to MongoDB's timezone database
+    if (error.code === MONGO_UNKNOWN_TIMEZONE_CODE || /unrecognized time zone/i.test(error.message || '')) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: `Timezone '${req.query.timezone}' is not supported by the database. Use another IANA timezone name.` }],
+        message: "Validation error."
+      });
+    }
+    console.error("Error fetching submission analytics:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred while computing analytics." }],
+      message: "Internal server error."
+    });
+  }
+};
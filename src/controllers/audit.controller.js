@@ -0,0 +1,130 @@
+// src/controllers/audit.controller.js
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/AuditLog.model.js';
+import { toCsvRow, waitForDrain } from '../utils/csv.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const CSV_COLUMNS = ['createdAt', 'adminEmail', 'admin', 'action', 'targetType', 'targetId', 'ip', 'userAgent', 'before', 'after', 'metadata'];
+
+/**
+ * Builds the MongoDB filter for the audit log query parameters.
+ * @param {object} query - req.query
+ * @returns {{filter?: object, error?: string}}
+ */
+const buildAuditFilter = (query) => {
+  const { adminId, adminEmail, action, targetType, targetId, from, to } = query;
+  const filter = {};
+
+  if (adminId) {
+    if (!mongoose.isValidObjectId(adminId)) return { error: "Invalid 'adminId'." };
+    filter.admin = adminId;
+  }
+  if (adminEmail) filter.adminEmail = String(adminEmail).trim().toLowerCase();
+  if (action) {
+    // Comma-separated list of actions, e.g. ?action=template.update,template.delete
+    const actions = String(action).split(',').map(a => a.trim()).filter(a => a);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+  if (targetType) filter.targetType = String(targetType);
+  if (targetId) filter.targetId = String(targetId);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate)) return { error: "Invalid 'from' date." };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate)) return { error: "Invalid 'to' date." };
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * Streams the matching audit entries as a CSV download. The cursor is closed when the client disconnects.
+ * @param {import('express').Response} res
+ * @param {object} filter
+ */
+const streamAuditCsv = async (res, filter) => {
+  const fileName = `audit-logs-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.write(toCsvRow(CSV_COLUMNS));
+
+  const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+  try {
+    for await (const entry of cursor) {
+      const canContinue = res.write(toCsvRow(CSV_COLUMNS.map(column => entry[column])));
+      // Respect backpressure on large exports; stop reading if the client went away
+      if (!canContinue && !(await waitForDrain(res))) return;
+    }
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+/**
+ * Controller function to list audit log entries, newest first.
+ * GET /api/audit-logs
+ * Optional query:
+ * - adminId, adminEmail, action (comma-separated), targetType, targetId, from, to (ISO dates)
+ * - page (default 1), limit (default 50, max 200)
+ * - format=csv to download all matching entries as CSV (pagination is ignored)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: error }],
+        message: "Validation error."
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      return await streamAuditCsv(res, filter);
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const [auditLogs, totalCount] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Audit logs fetched successfully!",
+      logCount: auditLogs.length,
+      totalCount,
+      page,
+      limit,
+      data: auditLogs,
+    });
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    if (res.headersSent) {
+      // The CSV download already started; all we can do is cut it short
+      return res.end();
+    }
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred while fetching audit logs." }],
+      message: "Internal server error."
+    });
+  }
+};
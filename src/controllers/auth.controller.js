@@ -1,26 +1,36 @@
 import { Admin } from '../models/Admin.model.js';
-import { sendOtpEmail } from '../utils/mailer.js';
+import { Session } from '../models/Session.model.js';
+import {
+  startLoginSession,
+  rotateRefreshToken,
+  revokeSessions,
+  clearAuthCookies,
+  getRefreshTokenSessionId,
+} from '../utils/session.js';
 import jwt from 'jsonwebtoken';
-import { v4 as uuidv4 } from 'uuid'; // Import uuid for generating unique session tokens
-
-// Define the allowed admin emails for login
-const ALLOWED_ADMIN_EMAILS = [
-  'cadin360@gmail.com',
-  'snjha362@gmail.com',
-  'support.cadin360@gmail.com'
-];
- 
-// Define the main admin email for OTP forwarding (if 'support.cadin360@gmail.com' requests OTP)
-const MAIN_ADMIN_EMAIL = 'cadin360@gmail.com';
-const SECONDARY_ADMIN_EMAIL = 'snjha362@gmail.com'; // Secondary admin email for support OTPs
+import { ROLE_PERMISSIONS, OTP_SECURITY } from '../constants.js';
+import { issueOtp, checkOtp, sendOtpChallengeError } from '../utils/otpChallenge.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * Clears the temporary cookie holding the email that is being verified.
+ * @param {import('express').Response} res - The Express response.
+ */
+const clearAdminEmailCookie = (res) => {
+  res.clearCookie('admin_email', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'None', // Changed from 'Lax' to 'None'
+  });
+};
 
 /**
  * Handles the request for an OTP.
  * - Validates the email.
- * - Restricts access to only pre-defined allowed emails.
- * - Generates an OTP and its expiry time.
- * - Saves/updates the admin's OTP in the database.
- * - Sends the OTP email, forwarding 'support.cadin360@gmail.com' OTP to MAIN_ADMIN_EMAIL and SECONDARY_ADMIN_EMAIL.
+ * - Restricts access to active admin accounts stored in the database (managed via /api/admins).
+ * - Issues the OTP via `issueOtp`, which enforces the lockout, resend cooldown and per-email
+ *   request limits (429 with `retryAfter`), stores only a salted hash of the OTP and emails it
+ *   to the admin or to the admin's configured `otpRecipients`.
  * - Sets a temporary cookie for email verification.
  */
 export const requestOtp = async (req, res) => {
@@ -39,72 +49,38 @@ export const requestOtp = async (req, res) => {
   // Normalize email to lowercase for consistency
   const normalizedEmail = email.toLowerCase();
 
-  // 2. Restrict access to only pre-defined allowed emails
-  if (!ALLOWED_ADMIN_EMAILS.includes(normalizedEmail)) {
-    return res.status(403).json({
-      statusCode: 403,
-      success: false,
-      errors: [{ message: "Unauthorized email address." }],
-      message: "Unauthorized email address."
-    });
-  }
-
   try {
-    // Generate a 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString(); // Ensure OTP is a string
-    // OTP expires in 5 minutes
-    const otpExpiresAt = new Date(Date.now() + 5 * 60 * 1000);
-
-    // Find or create the admin user
-    let admin = await Admin.findOne({ email: normalizedEmail });
+    // 2. Restrict access to active admin accounts
+    // (`active: { $ne: false }` also matches admins created before the flag existed)
+    const admin = await Admin.findOne({ email: normalizedEmail, active: { $ne: false } });
 
     if (!admin) {
-      admin = new Admin({ email: normalizedEmail });
-    }
-
-    admin.otp = otp;
-    admin.otpExpiresAt = otpExpiresAt;
-    await admin.save();
-    console.log(`✅ Admin data for ${normalizedEmail} saved/updated in DB.`);
-
-    // Determine recipient emails based on the requested email
-    let recipientsForEmail = [normalizedEmail];
-    let messageToUser = `OTP sent to ${normalizedEmail}. Please check your inbox for verification.`
-
-    if (normalizedEmail === 'support.cadin360@gmail.com') {
-      recipientsForEmail = [MAIN_ADMIN_EMAIL, SECONDARY_ADMIN_EMAIL];
-      messageToUser = `OTP for ${normalizedEmail} has been sent to ${MAIN_ADMIN_EMAIL} and ${SECONDARY_ADMIN_EMAIL}. Please check their inboxes for verification.`;
+      return res.status(403).json({
+        statusCode: 403,
+        success: false,
+        errors: [{ message: "Unauthorized email address." }],
+        message: "Unauthorized email address."
+      });
     }
 
-    // Send OTP via email
-    for (const recipient of recipientsForEmail) {
-      try {
-        // Pass recipient email, OTP, and the original requesting email
-        await sendOtpEmail(recipient, otp, normalizedEmail);
-        console.log(`📨 OTP for ${normalizedEmail} successfully sent to ${recipient}.`);
-      } catch (emailError) {
-        console.error(`❌ Failed to send OTP email to ${recipient} for ${normalizedEmail}:`, emailError);
-        return res.status(500).json({
-          statusCode: 500,
-          success: false,
-          errors: [{ message: "Failed to send OTP email. Please check your email configuration." }],
-          message: "Failed to send OTP email. Please check your email configuration."
-        });
-      }
+    // 3. Issue and deliver the OTP
+    const result = await issueOtp(admin);
+    if (!result.ok) {
+      return sendOtpChallengeError(res, result);
     }
 
     // Set a temporary cookie with the email for verification in the next step
     res.cookie('admin_email', normalizedEmail, {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production', // MUST be true if sameSite is 'None'
-      maxAge: 5 * 60 * 1000, // Matches OTP expiry: 5 minutes
+      maxAge: OTP_SECURITY.OTP_TTL_MS, // Matches OTP expiry: 5 minutes
       sameSite: 'None', // Changed from 'Lax' to 'None'
     });
 
     res.status(200).json({
       statusCode: 200,
       success: true,
-      message: messageToUser,
+      message: result.message,
     });
 
   } catch (error) {
@@ -121,10 +97,11 @@ export const requestOtp = async (req, res) => {
 /**
  * Handles the verification of the OTP.
  * - Retrieves the email from the temporary cookie.
- * - Validates the provided OTP.
- * - Checks OTP expiry.
- * - If successful, generates a JWT, sets it as an HttpOnly cookie, and clears the temporary email cookie.
- * - Updates the admin's last login time and session token.
+ * - Checks the OTP via `checkOtp`: refuses verification while the account is locked out (429 with `retryAfter`),
+ *   validates the OTP against the stored hash (constant-time), counting wrong guesses; after MAX_VERIFY_ATTEMPTS the OTP
+ *   is invalidated and the account is locked out for LOCKOUT_MS. Expired OTPs are rejected.
+ * - If successful, starts a new device session, sets its access and refresh tokens as HttpOnly cookies,
+ *   and clears the temporary email cookie.
  * - Updates the lastLogin timestamp.
  */
 export const verifyOtp = async (req, res) => {
@@ -159,16 +136,12 @@ export const verifyOtp = async (req, res) => {
 
   try {
     // Find the admin by email
-    const admin = await Admin.findOne({ email: adminEmailFromCookie });
+    const admin = await Admin.findOne({ email: adminEmailFromCookie }).select('+otpHash');
 
-    // 3. Check if admin exists
-    if (!admin) {
-      // Clear potentially invalid cookie (using sameSite: 'None' for consistency)
-      res.clearCookie('admin_email', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'None', // Changed from 'Lax' to 'None'
-      });
+    // 3. Check if admin exists and is still active
+    if (!admin || admin.active === false) {
+      // Clear potentially invalid cookie
+      clearAdminEmailCookie(res);
       return res.status(401).json({
         statusCode: 401,
         success: false,
@@ -177,68 +150,32 @@ export const verifyOtp = async (req, res) => {
       });
     }
 
-    // 4. Check if OTP exists and matches
-    // Ensure both are strings for consistent comparison (OTP from DB and from request body)
-    if (!admin.otp || String(admin.otp) !== String(otp)) {
-      return res.status(401).json({
-        statusCode: 401,
-        success: false,
-        errors: [{ message: "Invalid OTP. Please try again." }],
-        message: "Invalid OTP. Please try again."
-      });
-    }
-
-    // 5. Check if OTP has expired
-    if (admin.otpExpiresAt < new Date()) {
-      // Clear OTP fields in DB and cookie (using sameSite: 'None' for consistency)
-      admin.otp = null;
-      admin.otpExpiresAt = null;
-      await admin.save();
-      res.clearCookie('admin_email', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'None', // Changed from 'Lax' to 'None'
-      });
-
-      return res.status(401).json({
-        statusCode: 401,
-        success: false,
-        errors: [{ message: "OTP has expired. Please request a new OTP." }],
-        message: "OTP has expired. Please request a new OTP."
-      });
+    // 4. Check the OTP (lockout, hash match, attempt counting, expiry) and consume it
+    const result = await checkOtp(admin, otp);
+    if (!result.ok) {
+      if (result.otpInvalidated) {
+        clearAdminEmailCookie(res);
+      }
+      return sendOtpChallengeError(res, result);
     }
 
- // Generate a new session token
-    const newSessionToken = uuidv4();
-
     // If OTP is valid and not expired:
-    // Generate JWT token including the new sessionToken
-    const token = jwt.sign(
-      { adminId: admin._id, email: admin.email, sessionToken: newSessionToken }, // Include sessionToken in JWT
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
-
-    // Update last login time and sessionToken
+    // Update last login time
     admin.lastLogin = new Date();
-    admin.otp = null;
-    admin.otpExpiresAt = null;
-    admin.sessionToken = newSessionToken; // Save the new session token to the database
     await admin.save();
 
     // Clear the temporary admin_email cookie
-    res.clearCookie('admin_email', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'None',
-    });
+    clearAdminEmailCookie(res);
 
-    // Set JWT token as an HttpOnly cookie
-    res.cookie('admin_token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 24 * 60 * 60 * 1000,
-      sameSite: 'None',
+    // Start a new session for this device (sessions on other devices stay active)
+    const { sessionId, accessToken, accessTokenExpiresAt } = await startLoginSession(req, res, admin);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      targetType: 'Session',
+      targetId: sessionId,
+      metadata: { method: 'email_otp' },
+      actor: { adminId: admin._id, email: admin.email },
     });
 
     res.status(200).json({
@@ -246,7 +183,8 @@ export const verifyOtp = async (req, res) => {
       success: true,
       message: "OTP verified successfully. Login successful.",
       data: {
-        admin_token: token,
+        admin_token: accessToken,
+        accessTokenExpiresAt,
         email: admin.email,
         id: admin._id
       }
@@ -267,15 +205,42 @@ export const verifyOtp = async (req, res) => {
 
 /**
  * Handles admin logout.
- * Clears the 'admin_token' cookie.
+ * - Revokes the server-side session referenced by the access token cookie (or, if that is
+ *   missing, the refresh token cookie), so copied tokens can no longer be used.
+ * - Clears the access and refresh token cookies.
+ * This route is public so that a client with an expired token can still log out cleanly.
  */
-export const logoutAdmin = (req, res) => {
+export const logoutAdmin = async (req, res) => {
   try {
-    res.clearCookie('admin_token', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // MUST be true if sameSite is 'None'
-      sameSite: 'None', // Changed from 'Lax' to 'None'
-    });
+    let sessionFilter = null;
+    let actor = null;
+    const token = req.cookies.admin_token;
+    if (token) {
+      try {
+        // Expired tokens still identify the session to revoke
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (decoded.sessionId) {
+          sessionFilter = { _id: decoded.sessionId, admin: decoded.adminId };
+          actor = { adminId: decoded.adminId, email: decoded.email };
+        }
+      } catch (tokenError) {
+        console.error("Logout with an invalid token:", tokenError.message);
+      }
+    }
+    if (!sessionFilter) {
+      const refreshSessionId = getRefreshTokenSessionId(req.cookies.admin_refresh_token);
+      if (refreshSessionId) {
+        sessionFilter = { _id: refreshSessionId };
+      }
+    }
+    if (sessionFilter) {
+      const revokedCount = await revokeSessions(sessionFilter, 'logout');
+      if (revokedCount > 0) {
+        await recordAudit(req, { action: 'auth.logout', targetType: 'Session', targetId: sessionFilter._id, actor: actor || {} });
+      }
+    }
+
+    clearAuthCookies(res);
 
     res.status(200).json({
       statusCode: 200,
@@ -293,6 +258,197 @@ export const logoutAdmin = (req, res) => {
   }
 };
 
+/**
+ * Issues a new access token using the refresh token cookie and rotates the refresh token.
+ * - Each refresh slides the session's idle expiry forward (up to its absolute lifetime).
+ * - Reusing a refresh token that was already rotated out revokes the whole session.
+ * POST /api/auth/refresh
+ */
+export const refreshSession = async (req, res) => {
+  const refreshToken = req.cookies.admin_refresh_token;
+
+  if (!refreshToken) {
+    return res.status(401).json({
+      statusCode: 401,
+      success: false,
+      errors: [{ message: "Refresh token missing. Please log in again.", code: 'AUTH_REQUIRED' }],
+      message: "Refresh token missing. Please log in again.",
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  try {
+    const result = await rotateRefreshToken(res, refreshToken);
+
+    if (result.error === 'REFRESH_CONFLICT') {
+      // Another request rotated this token a moment ago; its response carries the new cookies
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: "Session was refreshed by a parallel request. Please retry.", code: result.error }],
+        message: "Session was refreshed by a parallel request. Please retry.",
+        code: result.error
+      });
+    }
+
+    if (result.error) {
+      const messages = {
+        INVALID_REFRESH_TOKEN: "Invalid refresh token. Please log in again.",
+        SESSION_REVOKED: "Your session is no longer active. Please log in again.",
+        SESSION_EXPIRED: "Your session has expired. Please log in again.",
+        REFRESH_TOKEN_REUSED: "This refresh token was already used. The session has been revoked for your security; please log in again.",
+      };
+      clearAuthCookies(res);
+      return res.status(401).json({
+        statusCode: 401,
+        success: false,
+        errors: [{ message: messages[result.error], code: result.error }],
+        message: messages[result.error],
+        code: result.error
+      });
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Session refreshed successfully.",
+      data: {
+        admin_token: result.accessToken,
+        accessTokenExpiresAt: result.accessTokenExpiresAt,
+        email: result.admin.email,
+        id: result.admin._id
+      }
+    });
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error during session refresh." }],
+      message: "Internal server error during session refresh."
+    });
+  }
+};
+
+/**
+ * Lists the authenticated admin's active login sessions (one per device).
+ * GET /api/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      admin: req.admin.adminId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Sessions fetched successfully.",
+      sessionCount: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenIp: session.lastSeenIp,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.admin.sessionId), // The session making this request
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error fetching sessions." }],
+      message: "Internal server error fetching sessions."
+    });
+  }
+};
+
+/**
+ * Revokes one of the authenticated admin's sessions (e.g. a lost phone).
+ * Revoking the current session also clears the auth cookies.
+ * DELETE /api/auth/sessions/:id
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const revokedCount = await revokeSessions({ _id: id, admin: req.admin.adminId }, 'revoked_by_admin');
+
+    if (revokedCount === 0) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Active session not found." }],
+        message: "Not Found."
+      });
+    }
+
+    if (String(id) === String(req.admin.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    await recordAudit(req, { action: 'session.revoke', targetType: 'Session', targetId: id });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Session revoked successfully."
+    });
+  } catch (error) {
+    console.error(`Error revoking session ${req.params.id}:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "Invalid Session ID format." }],
+        message: "Invalid ID."
+      });
+    }
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error revoking session." }],
+      message: "Internal server error revoking session."
+    });
+  }
+};
+
+/**
+ * Logs the authenticated admin out on every device by revoking all of their sessions,
+ * including the current one.
+ * POST /api/auth/logout-all
+ */
+export const logoutAllSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeSessions({ admin: req.admin.adminId }, 'logout_all');
+
+    await recordAudit(req, { action: 'auth.logout_all', targetType: 'Admin', targetId: req.admin.adminId, metadata: { revokedCount } });
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Logged out from all devices (${revokedCount} session${revokedCount === 1 ? '' : 's'} revoked).`,
+      revokedCount
+    });
+  } catch (error) {
+    console.error("Error logging out all sessions:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error during logout." }],
+      message: "Internal server error during logout."
+    });
+  }
+};
+
 /**
  * Fetches authenticated admin's details.
  * This route requires authentication via `authMiddleware`.
@@ -303,8 +459,8 @@ export const getMe = async (req, res) => {
     // req.admin is populated by authMiddleware after decoding the JWT token
     const adminId = req.admin.adminId;
 
-    // Fetch the full admin document from the database, excluding sensitive OTP fields
-    const admin = await Admin.findById(adminId).select('-otp -otpExpiresAt');
+    // Fetch the full admin document from the database (the OTP hash is excluded by the schema)
+    const admin = await Admin.findById(adminId).select('-otpExpiresAt');
 
     if (!admin) {
       return res.status(404).json({
@@ -325,6 +481,10 @@ export const getMe = async (req, res) => {
       data: {
         id: admin._id,
         email: admin.email,
+        role: admin.role,
+        permissions: ROLE_PERMISSIONS[admin.role] || [], // Lets the frontend hide actions the role cannot perform
+        otpRecipients: admin.otpRecipients,
+        totpEnabled: admin.totpEnabled, // Whether the admin can log in with an authenticator app
         lastLogin: admin.lastLogin,
         admin_token: adminToken // Include the token as requested
       }
@@ -0,0 +1,214 @@
+// src/controllers/contact.controller.js
+import mongoose from 'mongoose';
+import { Contact } from '../models/Contact.model.js';
+import { Form } from '../models/FormData.model.js';
+import { EmailLog } from '../models/EmailLog.model.js';
+import { recordAudit } from '../utils/audit.js';
+import { escapeRegex } from '../utils/submissionQuery.js';
+import { refreshContactStats } from '../utils/contacts.js';
+
+const DEFAULT_CONTACTS_PAGE_SIZE = 50;
+const MAX_CONTACTS_PAGE_SIZE = 200;
+
+// Email log fields listed on a contact (the full HTML content is fetched through /api/email-logs/:id)
+const EMAIL_LOG_SUMMARY_FIELDS = 'subject to overallStatus relatedFormSubmissionId sentAt createdAt';
+
+/**
+ * Sends the 404 response for an unknown contact.
+ * @param {import('express').Response} res
+ */
+const sendContactNotFound = (res) => res.status(404).json({
+  statusCode: 404,
+  success: false,
+  errors: [{ message: "Contact not found." }],
+  message: "Not found."
+});
+
+/**
+ * Sends the response for errors shared by the contact controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendContactError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid Contact ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
+/**
+ * Controller function to list contacts, most recently active first.
+ * GET /api/contacts
+ * Optional query:
+ * - q: case-insensitive search in email, merged emails and name
+ * - form_type: only contacts who submitted this form
+ * - minSubmissions: only contacts with at least this many submissions (e.g. 2 for repeat submitters)
+ * - page, limit (default 50, max 200)
+ */
+export const getAllContacts = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) {
+      const pattern = { $regex: escapeRegex(req.query.q), $options: 'i' };
+      filter.$or = [{ email: pattern }, { aliases: pattern }, { name: pattern }];
+    }
+    if (req.query.form_type) filter.formTypes = String(req.query.form_type);
+    const minSubmissions = parseInt(req.query.minSubmissions, 10);
+    if (minSubmissions > 0) filter.submissionCount = { $gte: minSubmissions };
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_CONTACTS_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_CONTACTS_PAGE_SIZE));
+
+    const [contacts, totalCount] = await Promise.all([
+      Contact.find(filter).sort({ lastSubmissionAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      Contact.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Contacts fetched successfully!",
+      contactCount: contacts.length,
+      totalCount,
+      page,
+      limit,
+      totalPages: Math.ceil(totalCount / limit),
+      data: contacts,
+    });
+  } catch (error) {
+    sendContactError(res, error, 'fetching contacts');
+  }
+};
+
+/**
+ * Controller function to fetch a contact with all of its submissions and email logs.
+ * Email logs are those linked to one of the contact's submissions (`relatedFormSubmissionId`)
+ * or sent to one of the contact's emails.
+ * GET /api/contacts/:id
+ */
+export const getContactById = async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) {
+      return sendContactNotFound(res);
+    }
+
+    const submissions = await Form.find({ contact: contact._id }).sort({ createdAt: -1 });
+    const emailLogs = await EmailLog.find({
+      $or: [
+        { relatedFormSubmissionId: { $in: submissions.map(submission => submission._id) } },
+        { 'to.email': { $in: [contact.email, ...contact.aliases] } },
+      ],
+      isTest: { $ne: true }, // Template test sends went to an admin, not to the contact
+    }).select(EMAIL_LOG_SUMMARY_FIELDS).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Contact fetched successfully!",
+      data: {
+        contact,
+        submissions,
+        emailLogs,
+      },
+    });
+  } catch (error) {
+    sendContactError(res, error, 'fetching the contact');
+  }
+};
+
+/**
+ * Controller function to merge other contacts (e.g. the same person using a second email) into a contact.
+ * The merged contacts' submissions are moved to the target contact, their emails become aliases of it
+ * (so future submissions from those emails land on the target) and they are deleted.
+ * POST /api/contacts/:id/merge
+ * Expected body: { sourceContactIds: [contactId, ...] }
+ */
+export const mergeContacts = async (req, res) => {
+  try {
+    const sourceContactIds = [].concat(req.body?.sourceContactIds || []).map(String);
+
+    let validationError = null;
+    if (sourceContactIds.length === 0) {
+      validationError = "Provide the IDs of the contacts to merge in 'sourceContactIds'.";
+    } else if (sourceContactIds.some(id => !mongoose.isValidObjectId(id))) {
+      validationError = "Invalid contact ID in 'sourceContactIds'.";
+    } else if (sourceContactIds.includes(String(req.params.id))) {
+      validationError = "A contact cannot be merged into itself.";
+    }
+    if (validationError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: validationError }],
+        message: "Validation error."
+      });
+    }
+
+    const target = await Contact.findById(req.params.id);
+    if (!target) {
+      return sendContactNotFound(res);
+    }
+    const sources = await Contact.find({ _id: { $in: sourceContactIds } });
+    const missingIds = sourceContactIds.filter(id => !sources.some(source => String(source._id) === id));
+    if (missingIds.length > 0) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: `Contact(s) not found: ${missingIds.join(', ')}.` }],
+        message: "Not found."
+      });
+    }
+
+    const before = target.toObject();
+    const mergedEmails = sources.flatMap(source => [source.email, ...source.aliases]);
+    const sourceIds = sources.map(source => source._id);
+
+    // Each step leaves a consistent state, so a merge interrupted halfway can simply be run again:
+    // aliases first, so new submissions from the merged emails already land on the target,
+    // then the submissions are moved, and the emptied sources are deleted last
+    await Contact.updateOne({ _id: target._id }, { $addToSet: { aliases: { $each: mergedEmails } } });
+    const { modifiedCount: movedSubmissions } = await Form.updateMany(
+      { contact: { $in: sourceIds } },
+      { $set: { contact: target._id } }
+    );
+    await Contact.deleteMany({ _id: { $in: sourceIds } });
+    await refreshContactStats(target._id);
+
+    const mergedContact = await Contact.findById(target._id);
+
+    await recordAudit(req, {
+      action: 'contact.merge',
+      targetType: 'Contact',
+      targetId: target._id,
+      before,
+      after: mergedContact,
+      metadata: {
+        mergedContacts: sources.map(source => ({ id: String(source._id), email: source.email })),
+        movedSubmissions,
+      },
+    });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Merged ${sources.length} contact(s) into '${mergedContact.email}'.`,
+      movedSubmissions,
+      data: mergedContact,
+    });
+  } catch (error) {
+    sendContactError(res, error, 'merging contacts');
+  }
+};
@@ -0,0 +1,332 @@
+// src/controllers/emailLayout.controller.js
+import { EmailLayout, EMAIL_LAYOUT_KINDS, PARTIAL_NAME_REGEX } from '../models/EmailLayout.model.js';
+import { Template } from '../models/Template.model.js';
+import { BUILT_IN_EMAIL_LAYOUT_NAMES } from '../db/seedEmailLayouts.js';
+import { recordAudit } from '../utils/audit.js';
+import { getTemplateSyntaxError, findTemplatePartials } from '../utils/templateRenderer.js';
+import { loadPartialSources, resolvePartials } from '../utils/emailLayouts.js';
+
+// Body fields an admin may set on a layout or partial (`kind` only on creation)
+const EDITABLE_FIELDS = ['name', 'description', 'htmlContent', 'isDefault'];
+
+// A layout must output the email body unescaped
+const LAYOUT_BODY_REGEX = /\{\{\{\s*body\s*\}\}\}/;
+
+/**
+ * Picks the editable fields present in a request body.
+ * @param {object} body - req.body
+ * @returns {object}
+ */
+const pickEditableFields = (body = {}) => {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) updates[field] = body[field];
+  }
+  return updates;
+};
+
+/**
+ * Checks the name and content of a layout or partial about to be saved.
+ * @param {object} fields - { kind, name, htmlContent } as they will be saved.
+ * @param {string} [previousName] - Current name of a partial being renamed.
+ * @returns {Promise<string|null>} Error message, or null if valid.
+ */
+const getLayoutContentError = async ({ kind, name, htmlContent }, previousName = null) => {
+  if (kind === 'partial' && !PARTIAL_NAME_REGEX.test(String(name || ''))) {
+    return "Partial names must start with a letter and contain only letters, digits, '_' and '-' (up to 50 characters).";
+  }
+  if (!htmlContent) return null; // Reported as a missing field by the schema
+
+  const syntaxError = getTemplateSyntaxError(htmlContent);
+  if (syntaxError) return `Invalid template syntax in htmlContent: ${syntaxError}`;
+  if (kind === 'layout' && !LAYOUT_BODY_REGEX.test(htmlContent)) {
+    return "A layout must output the email body with {{{body}}}.";
+  }
+
+  // Check the partials it includes, as they will be once this one is saved
+  const partialSources = await loadPartialSources();
+  if (kind === 'partial') {
+    if (previousName) partialSources.delete(previousName);
+    partialSources.set(name, htmlContent);
+  }
+  const { unknown, cycle } = resolvePartials([htmlContent], partialSources);
+  if (cycle) return `Partials can't include each other in a loop: ${cycle.join(' > ')}.`;
+  if (unknown.length > 0) return `Unknown partial(s): ${unknown.join(', ')}.`;
+  return null;
+};
+
+/**
+ * Lists what uses a layout (templates) or a partial (templates, layouts and other partials including it).
+ * @param {object} layout - The EmailLayout document.
+ * @returns {Promise<string[]>} e.g. ["template 'Welcome'", "layout 'default'"].
+ */
+const findLayoutUsage = async (layout) => {
+  if (layout.kind === 'layout') {
+    const templates = await Template.find({ layout: layout._id }).select('templateName');
+    return templates.map(template => `template '${template.templateName}'`);
+  }
+
+  // Partial names only contain letters, digits, '_' and '-', so they are safe in a regex
+  const mentions = new RegExp(layout.name);
+  const includesPartial = (...sources) => sources.some(source => findTemplatePartials(source).includes(layout.name));
+  const [templates, layouts] = await Promise.all([
+    Template.find({ $or: [{ subject: mentions }, { htmlContent: mentions }] }).select('templateName subject htmlContent'),
+    EmailLayout.find({ _id: { $ne: layout._id }, htmlContent: mentions }).select('name kind htmlContent'),
+  ]);
+  return [
+    ...templates.filter(template => includesPartial(template.subject, template.htmlContent)).map(template => `template '${template.templateName}'`),
+    ...layouts.filter(other => includesPartial(other.htmlContent)).map(other => `${other.kind} '${other.name}'`),
+  ];
+};
+
+/**
+ * Makes a layout the only default layout.
+ * @param {object} layout - The EmailLayout document just saved with isDefault.
+ */
+const clearOtherDefaults = async (layout) => {
+  await EmailLayout.updateMany({ kind: 'layout', isDefault: true, _id: { $ne: layout._id } }, { $set: { isDefault: false } });
+};
+
+/**
+ * Sends the 400 response for an invalid layout or partial.
+ * @param {import('express').Response} res
+ * @param {string} message
+ */
+const sendValidationError = (res, message) => res.status(400).json({
+  statusCode: 400,
+  success: false,
+  errors: [{ message }],
+  message: "Validation error."
+});
+
+/**
+ * Sends the 404 response for an unknown layout or partial.
+ * @param {import('express').Response} res
+ */
+const sendNotFound = (res) => res.status(404).json({
+  statusCode: 404,
+  success: false,
+  errors: [{ message: "Email layout not found." }],
+  message: "Not found."
+});
+
+/**
+ * Sends the response for errors shared by the email layout controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendEmailLayoutError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.keys(error.errors).map(key => ({ message: error.errors[key].message }));
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: errors,
+      message: "Validation failed for one or more fields."
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      statusCode: 409,
+      success: false,
+      errors: [{ message: "A layout or partial with this name already exists." }],
+      message: "Duplicate email layout name."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
+/**
+ * Controller function to list email layouts and partials.
+ * GET /api/email-layouts
+ * Optional query: ?kind=layout|partial
+ */
+export const getAllEmailLayouts = async (req, res) => {
+  try {
+    const filter = EMAIL_LAYOUT_KINDS.includes(req.query.kind) ? { kind: req.query.kind } : {};
+    const layouts = await EmailLayout.find(filter).sort({ kind: 1, name: 1 });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Email layouts fetched successfully!",
+      emailLayoutCount: layouts.length,
+      data: layouts,
+    });
+  } catch (error) {
+    sendEmailLayoutError(res, error, 'fetching email layouts');
+  }
+};
+
+/**
+ * Controller function to fetch a single email layout or partial.
+ * GET /api/email-layouts/:id
+ */
+export const getEmailLayoutById = async (req, res) => {
+  try {
+    const layout = await EmailLayout.findById(req.params.id);
+    if (!layout) return sendNotFound(res);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Email layout fetched successfully!",
+      data: layout,
+    });
+  } catch (error) {
+    sendEmailLayoutError(res, error, 'fetching the email layout');
+  }
+};
+
+/**
+ * Controller function to create an email layout or partial.
+ * POST /api/email-layouts
+ * Expected body: { kind: 'layout'|'partial', name, htmlContent, description?, isDefault? (layouts only) }
+ * A layout wraps the body of templates that reference it ({{{body}}}); a partial is included by name
+ * ({{> name}}) in templates, layouts and other partials. Both are Handlebars templates receiving the
+ * email's variables. Making a layout the default makes it the layout of system emails (OTP, thank-you).
+ */
+export const createEmailLayout = async (req, res) => {
+  try {
+    const fields = { kind: req.body?.kind, ...pickEditableFields(req.body) };
+    if (fields.kind !== 'layout') delete fields.isDefault;
+
+    const validationError = await getLayoutContentError(fields);
+    if (validationError) return sendValidationError(res, validationError);
+
+    const savedLayout = await new EmailLayout(fields).save();
+    if (savedLayout.isDefault) await clearOtherDefaults(savedLayout);
+
+    await recordAudit(req, { action: 'emailLayout.create', targetType: 'EmailLayout', targetId: savedLayout._id, after: savedLayout });
+
+    res.status(201).json({
+      statusCode: 201,
+      success: true,
+      message: `Email ${savedLayout.kind} '${savedLayout.name}' created successfully!`,
+      data: savedLayout,
+    });
+  } catch (error) {
+    sendEmailLayoutError(res, error, 'creating the email layout');
+  }
+};
+
+/**
+ * Controller function to update an email layout or partial.
+ * PUT /api/email-layouts/:id
+ * Accepts the fields of the create body except `kind`. Changes apply to every email rendered afterwards,
+ * including system emails and templates using the layout or partial.
+ */
+export const updateEmailLayout = async (req, res) => {
+  try {
+    const layout = await EmailLayout.findById(req.params.id);
+    if (!layout) return sendNotFound(res);
+
+    const updates = pickEditableFields(req.body);
+    if (layout.kind !== 'layout') delete updates.isDefault;
+    if (updates.name !== undefined) updates.name = String(updates.name).trim();
+    const nextName = updates.name ?? layout.name;
+    const isRename = nextName !== layout.name;
+
+    let validationError = null;
+    if (req.body?.kind !== undefined && req.body.kind !== layout.kind) {
+      validationError = "The kind of an existing layout or partial cannot be changed.";
+    } else if (isRename && BUILT_IN_EMAIL_LAYOUT_NAMES.includes(layout.name)) {
+      validationError = `'${layout.name}' is built in and cannot be renamed.`;
+    } else if (layout.isDefault && updates.isDefault !== undefined && String(updates.isDefault) !== 'true') {
+      validationError = "The default layout can't be unset; make another layout the default instead.";
+    } else {
+      validationError = await getLayoutContentError(
+        { kind: layout.kind, name: nextName, htmlContent: updates.htmlContent ?? layout.htmlContent },
+        isRename ? layout.name : null
+      );
+    }
+    if (validationError) return sendValidationError(res, validationError);
+
+    // Templates and layouts include partials by name, so a used partial keeps its name
+    if (isRename && layout.kind === 'partial') {
+      const usage = await findLayoutUsage(layout);
+      if (usage.length > 0) {
+        return res.status(409).json({
+          statusCode: 409,
+          success: false,
+          errors: [{ message: `Partial '${layout.name}' can't be renamed while it is used by ${usage.join(', ')}.` }],
+          message: "Email layout in use."
+        });
+      }
+    }
+
+    const before = layout.toObject();
+    layout.set(updates);
+    const updatedLayout = await layout.save();
+    if (updatedLayout.isDefault) await clearOtherDefaults(updatedLayout);
+
+    await recordAudit(req, { action: 'emailLayout.update', targetType: 'EmailLayout', targetId: layout._id, before, after: updatedLayout });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Email ${updatedLayout.kind} '${updatedLayout.name}' updated successfully!`,
+      data: updatedLayout,
+    });
+  } catch (error) {
+    sendEmailLayoutError(res, error, 'updating the email layout');
+  }
+};
+
+/**
+ * Controller function to delete an email layout or partial.
+ * DELETE /api/email-layouts/:id
+ * Built-in layouts and partials, the default layout and anything still used cannot be deleted.
+ */
+export const deleteEmailLayout = async (req, res) => {
+  try {
+    const layout = await EmailLayout.findById(req.params.id);
+    if (!layout) return sendNotFound(res);
+
+    let conflict = null;
+    if (BUILT_IN_EMAIL_LAYOUT_NAMES.includes(layout.name)) {
+      conflict = `'${layout.name}' is built in and cannot be deleted. Edit it instead.`;
+    } else if (layout.isDefault) {
+      conflict = `'${layout.name}' is the default layout; make another layout the default first.`;
+    } else {
+      const usage = await findLayoutUsage(layout);
+      if (usage.length > 0) conflict = `Email ${layout.kind} '${layout.name}' is used by ${usage.join(', ')}.`;
+    }
+    if (conflict) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: conflict }],
+        message: "Email layout in use."
+      });
+    }
+
+    await layout.deleteOne();
+
+    await recordAudit(req, { action: 'emailLayout.delete', targetType: 'EmailLayout', targetId: layout._id, before: layout });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Email ${layout.kind} '${layout.name}' deleted successfully!`,
+      data: layout,
+    });
+  } catch (error) {
+    sendEmailLayoutError(res, error, 'deleting the email layout');
+  }
+};
@@ -1,13 +1,93 @@
 // src/controllers/emailLog.controller.js
 import { EmailLog } from '../models/EmailLog.model.js';
+import { EmailJob } from '../models/EmailJob.model.js';
+import { sendEmail } from '../utils/mailer.js';
+import { recordAudit } from '../utils/audit.js';
+import { parseScheduleOptions, planScheduledDeliveries } from '../utils/emailSchedule.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+
+const DEFAULT_SCHEDULED_PAGE_SIZE = 50;
+const MAX_SCHEDULED_PAGE_SIZE = 200;
+
+/**
+ * Sends the response for errors of the scheduled email controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendScheduleError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid Email Log ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
+/**
+ * Loads a scheduled email log for cancel/reschedule, sending the 404/409 response if it can't be changed.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<object|null>} The EmailLog document, or null if a response was sent.
+ */
+const findScheduledEmail = async (req, res) => {
+  const emailLog = await EmailLog.findById(req.params.id);
+  if (!emailLog) {
+    res.status(404).json({
+      statusCode: 404,
+      success: false,
+      errors: [{ message: "Email log not found." }],
+      message: "Not Found."
+    });
+    return null;
+  }
+  if (emailLog.overallStatus !== 'Scheduled') {
+    res.status(409).json({
+      statusCode: 409,
+      success: false,
+      errors: [{ message: `Only scheduled emails can be changed; this email is ${emailLog.overallStatus}.` }],
+      message: "Email is not scheduled."
+    });
+    return null;
+  }
+  return emailLog;
+};
+
+/**
+ * Sends the 409 response for a scheduled email the queue worker has already started sending.
+ * @param {import('express').Response} res
+ */
+const sendAlreadySending = (res) => res.status(409).json({
+  statusCode: 409,
+  success: false,
+  errors: [{ message: "The email is already being sent and can no longer be changed." }],
+  message: "Email is being sent."
+});
 
 /**
  * Controller function to fetch all email logs.
  * GET /api/email-logs
+ * Optional query: includeTests=true to include template test sends (excluded by default), or only=tests
+ * Sensitive emails (e.g. OTP codes) are never listed.
  */
 export const getAllEmailLogs = async (req, res) => {
   try {
-    const emailLogs = await EmailLog.find({}).sort({ sentAt: -1 }); // Sort by sentAt in descending order
+    let filter = { isTest: { $ne: true } };
+    if (req.query.only === 'tests') {
+      filter = { isTest: true };
+    } else if (req.query.includeTests === 'true') {
+      filter = {};
+    }
+    const emailLogs = await EmailLog.find({ ...filter, isSensitive: { $ne: true } }).sort({ sentAt: -1 }); // Sort by sentAt in descending order
 
     // Format the sentAt date for human readability for each log
     const formattedEmailLogs = emailLogs.map(log => ({
@@ -49,7 +129,7 @@ export const getEmailLogById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const emailLog = await EmailLog.findById(id);
+    const emailLog = await EmailLog.findOne({ _id: id, isSensitive: { $ne: true } }); // Sensitive emails are not shown
 
     if (!emailLog) {
       return res.status(404).json({
@@ -118,6 +198,8 @@ export const deleteEmailLog = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'emailLog.delete', targetType: 'EmailLog', targetId: id, before: deletedEmailLog });
+
     res.status(200).json({
       statusCode: 200,
       success: true,
@@ -145,13 +227,13 @@ export const deleteEmailLog = async (req, res) => {
 
 /**
  * Controller function to retry sending emails that previously failed.
- * This will fetch all email logs with overallStatus: "Failed" and attempt to resend them.
- * Each retry will generate a new EmailLog entry.
+ * This will fetch all email logs with overallStatus: "Failed" and queue them for sending again.
+ * Each retry will generate a new EmailLog entry, delivered by the email queue worker.
  * POST /api/email-logs/retry-failed
  */
 export const retryFailedEmails = async (req, res) => {
   try {
-    const failedEmailLogs = await EmailLog.find({ overallStatus: 'Failed' });
+    const failedEmailLogs = await EmailLog.find({ overallStatus: 'Failed', isTest: { $ne: true }, isSensitive: { $ne: true } }); // Test sends and sensitive emails (OTP codes) are not retried
 
     if (failedEmailLogs.length === 0) {
       return res.status(200).json({
@@ -182,7 +264,7 @@ export const retryFailedEmails = async (req, res) => {
       }));
 
       try {
-        // Attempt to resend the email. This will create a NEW EmailLog entry.
+        // Queue the email again. This will create a NEW EmailLog entry.
         const newEmailLogId = await sendEmail(
           toEmails,
           subject,
@@ -190,14 +272,15 @@ export const retryFailedEmails = async (req, res) => {
           attachmentsForRetry,
           ccEmails.length > 0 ? ccEmails : null,
           bccEmails.length > 0 ? bccEmails : null,
-          log.relatedFormSubmissionId // Link to original form submission if any
+          log.relatedFormSubmissionId, // Link to original form submission if any
+          { templateId: log.template, templateRevision: log.templateRevision } // Same rendered content, same template revision
         );
 
         retryResults.push({
           originalLogId: log._id,
           status: 'success',
           newLogId: newEmailLogId,
-          message: `Email retried successfully. New log ID: ${newEmailLogId}`,
+          message: `Email queued for retry. New log ID: ${newEmailLogId}`,
         });
       } catch (retryError) {
         console.error(`Error retrying email log ${log._id}:`, retryError);
@@ -205,7 +288,7 @@ export const retryFailedEmails = async (req, res) => {
           originalLogId: log._id,
           status: 'failed',
           newLogId: null,
-          message: `Failed to retry email: ${retryError.message}`,
+          message: `Failed to queue email for retry: ${retryError.message}`,
         });
       }
     }
@@ -213,9 +296,15 @@ export const retryFailedEmails = async (req, res) => {
     const successfulRetries = retryResults.filter(r => r.status === 'success').length;
     const failedRetries = retryResults.filter(r => r.status === 'failed').length;
 
+    await recordAudit(req, {
+      action: 'emailLog.retry_failed',
+      targetType: 'EmailLog',
+      metadata: { attempted: failedEmailLogs.length, succeeded: successfulRetries, failed: failedRetries, results: retryResults },
+    });
+
     let responseMessage = `Attempted to retry ${failedEmailLogs.length} failed emails. `;
     if (successfulRetries > 0) {
-      responseMessage += `${successfulRetries} succeeded. `;
+      responseMessage += `${successfulRetries} queued. `;
     }
     if (failedRetries > 0) {
       responseMessage += `${failedRetries} failed.`;
@@ -239,3 +328,159 @@ export const retryFailedEmails = async (req, res) => {
     });
   }
 };
+
+/**
+ * Controller function to list scheduled emails that have not been sent yet, soonest first.
+ * GET /api/email-logs/scheduled
+ * Optional query: from, to (range of the scheduled send time), page, limit (default 50, max 200)
+ */
+export const getScheduledEmails = async (req, res) => {
+  try {
+    const filter = { overallStatus: 'Scheduled' };
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!req.query[param]) continue;
+      const date = new Date(String(req.query[param]));
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          statusCode: 400,
+          success: false,
+          errors: [{ message: `Invalid '${param}' date.` }],
+          message: "Validation error."
+        });
+      }
+      filter.scheduledAt = { ...filter.scheduledAt, [operator]: date };
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_SCHEDULED_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_SCHEDULED_PAGE_SIZE));
+
+    const [emailLogs, totalCount] = await Promise.all([
+      EmailLog.find(filter).select('-htmlContent -textContent').sort({ scheduledAt: 1, _id: 1 }).skip((page - 1) * limit).limit(limit),
+      EmailLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Scheduled emails fetched successfully!",
+      data: emailLogs,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+      },
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "fetching scheduled emails");
+  }
+};
+
+/**
+ * Controller function to cancel a scheduled email before it is sent.
+ * The email log is kept with status 'Cancelled'.
+ * POST /api/email-logs/:id/cancel
+ */
+export const cancelScheduledEmail = async (req, res) => {
+  try {
+    const emailLog = await findScheduledEmail(req, res);
+    if (!emailLog) return;
+
+    // Removing the queued job first guarantees no worker claims it afterwards;
+    // a job already claimed (status 'processing') is being sent
+    const job = await EmailJob.findOneAndDelete({ emailLog: emailLog._id, status: 'queued' });
+    if (!job && await EmailJob.exists({ emailLog: emailLog._id })) {
+      return sendAlreadySending(res);
+    }
+
+    const before = emailLog.toObject();
+    emailLog.overallStatus = 'Cancelled';
+    emailLog.nextAttemptAt = null;
+    await emailLog.save();
+
+    await recordAudit(req, {
+      action: 'emailLog.cancel_scheduled',
+      targetType: 'EmailLog',
+      targetId: emailLog._id,
+      before: { overallStatus: before.overallStatus, scheduledAt: before.scheduledAt },
+      after: { overallStatus: emailLog.overallStatus },
+    });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Scheduled email cancelled successfully!",
+      data: emailLog,
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "cancelling the scheduled email");
+  }
+};
+
+/**
+ * Controller function to change the send time of a scheduled email.
+ * PATCH /api/email-logs/:id/schedule
+ * Body: { sendAt, sendAtTimezone?, fallbackTimezone? } as in POST /api/templates/send-email;
+ * with sendAtTimezone 'recipient' the timezone of the email's first recipient is used.
+ */
+export const rescheduleEmail = async (req, res) => {
+  try {
+    const { schedule, error } = parseScheduleOptions(req.body);
+    const validationError = error || (!schedule ? "sendAt is required." : null);
+    if (validationError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: validationError }],
+        message: "Validation error: Invalid schedule."
+      });
+    }
+
+    const emailLog = await findScheduledEmail(req, res);
+    if (!emailLog) return;
+
+    const { deliveries, error: planError } = await planScheduledDeliveries(
+      [emailLog.to[0]?.email], schedule, emailLog.relatedFormSubmissionId
+    );
+    if (planError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: planError }],
+        message: "Validation error: Invalid schedule."
+      });
+    }
+    const { sendAt, timezone } = deliveries[0];
+
+    // Only a job still waiting in the queue can be moved
+    const updated = await EmailJob.updateOne({ emailLog: emailLog._id, status: 'queued' }, { $set: { runAt: sendAt } });
+    if (updated.matchedCount === 0) {
+      if (await EmailJob.exists({ emailLog: emailLog._id })) {
+        return sendAlreadySending(res);
+      }
+      await enqueueEmail(emailLog._id, { runAt: sendAt }); // The job was lost: queue it again
+    }
+
+    const before = { scheduledAt: emailLog.scheduledAt, scheduledTimezone: emailLog.scheduledTimezone };
+    emailLog.scheduledAt = sendAt;
+    emailLog.scheduledTimezone = timezone;
+    await emailLog.save();
+
+    await recordAudit(req, {
+      action: 'emailLog.reschedule',
+      targetType: 'EmailLog',
+      targetId: emailLog._id,
+      before,
+      after: { scheduledAt: emailLog.scheduledAt, scheduledTimezone: emailLog.scheduledTimezone },
+    });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Scheduled email rescheduled successfully!",
+      data: emailLog,
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "rescheduling the email");
+  }
+};
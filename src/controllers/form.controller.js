@@ -1,185 +1,133 @@
 // src/controllers/form.controller.js
+import mongoose from 'mongoose';
 import { Form } from '../models/FormData.model.js';
-import { getGeolocation } from '../utils/geolocation.js';
+import { FormDefinition } from '../models/FormDefinition.model.js';
+import { getClientIp } from '../utils/requestIp.js';
+import { validateSubmission } from '../utils/formValidation.js';
+import { discardUploadedFiles, saveFormSubmission, toPublicSubmission } from '../utils/formSubmission.js';
+import { isHoneypotFilled, isDisposableEmail, quarantineSubmission } from '../utils/spamProtection.js';
+import { getCaptchaToken, verifyCaptcha } from '../utils/captcha.js';
 import { sendEmail } from '../utils/mailer.js'; // Import the generic sendEmail function
+import { parseScheduleOptions, planScheduledDeliveries } from '../utils/emailSchedule.js';
 import path from 'path'; // Import path module
 import { fileURLToPath } from 'url'; // For __dirname equivalent in ES Modules
+import { recordAudit } from '../utils/audit.js';
+import {
+  buildSubmissionFilter,
+  parseSubmissionSort,
+  encodeSubmissionCursor,
+  buildCursorFilter,
+} from '../utils/submissionQuery.js';
+import {
+  SUBMISSION_EXPORT_FORMATS,
+  resolveExportColumns,
+  streamSubmissionsCsv,
+  streamSubmissionsXlsx,
+} from '../utils/submissionExport.js';
 
 // Get __dirname equivalent for local file paths in ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Controller function to handle Bundle form submission
-export const submitForm = async (req, res) => {
+/**
+ * Validates, stores and acknowledges a public form submission according to its form definition.
+ * Shared by all public submit routes. Spam (honeypot, failed CAPTCHA, disposable email domain)
+ * is quarantined for review instead of being stored as a submission.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} definition - The FormDefinition document the body is validated against.
+ * @param {object} options
+ * @param {string} options.formType - Value stored as the submission's form_type.
+ * @param {string} options.successMessage - Message of the 201 response.
+ */
+const processFormSubmission = async (req, res, definition, { formType, successMessage }) => {
   try {
     // Log incoming request body and files for debugging purposes
-    console.log("submitForm: Incoming request body:", req.body);
-    console.log("submitForm: Incoming files:", req.files); // `req.files` is populated by Multer for array uploads
-
-    // Destructure necessary fields from the request body.
-    // Use an empty object as default if `req.body` is undefined/null to prevent errors.
-    const {
-      form_type,
-      bundle_form,
-      page_Name,
-      page_url,
-      name,
-      email,
-      user_type,
-      college_name,
-      reason,
-      website_url,
-      emailSubject,
-      emailMessage,
-      // `attachments` are handled separately from `req.files`, not `req.body`
-    } = req.body || {};
-
-    // Extract user's IP address. Prioritize 'x-forwarded-for' for proxy/load balancer environments.
-    let geo_ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-    // If 'x-forwarded-for' contains multiple IPs, take the first one
-    if (geo_ip && geo_ip.includes(',')) {
-      geo_ip = geo_ip.split(',')[0].trim();
+    console.log(`submit (${formType}): Incoming request body:`, req.body);
+    console.log(`submit (${formType}): Incoming files:`, req.files); // `req.files` is populated by Multer for array uploads
+
+    const body = req.body || {};
+
+    // Bots filling the honeypot get the regular success response so they don't adapt
+    if (isHoneypotFilled(body)) {
+      await quarantineSubmission(req, { formType, reason: 'honeypot' });
+      return res.status(201).json({
+        statusCode: 201,
+        success: true,
+        message: successMessage,
+        data: null,
+      });
     }
 
-    // --- Basic Server-Side Validation for Mandatory Fields ---
-    // These validations are for the form data itself, not the email log.
-    if (!form_type || !page_Name || !page_url || !name || !email || !user_type ) {
+    const captcha = await verifyCaptcha(getCaptchaToken(body), getClientIp(req));
+    if (!captcha.success) {
+      await quarantineSubmission(req, { formType, reason: 'captcha', detail: captcha.error });
       return res.status(400).json({
         statusCode: 400,
         success: false,
-        errors: [{ message: `Missing one or more mandatory form fields. Please ensure all required fields are provided.` }],
-        message: "Missing mandatory form fields."
+        errors: [{ message: "CAPTCHA verification failed. Please complete the CAPTCHA and try again." }],
+        message: "CAPTCHA verification failed."
       });
     }
 
-    // Email format validation using a regular expression
-    const emailRegex = /^[\w-]+(?:\.[\w-]+)*@(?:[\w-]+\.)+[a-zA-Z]{2,7}$/;
-    if (!emailRegex.test(email)) {
+    const { values, customFields, errors } = validateSubmission(definition, body);
+    if (errors.length > 0) {
+      discardUploadedFiles(req.files);
       return res.status(400).json({
         statusCode: 400,
         success: false,
-        errors: [{ message: "Invalid email format. Please enter a valid email address (e.g., example@domain.com)." }],
-        message: "Invalid email format."
+        errors,
+        message: "Validation failed for one or more fields."
       });
     }
 
-    // Name validation - allows letters, spaces, hyphens, and apostrophes, between 2-50 characters
-    const nameRegex = /^[A-Za-z\s'-]{2,50}$/;
-    if (!nameRegex.test(name)) {
+    if (isDisposableEmail(values.email)) {
+      await quarantineSubmission(req, { formType, reason: 'disposable_email', detail: values.email.split('@').pop() });
       return res.status(400).json({
         statusCode: 400,
         success: false,
-        errors: [{ message: "Invalid name. Only letters, spaces, hyphens, and apostrophes are allowed (2-50 characters)." }],
-        message: "Invalid name."
+        errors: [{ field: 'email', message: "Disposable email addresses are not accepted. Please use your regular email address." }],
+        message: "Validation failed for one or more fields."
       });
     }
-    // --- End Basic Validation ---
 
-    // --- Handle Attachments Uploaded via Multer ---
-    const uploadedAttachments = [];
-    // Check if files were uploaded (`req.files` is an array of file objects from Multer)
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        // Construct the relative path where the file is stored
-        const relativePath = path.join('uploads', file.filename);
-        uploadedAttachments.push({
-          filename: file.originalname, // Original name of the file
-          path: relativePath,           // Relative path to the locally saved file
-          contentType: file.mimetype,   // MIME type of the file
-          size: file.size               // Size of the file in bytes
-        });
+    if (!definition.allowAttachments && req.files && req.files.length > 0) {
+      discardUploadedFiles(req.files);
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "This form does not accept attachments." }],
+        message: "File upload error."
       });
     }
-    // --- End Handle Attachments ---
-
-    // --- Fetch Geolocation Data ---
-    let geolocationData = {};
-    if (geo_ip) {
-      const geoResult = await getGeolocation(geo_ip);
-      if (geoResult) {
-        geolocationData = geoResult;
-      }
-    }
-    // --- End Fetch Geolocation Data ---
-
-    // Create a new form document instance for saving to MongoDB
-    const newFormSubmission = new Form({
-      form_type,
-      bundle_form,
-      page_Name,
-      page_url,
-      geo_ip,
-      ...geolocationData, // Spread geolocation data into the document
-      name,
-      email,
-      user_type,
-      college_name,
-      reason,
-      website_url,
-      emailSubject,
-      emailMessage,
-      attachments: uploadedAttachments, // Save attachment metadata (paths, names, types, sizes)
-    });
-
-    // Save the new form submission to the database
-    const savedForm = await newFormSubmission.save();
-
-    // --- Prepare and Send Thank You Email ---
-    // Use custom subject if provided, otherwise a default
-    const finalSubject = emailSubject || `Thank You for Your Interest in ${form_type === 'bundle_form' ? 'Our Bundle Offer' : 'Our Products'}!`;
-    
-    // Default HTML content for the thank-you email
-    const defaultHtmlContent = `
-      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 15px; color: #333; line-height: 1.6; background-color: #f4f7f6; padding: 20px;">
-        <div style="max-width: 600px; margin: 20px auto; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.05); overflow: hidden; border: 1px solid #e0e0e0;">
-          <div style="padding: 30px; border-bottom: 1px solid #eee; background-color: #fdfdfd;">
-            <h1 style="font-size: 24px; color: #2a64ad; margin-top: 0; margin-bottom: 15px; text-align: center;">Thank You for Your Interest, ${name}!</h1>
-            <p style="text-align: center; color: #555;">We appreciate you showing interest in our ${page_Name}.</p>
-            <p style="text-align: center; color: #555;">We've received your submission and will get back to you shortly if needed.</p>
-            <p style="text-align: center; font-size: 14px; color: #666;">In the meantime, feel free to explore more on our website: <a href="${page_url}" style="color: #2a64ad; text-decoration: none;">${page_url}</a></p>
-          </div>
-          <div style="padding: 25px 30px; background-color: #f8f8f8; text-align: center; font-size: 13px; color: #777; border-top: 1px solid #eee;">
-            <p style="margin-top: 0; margin-bottom: 5px;">This is an automated email, please do not reply.</p>
-            <p style="margin: 0;">Regards,<br>The Admin App Team</p>
-          </div>
-        </div>
-      </div>
-    `;
-    // Use custom HTML content if provided, otherwise the default
-    const finalHtmlContent = emailMessage || defaultHtmlContent;
 
-    try {
-      // Map uploaded attachment metadata to Nodemailer-compatible attachment objects
-      const attachmentsForEmail = uploadedAttachments.map(attach => ({
-        filename: attach.filename,
-        // Nodemailer needs an absolute path to access local files.
-        // `process.cwd()` gives the current working directory (project root).
-        path: path.join(process.cwd(), attach.path),
-        contentType: attach.contentType
-      }));
-      
-      // Send the email using the mailer utility.
-      // The sendEmail function in mailer.js is responsible for logging to EmailLog.model.js
-      // with Pending, Success, or Failed statuses.
-      await sendEmail(email, finalSubject, finalHtmlContent, attachmentsForEmail);
-    } catch (emailError) {
-      console.error("Failed to send thank you email with attachments:", emailError);
-      // Log the error but don't prevent the successful form submission response,
-      // as the form data was already saved. You might add a rollback here if needed.
-    }
-    // --- End Send Thank You Email ---
+    // --- Handle Attachments Uploaded via Multer ---
+    const uploadedAttachments = (req.files || []).map(file => ({
+      filename: file.originalname,                  // Original name of the file
+      path: path.join('uploads', file.filename),    // Relative path to the locally saved file
+      contentType: file.mimetype,                   // MIME type of the file
+      size: file.size                               // Size of the file in bytes
+    }));
+
+    const savedForm = await saveFormSubmission({
+      definition,
+      formType,
+      values,
+      customFields,
+      attachments: uploadedAttachments,
+      ip: getClientIp(req),
+      // emailSubject/emailMessage in the body are ignored: the thank-you email comes from the form's auto-reply template
+    });
 
-    // Respond to the client indicating success
     res.status(201).json({
       statusCode: 201,
       success: true,
-      message: "Form details and attachments saved successfully! A thank-you email has been sent.",
-      data: savedForm,
+      message: successMessage,
+      data: toPublicSubmission(savedForm),
     });
 
   } catch (error) {
-    // --- Error Handling ---
-    console.error("Error saving form details with attachments:", error);
+    console.error(`Error saving ${formType} form details with attachments:`, error);
 
     // Handle Multer-specific errors (e.g., file size limits, invalid file types)
     if (error.message && error.message.startsWith('Error:')) {
@@ -210,170 +158,93 @@ export const submitForm = async (req, res) => {
   }
 };
 
-// Controller function to handle sample PDF download form submission
-export const submitSamplePdfForm = async (req, res) => {
-  try {
-    console.log("submitSamplePdfForm: Incoming request body:", req.body);
-    console.log("submitSamplePdfForm: Incoming files:", req.files);
-
-    const {
-      name,
-      email,
-      page_Name,
-      page_url,
-      website_url,
-      emailSubject,
-      emailMessage,
-    } = req.body || {};
-
-    const form_type = 'sample_pdf_download_form'; // Fixed form type for this route
-
-    let geo_ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-    if (geo_ip && geo_ip.includes(',')) {
-      geo_ip = geo_ip.split(',')[0].trim();
-    }
-
-    // Validation for sample PDF form
-    // These validations are for the form data itself, not the email log.
-    if (!name || !email || !page_Name || !page_url) {
-      return res.status(400).json({
-        statusCode: 400,
-        success: false,
-        errors: [{ message: "Missing one or more mandatory form fields (name, email, page name, page URL)." }],
-        message: "Missing mandatory form fields."
-      });
-    }
-
-    const emailRegex = /^[\w-]+(?:\.[\w-]+)*@(?:[\w-]+\.)+[a-zA-Z]{2,7}$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        statusCode: 400,
-        success: false,
-        errors: [{ message: "Invalid email format. Please enter a valid email address." }],
-        message: "Invalid email format."
-      });
-    }
-
-    const nameRegex = /^[A-Za-z\s'-]{2,50}$/;
-    if (!nameRegex.test(name)) {
-      return res.status(400).json({
-        statusCode: 400,
-        success: false,
-        errors: [{ message: "Invalid name. Only letters, spaces, hyphens, and apostrophes are allowed (2-50 characters)." }],
-        message: "Invalid name."
-      });
-    }
-
-    // Handle attachments (same logic as submitForm)
-    const uploadedAttachments = [];
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        const relativePath = path.join('uploads', file.filename);
-        uploadedAttachments.push({
-          filename: file.originalname,
-          path: relativePath,
-          contentType: file.mimetype,
-          size: file.size
-        });
-      });
-    }
+/**
+ * Sends the 404 response for a submission to a form that doesn't exist or is inactive.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+const sendFormNotFound = (req, res) => {
+  discardUploadedFiles(req.files);
+  res.status(404).json({
+    statusCode: 404,
+    success: false,
+    errors: [{ message: "This form does not exist or no longer accepts submissions." }],
+    message: "Form not found."
+  });
+};
 
-    let geolocationData = {};
-    if (geo_ip) {
-      const geoResult = await getGeolocation(geo_ip);
-      if (geoResult) {
-        geolocationData = geoResult;
-      }
+/**
+ * Loads an active form definition by key and processes the submission against it.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} formKey
+ * @param {string} successMessage
+ */
+const submitDefinedForm = async (req, res, formKey, successMessage) => {
+  try {
+    const definition = await FormDefinition.findOne({ formKey, active: true });
+    if (!definition) {
+      return sendFormNotFound(req, res);
     }
-
-    const newFormSubmission = new Form({
-      form_type,
-      page_Name,
-      page_url,
-      geo_ip,
-      ...geolocationData,
-      name,
-      email,
-      website_url,
-      emailSubject,
-      emailMessage,
-      attachments: uploadedAttachments,
+    await processFormSubmission(req, res, definition, { formType: definition.formKey, successMessage });
+  } catch (error) {
+    console.error("Error loading form definition:", error);
+    discardUploadedFiles(req.files);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "An unexpected internal server error occurred. Please try again later." }],
+      message: "Internal server error."
     });
+  }
+};
 
-    const savedForm = await newFormSubmission.save();
-
-    // --- Prepare and Send Thank You Email for Sample PDF ---
-    const finalPdfSubject = emailSubject || `Thank You for Downloading the Sample PDF from ${page_Name}!`;
-    const defaultPdfHtmlContent = `
-      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 15px; color: #333; line-height: 1.6; background-color: #f4f7f6; padding: 20px;">
-        <div style="max-width: 600px; margin: 20px auto; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.05); overflow: hidden; border: 1px solid #e0e0e0;">
-          <div style="padding: 30px; border-bottom: 1px solid #eee; background-color: #fdfdfd;">
-            <h1 style="font-size: 24px; color: #2a64ad; margin-top: 0; margin-bottom: 15px; text-align: center;">Thank You, ${name}!</h1>
-            <p style="text-align: center; color: #555;">We hope you find the sample PDF useful.</p>
-            <p style="text-align: center; color: #555;">You can download your PDF here (if applicable, or link to the download on your site):</p>
-            <div style="text-align: center; margin: 30px 0;">
-                <a href="${website_url || page_url}" style="display: inline-block; background-color: #2a64ad; color: #ffffff; font-size: 18px; font-weight: bold; padding: 15px 30px; border-radius: 8px; text-decoration: none; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">Download PDF</a>
-            </div>
-            <p style="text-align: center; font-size: 14px; color: #666;">If you have any questions, feel free to visit our website: <a href="${page_url}" style="color: #2a64ad; text-decoration: none;">${page_url}</a></p>
-          </div>
-          <div style="padding: 25px 30px; background-color: #f8f8f8; text-align: center; font-size: 13px; color: #777; border-top: 1px solid #eee;">
-            <p style="margin-top: 0; margin-bottom: 5px;">This is an automated email, please do not reply.</p>
-            <p style="margin: 0;">Regards,<br>The Admin App Team</p>
-          </div>
-        </div>
-      </div>
-    `;
-    const finalPdfHtmlContent = emailMessage || defaultPdfHtmlContent;
-
-    try {
-      const attachmentsForEmail = uploadedAttachments.map(attach => ({
-        filename: attach.filename,
-        path: path.join(process.cwd(), attach.path),
-        contentType: attach.contentType
-      }));
-      // The sendEmail function in mailer.js is responsible for logging to EmailLog.model.js
-      // with Pending, Success, or Failed statuses.
-      await sendEmail(email, finalPdfSubject, finalPdfHtmlContent, attachmentsForEmail);
-    } catch (emailError) {
-      console.error("Failed to send sample PDF thank you email with attachments:", emailError);
+/**
+ * Controller function to handle Bundle form submission.
+ * POST /api/form/submit
+ * The body's `form_type` (default 'bundle_form') is stored with the submission; it is validated
+ * against the form definition of the same key if one exists, otherwise against 'bundle_form'.
+ */
+export const submitForm = async (req, res) => {
+  try {
+    const formType = String(req.body?.form_type || 'bundle_form');
+    const definition = await FormDefinition.findOne({ formKey: formType.toLowerCase(), active: true })
+      || await FormDefinition.findOne({ formKey: 'bundle_form', active: true });
+    if (!definition) {
+      return sendFormNotFound(req, res);
     }
-    // --- End Send Thank You Email ---
-
-    res.status(201).json({
-      statusCode: 201,
-      success: true,
-      message: "Sample PDF form details and attachments saved successfully! A thank-you email has been sent.",
-      data: savedForm,
+    await processFormSubmission(req, res, definition, {
+      formType,
+      successMessage: "Form details and attachments saved successfully! A thank-you email has been sent.",
     });
-
   } catch (error) {
-    console.error("Error saving sample PDF form details with attachments:", error);
-    if (error.message && error.message.startsWith('Error:')) {
-      return res.status(400).json({
-        statusCode: 400,
-        success: false,
-        errors: [{ message: error.message }],
-        message: "File upload error."
-      });
-    }
-    if (error.name === 'ValidationError') {
-      const errors = Object.keys(error.errors).map(key => ({ message: error.errors[key].message }));
-      return res.status(400).json({
-        statusCode: 400,
-        success: false,
-        errors: errors,
-        message: "Validation failed for one or more fields."
-      });
-    }
+    console.error("Error loading form definition:", error);
+    discardUploadedFiles(req.files);
     res.status(500).json({
       statusCode: 500,
       success: false,
-      errors: [{ message: "An unexpected internal server error occurred." }],
+      errors: [{ message: "An unexpected internal server error occurred. Please try again later." }],
       message: "Internal server error."
     });
   }
 };
 
+/**
+ * Controller function to handle sample PDF download form submission.
+ * POST /api/form/submit-sample-pdf
+ * Validated against the 'sample_pdf_download_form' form definition.
+ */
+export const submitSamplePdfForm = (req, res) => submitDefinedForm(req, res, 'sample_pdf_download_form',
+  "Sample PDF form details and attachments saved successfully! A thank-you email has been sent.");
+
+/**
+ * Controller function to handle a submission to any form definition.
+ * POST /api/form/:formKey/submit
+ * Responds 404 if the form definition doesn't exist or is inactive.
+ */
+export const submitFormByKey = (req, res) => submitDefinedForm(req, res, String(req.params.formKey).toLowerCase(),
+  "Form details and attachments saved successfully! A thank-you email has been sent.");
+
 /**
  * Controller function to handle sending a custom Thank You message.
  * This function now accepts direct file uploads via Multer using 'multipart/form-data'.
@@ -385,6 +256,9 @@ export const submitSamplePdfForm = async (req, res) => {
  * "emails": "[{\"toEmails\":\"recipient@example.com\",\"subject\":\"Custom Subject\",\"message\":\"<p>Custom Message</p>\"}]",
  * // Files are sent under the form field name 'attachments' (type: file)
  * }
+ * Each email may also be scheduled with `sendAt`, `sendAtTimezone` (IANA name or 'recipient') and `fallbackTimezone`,
+ * as in POST /api/templates/send-email; `submissionId` links it to the submission it answers, whose geo_timezone
+ * is then the recipient's timezone.
  */
 export const handleThankYouSubmission = async (req, res) => {
   try {
@@ -458,7 +332,7 @@ export const handleThankYouSubmission = async (req, res) => {
     let allEmailsSentSuccessfully = true;
 
     for (const emailDetail of parsedEmailData) {
-      const { toEmails, subject, message } = emailDetail;
+      const { toEmails, subject, message, submissionId } = emailDetail;
 
       // Normalize recipients array
       let recipientsArray = toEmails;
@@ -489,44 +363,78 @@ export const handleThankYouSubmission = async (req, res) => {
         continue;
       }
 
-      try {
-        // IMPORTANT: The `sendEmail` function (in your mailer.js) is expected to:
-        // 1. Create an EmailLog entry with 'Pending' status.
-        // 2. Attempt to send the email.
-        // 3. Update the EmailLog entry with 'Success' or 'Failed' status,
-        //    including individual recipient statuses.
-        // 4. Return the ID of the created/updated EmailLog document.
-        const emailLogId = await sendEmail(recipientsArray, subject, message, attachmentsForEmail);
+      // Validate the optional schedule; recipient-local schedules may split the email per timezone
+      let scheduleError = submissionId && !mongoose.isValidObjectId(submissionId) ? "Invalid submissionId format." : null;
+      let deliveries = [];
+      if (!scheduleError) {
+        const { schedule, error } = parseScheduleOptions(emailDetail);
+        scheduleError = error;
+        if (!scheduleError) {
+          ({ deliveries, error: scheduleError } = await planScheduledDeliveries(recipientsArray, schedule, submissionId));
+        }
+      }
+      if (scheduleError) {
         sentEmailsInfo.push({
           recipients: recipientsArray,
-          subject,
+          subject: subject || "(none)",
           attachmentsCount: attachmentsForEmail.length,
-          status: "success",
-          emailLogId: emailLogId // Store the log ID returned from mailer.js
+          status: "failed",
+          error: scheduleError,
+          emailLogId: null
         });
+        allEmailsSentSuccessfully = false;
+        continue;
+      }
+
+      try {
+        // `sendEmail` (in mailer.js) creates an EmailLog entry with 'Pending' (or 'Scheduled') status, queues it
+        // and returns its ID. The email queue worker sends it later and updates the log to 'Success' or
+        // 'Failed' (after retries), including individual recipient statuses.
+        // The uploaded attachments are kept in uploads/ so the worker can read them.
+        for (const delivery of deliveries) {
+          const emailLogId = await sendEmail(delivery.recipients, subject, message, attachmentsForEmail, null, null,
+            submissionId || null, { sendAt: delivery.sendAt, timezone: delivery.timezone });
+          sentEmailsInfo.push({
+            recipients: delivery.recipients,
+            subject,
+            attachmentsCount: attachmentsForEmail.length,
+            status: delivery.sendAt ? "scheduled" : "success",
+            sendAt: delivery.sendAt,
+            timezone: delivery.timezone,
+            emailLogId: emailLogId // Store the log ID returned from mailer.js
+          });
+        }
       } catch (emailError) {
-        console.error(`Email send failed to ${recipientsArray.join(", ")}:`, emailError.message);
-        // If an error occurs here, it means `sendEmail` itself threw an exception.
-        // It's still possible that `sendEmail` created a 'Failed' log entry internally
-        // before throwing. For simplicity, we assume no successful `emailLogId` was returned.
+        console.error(`Queuing email failed for ${recipientsArray.join(", ")}:`, emailError.message);
+        // If an error occurs here, it means `sendEmail` could not store or queue the email.
+        // A log saved without a job is recovered by the worker; we assume no `emailLogId` was returned.
         sentEmailsInfo.push({
           recipients: recipientsArray,
           subject,
           attachmentsCount: attachmentsForEmail.length,
           status: "failed",
           error: emailError.message,
-          emailLogId: null // No emailLogId on a direct send failure from the mailer
+          emailLogId: null // No emailLogId when the mailer could not queue the email
         });
         allEmailsSentSuccessfully = false;
       }
     }
 
+    await recordAudit(req, {
+      action: 'form.send_thank_you',
+      targetType: 'EmailLog',
+      metadata: {
+        emails: sentEmailsInfo.map(({ recipients, subject, status, emailLogId }) => ({ recipients, subject, status, emailLogId })),
+        attachments: attachmentsForEmail.map(attach => attach.filename),
+      },
+    });
+
     // ✅ Final response
     if (allEmailsSentSuccessfully) {
       return res.status(200).json({
         statusCode: 200,
         success: true,
-        message: "All emails sent successfully.",
+        message: "All emails queued for sending.",
         sentEmails: sentEmailsInfo
       });
     } else {
@@ -537,7 +445,7 @@ export const handleThankYouSubmission = async (req, res) => {
       return res.status(207).json({
         statusCode: 207,
         success: false,
-        message: `${failedCount} out of ${totalCount} emails failed to send. ${successCount} succeeded.`,
+        message: `${failedCount} out of ${totalCount} emails could not be queued. ${successCount} queued for sending.`,
         sentEmails: sentEmailsInfo
       });
     }
@@ -552,18 +460,93 @@ export const handleThankYouSubmission = async (req, res) => {
   }
 };
 
-// Controller function to fetch all bundle form submissions
-export const fetchBundleSubmissions = async (req, res) => {
+const DEFAULT_SUBMISSIONS_PAGE_SIZE = 50;
+const MAX_SUBMISSIONS_PAGE_SIZE = 200;
+
+/**
+ * Lists form submissions with filters, sorting and pagination (shared by the listing routes).
+ * - Page pagination: ?page=2&limit=50 (returns totalPages).
+ * - Cursor pagination: ?pagination=cursor, then pass the returned `nextCursor` as ?cursor=...
+ *   (stable while new submissions arrive).
+ * - Filters and sort fields: see buildSubmissionFilter / SUBMISSION_SORT_FIELDS in src/utils/submissionQuery.js.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} preset - Filter always applied by the route (e.g. { form_type: 'bundle_form' }).
+ * @param {string} successMessage - Message returned on success.
+ */
+const listSubmissions = async (req, res, preset, successMessage) => {
   try {
-    const submissions = await Form.find({ form_type: 'bundle_form' });
+    const { filter, error: filterError } = buildSubmissionFilter(req.query, preset);
+    const { field: sortField, direction, error: sortError } = parseSubmissionSort(req.query.sort);
+    if (filterError || sortError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: filterError || sortError }],
+        message: "Validation error."
+      });
+    }
+
+    const limit = Math.min(MAX_SUBMISSIONS_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_SUBMISSIONS_PAGE_SIZE));
+    const sort = { [sortField]: direction, _id: direction };
+    const useCursor = req.query.pagination === 'cursor' || Boolean(req.query.cursor);
+
+    if (useCursor) {
+      let pageFilter = filter;
+      if (req.query.cursor) {
+        const { filter: cursorFilter, error: cursorError } = buildCursorFilter(req.query.cursor, sortField, direction);
+        if (cursorError) {
+          return res.status(400).json({
+            statusCode: 400,
+            success: false,
+            errors: [{ message: cursorError }],
+            message: "Validation error."
+          });
+        }
+        pageFilter = { $and: [filter, cursorFilter] };
+      }
+
+      // Fetch one extra document to know whether another page exists
+      const [submissions, totalCount] = await Promise.all([
+        Form.find(pageFilter).sort(sort).limit(limit + 1),
+        Form.countDocuments(filter),
+      ]);
+      const hasMore = submissions.length > limit;
+      const pageItems = hasMore ? submissions.slice(0, limit) : submissions;
+
+      return res.status(200).json({
+        statusCode: 200,
+        success: true,
+        message: successMessage,
+        submissionCount: pageItems.length,
+        totalCount,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeSubmissionCursor(pageItems[pageItems.length - 1], sortField) : null,
+        data: pageItems,
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const [submissions, totalCount] = await Promise.all([
+      Form.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+      Form.countDocuments(filter),
+    ]);
+
     res.status(200).json({
       statusCode: 200,
       success: true,
-      message: "Bundle form submissions fetched successfully!",
+      message: successMessage,
+      submissionCount: submissions.length,
+      totalCount,
+      page,
+      limit,
+      totalPages: Math.ceil(totalCount / limit),
+      hasMore: page * limit < totalCount,
       data: submissions,
     });
   } catch (error) {
-    console.error("Error fetching bundle form submissions:", error);
+    console.error("Error fetching form submissions:", error);
     res.status(500).json({
       statusCode: 500,
       success: false,
@@ -573,44 +556,83 @@ export const fetchBundleSubmissions = async (req, res) => {
   }
 };
 
-// Controller function to fetch all sample PDF form submissions
-export const fetchSampleSubmissions = async (req, res) => {
-  try {
-    const sampleSubmissions = await Form.find({ form_type: 'sample_pdf_download_form' });
-    res.status(200).json({
-      statusCode: 200,
-      success: true,
-      message: "Sample PDF form submissions fetched successfully!",
-      data: sampleSubmissions,
-    });
-  } catch (error) {
-    console.error("Error fetching sample PDF form submissions:", error);
-    res.status(500).json({
-      statusCode: 500,
-      success: false,
-      errors: [{ message: "An unexpected internal server error occurred." }],
-      message: "Internal server error."
-    });
-  }
-};
+/**
+ * Controller function to query form submissions with filters, sorting and pagination.
+ * GET /api/form/submissions
+ * Optional query:
+ * - form_type, user_type, geo_country (comma-separated), page_Name, college_name, email (contains), from, to
+ * - status (comma-separated), assignedTo (admin IDs or 'none'), contact, isDuplicate ('true'/'false')
+ * - sort: one of SUBMISSION_SORT_FIELDS, prefixed with '-' for descending (default '-createdAt')
+ * - page, limit (default 50, max 200), or pagination=cursor / cursor=<nextCursor>
+ */
+export const querySubmissions = (req, res) =>
+  listSubmissions(req, res, {}, "Form submissions fetched successfully!");
+
+// Controller function to fetch bundle form submissions (preset of GET /api/form/submissions)
+export const fetchBundleSubmissions = (req, res) =>
+  listSubmissions(req, res, { form_type: 'bundle_form' }, "Bundle form submissions fetched successfully!");
+
+// Controller function to fetch sample PDF form submissions (preset of GET /api/form/submissions)
+export const fetchSampleSubmissions = (req, res) =>
+  listSubmissions(req, res, { form_type: 'sample_pdf_download_form' }, "Sample PDF form submissions fetched successfully!");
 
-// Controller function to fetch all form submissions (both types)
-export const fetchAllSubmissions = async (req, res) => {
+// Controller function to fetch form submissions of all types (preset of GET /api/form/submissions)
+export const fetchAllSubmissions = (req, res) =>
+  listSubmissions(req, res, {}, "All form submissions fetched successfully!");
+
+/**
+ * Controller function to export form submissions as a CSV or XLSX download.
+ * Honors the same filters and sort as GET /api/form/submissions (pagination is ignored: every match is exported).
+ * Rows are streamed from the database, so large exports are never buffered in memory.
+ * GET /api/form/submissions/export
+ * Optional query:
+ * - format: 'csv' (default) or 'xlsx'
+ * - columns: comma-separated keys from SUBMISSION_EXPORT_COLUMNS (default: all columns)
+ * - filters and sort: as for GET /api/form/submissions
+ */
+export const exportSubmissions = async (req, res) => {
   try {
-    const allSubmissions = await Form.find({});
-    res.status(200).json({
-      statusCode: 200,
-      success: true,
-      message: "All form submissions fetched successfully!",
-      data: allSubmissions,
-    });
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const { filter, error: filterError } = buildSubmissionFilter(req.query);
+    const { field: sortField, direction, error: sortError } = parseSubmissionSort(req.query.sort);
+    const { columns, error: columnsError } = resolveExportColumns(req.query.columns);
+    const formatError = SUBMISSION_EXPORT_FORMATS.includes(format)
+      ? null
+      : `Invalid export format '${format}'. Allowed: ${SUBMISSION_EXPORT_FORMATS.join(', ')}.`;
+
+    const validationError = formatError || filterError || sortError || columnsError;
+    if (validationError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: validationError }],
+        message: "Validation error."
+      });
+    }
+
+    const cursor = Form.find(filter).sort({ [sortField]: direction, _id: direction }).lean().cursor();
+    const fileName = `submissions-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await streamSubmissionsXlsx(res, cursor, columns);
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await streamSubmissionsCsv(res, cursor, columns);
+    }
   } catch (error) {
-    console.error("Error fetching all form submissions:", error);
+    console.error("Error exporting form submissions:", error);
+    if (res.headersSent) {
+      // The download already started; all we can do is cut it short
+      return res.end();
+    }
     res.status(500).json({
       statusCode: 500,
       success: false,
-      errors: [{ message: "An unexpected internal server error occurred." }],
+      errors: [{ message: "An unexpected internal server error occurred while exporting submissions." }],
       message: "Internal server error."
     });
   }
-};
\ No newline at end of file
+};
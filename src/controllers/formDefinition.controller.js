@@ -0,0 +1,250 @@
+// src/controllers/formDefinition.controller.js
+import { FormDefinition, BUILT_IN_FORM_KEYS } from '../models/FormDefinition.model.js';
+import { Template } from '../models/Template.model.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Body fields an admin may set on a form definition (`formKey` only on creation)
+const EDITABLE_FIELDS = ['name', 'description', 'fields', 'allowAttachments', 'autoReply', 'active'];
+
+/**
+ * Picks the editable fields present in a request body.
+ * @param {object} body - req.body
+ * @returns {object}
+ */
+const pickEditableFields = (body = {}) => {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) updates[field] = body[field];
+  }
+  return updates;
+};
+
+/**
+ * Checks that the auto-reply template referenced by a body exists.
+ * @param {object} [autoReply] - `autoReply` from the request body.
+ * @returns {Promise<string|null>} Error message, or null if the reference is valid or absent.
+ */
+const checkAutoReplyTemplate = async (autoReply) => {
+  if (!autoReply?.template) return null;
+  const exists = await Template.exists({ _id: autoReply.template });
+  return exists ? null : `Auto-reply template '${autoReply.template}' not found.`;
+};
+
+/**
+ * Sends the response for errors shared by the form definition write controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendFormDefinitionError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.keys(error.errors).map(key => ({ message: error.errors[key].message }));
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: errors,
+      message: "Validation failed for one or more fields."
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      statusCode: 409,
+      success: false,
+      errors: [{ message: "A form definition with this form key already exists." }],
+      message: "Duplicate form key."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
+/**
+ * Controller function to list form definitions.
+ * GET /api/form-definitions
+ * Optional query: ?active=true|false
+ */
+export const getAllFormDefinitions = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.active = true;
+    if (req.query.active === 'false') filter.active = false;
+
+    const definitions = await FormDefinition.find(filter).sort({ formKey: 1 });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Form definitions fetched successfully!",
+      formDefinitionCount: definitions.length,
+      data: definitions,
+    });
+  } catch (error) {
+    sendFormDefinitionError(res, error, 'fetching form definitions');
+  }
+};
+
+/**
+ * Controller function to fetch a single form definition.
+ * GET /api/form-definitions/:id
+ */
+export const getFormDefinitionById = async (req, res) => {
+  try {
+    const definition = await FormDefinition.findById(req.params.id);
+    if (!definition) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Form definition not found." }],
+        message: "Not found."
+      });
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Form definition fetched successfully!",
+      data: definition,
+    });
+  } catch (error) {
+    sendFormDefinitionError(res, error, 'fetching the form definition');
+  }
+};
+
+/**
+ * Controller function to create a form definition.
+ * POST /api/form-definitions
+ * Expected body: { formKey, name, description?, fields: [{ name, label?, type?, required?, minLength?, maxLength?,
+ *   pattern?, patternMessage?, options? }], allowAttachments?, autoReply?: { enabled?, template? }, active? }
+ * The form accepts submissions at POST /api/form/:formKey/submit.
+ */
+export const createFormDefinition = async (req, res) => {
+  try {
+    const templateError = await checkAutoReplyTemplate(req.body?.autoReply);
+    if (templateError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: templateError }],
+        message: "Validation error."
+      });
+    }
+
+    const definition = new FormDefinition({ formKey: req.body?.formKey, ...pickEditableFields(req.body) });
+    const savedDefinition = await definition.save();
+
+    await recordAudit(req, { action: 'formDefinition.create', targetType: 'FormDefinition', targetId: savedDefinition._id, after: savedDefinition });
+
+    res.status(201).json({
+      statusCode: 201,
+      success: true,
+      message: `Form definition '${savedDefinition.formKey}' created successfully!`,
+      data: savedDefinition,
+    });
+  } catch (error) {
+    sendFormDefinitionError(res, error, 'creating the form definition');
+  }
+};
+
+/**
+ * Controller function to update a form definition.
+ * PUT /api/form-definitions/:id
+ * Accepts the fields of the create body except `formKey`: stored submissions reference it,
+ * so it cannot change. `fields` replaces the whole field list.
+ */
+export const updateFormDefinition = async (req, res) => {
+  try {
+    const definition = await FormDefinition.findById(req.params.id);
+    if (!definition) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Form definition not found." }],
+        message: "Not found."
+      });
+    }
+
+    let validationError = null;
+    if (req.body?.formKey !== undefined && String(req.body.formKey).trim().toLowerCase() !== definition.formKey) {
+      validationError = "The form key of an existing form definition cannot be changed.";
+    } else {
+      validationError = await checkAutoReplyTemplate(req.body?.autoReply);
+    }
+    if (validationError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: validationError }],
+        message: "Validation error."
+      });
+    }
+
+    const before = definition.toObject();
+    definition.set(pickEditableFields(req.body));
+    const updatedDefinition = await definition.save();
+
+    await recordAudit(req, { action: 'formDefinition.update', targetType: 'FormDefinition', targetId: definition._id, before, after: updatedDefinition });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Form definition '${updatedDefinition.formKey}' updated successfully!`,
+      data: updatedDefinition,
+    });
+  } catch (error) {
+    sendFormDefinitionError(res, error, 'updating the form definition');
+  }
+};
+
+/**
+ * Controller function to delete a form definition.
+ * DELETE /api/form-definitions/:id
+ * Existing submissions are kept. The built-in definitions can only be deactivated.
+ */
+export const deleteFormDefinition = async (req, res) => {
+  try {
+    const definition = await FormDefinition.findById(req.params.id);
+    if (!definition) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Form definition not found." }],
+        message: "Not found."
+      });
+    }
+
+    if (BUILT_IN_FORM_KEYS.includes(definition.formKey)) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: `'${definition.formKey}' is a built-in form and cannot be deleted. Deactivate it instead.` }],
+        message: "Built-in form definition."
+      });
+    }
+
+    await definition.deleteOne();
+
+    await recordAudit(req, { action: 'formDefinition.delete', targetType: 'FormDefinition', targetId: definition._id, before: definition });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Form definition '${definition.formKey}' deleted successfully!`,
+      data: definition,
+    });
+  } catch (error) {
+    sendFormDefinitionError(res, error, 'deleting the form definition');
+  }
+};
@@ -2,6 +2,7 @@
 import cloudinary from '../config/cloudinaryConfig.js'; // Import the configured Cloudinary instance
 import { Gallery } from '../models/Gallery.model.js';   // Import the Gallery Mongoose model
 import fs from 'fs'; // Node.js file system module for deleting local files
+import { recordAudit } from '../utils/audit.js';
 
 /**
  * Controller function to upload media to Cloudinary and save its details to MongoDB.
@@ -81,6 +82,8 @@ export const uploadMedia = async (req, res) => {
 
     const savedItem = await newGalleryItem.save();
 
+    await recordAudit(req, { action: 'gallery.upload', targetType: 'Gallery', targetId: savedItem._id, after: savedItem });
+
     res.status(201).json({
       statusCode: 201,
       success: true,
@@ -302,6 +305,8 @@ export const updateMedia = async (req, res) => {
       { new: true, runValidators: true } // Return the updated document and run schema validators
     );
 
+    await recordAudit(req, { action: 'gallery.update', targetType: 'Gallery', targetId: id, before: existingMediaItem, after: updatedMediaItem });
+
     res.status(200).json({
       statusCode: 200,
       success: true,
@@ -388,6 +393,8 @@ export const deleteMedia = async (req, res) => {
     // Delete the media item from MongoDB
     const deletedItem = await Gallery.findByIdAndDelete(id);
 
+    await recordAudit(req, { action: 'gallery.delete', targetType: 'Gallery', targetId: id, before: mediaItem });
+
     res.status(200).json({
       statusCode: 200,
       success: true,
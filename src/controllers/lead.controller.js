@@ -0,0 +1,294 @@
+// src/controllers/lead.controller.js
+import mongoose from 'mongoose';
+import { Form, LEAD_STATUSES, CLOSED_LEAD_STATUSES } from '../models/FormData.model.js';
+import { Admin } from '../models/Admin.model.js';
+import { recordAudit } from '../utils/audit.js';
+import { isValidTimezone, getDayBoundsInTimezone } from '../utils/timezone.js';
+
+// Admin fields shown for the assignee and note authors of a submission
+const ADMIN_SUMMARY_FIELDS = 'email role';
+
+const DEFAULT_FOLLOW_UPS_LIMIT = 100;
+const MAX_FOLLOW_UPS_LIMIT = 500;
+
+/**
+ * Picks the lead fields of a submission, for audit snapshots.
+ * @param {object} submission
+ * @returns {object}
+ */
+const leadSnapshot = (submission) => ({
+  status: submission.status,
+  assignedTo: submission.assignedTo ? String(submission.assignedTo._id || submission.assignedTo) : null,
+  nextFollowUpAt: submission.nextFollowUpAt || null,
+});
+
+/**
+ * Sends the 404 response for an unknown submission.
+ * @param {import('express').Response} res
+ */
+const sendSubmissionNotFound = (res) => res.status(404).json({
+  statusCode: 404,
+  success: false,
+  errors: [{ message: "Submission not found." }],
+  message: "Not found."
+});
+
+/**
+ * Sends the response for errors shared by the lead controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendLeadError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid Submission ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.keys(error.errors).map(key => ({ message: error.errors[key].message }));
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: errors,
+      message: "Validation failed for one or more fields."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
+/**
+ * Controller function to fetch a single submission with its notes and history.
+ * GET /api/form/submissions/:id
+ */
+export const getSubmissionById = async (req, res) => {
+  try {
+    const submission = await Form.findById(req.params.id)
+      .populate('assignedTo', ADMIN_SUMMARY_FIELDS)
+      .populate('notes.author', ADMIN_SUMMARY_FIELDS);
+    if (!submission) {
+      return sendSubmissionNotFound(res);
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Submission fetched successfully!",
+      data: submission,
+    });
+  } catch (error) {
+    sendLeadError(res, error, 'fetching the submission');
+  }
+};
+
+/**
+ * Controller function to update the lead fields of a submission.
+ * Every change is appended to the submission's `history`.
+ * PATCH /api/form/submissions/:id/lead
+ * Expected body (all optional): { status, assignedTo (admin ID or null), nextFollowUpAt (ISO date or null) }
+ */
+export const updateSubmissionLead = async (req, res) => {
+  try {
+    const { status, assignedTo, nextFollowUpAt } = req.body || {};
+
+    let validationError = null;
+    if (status === undefined && assignedTo === undefined && nextFollowUpAt === undefined) {
+      validationError = "Provide at least one of 'status', 'assignedTo' or 'nextFollowUpAt'.";
+    } else if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+      validationError = `Invalid status. Allowed statuses: ${LEAD_STATUSES.join(', ')}.`;
+    } else if (assignedTo && !mongoose.isValidObjectId(assignedTo)) {
+      validationError = "Invalid 'assignedTo' admin ID.";
+    } else if (nextFollowUpAt && isNaN(new Date(nextFollowUpAt))) {
+      validationError = "Invalid 'nextFollowUpAt' date.";
+    }
+    if (validationError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: validationError }],
+        message: "Validation error."
+      });
+    }
+
+    if (assignedTo) {
+      const assignee = await Admin.findOne({ _id: assignedTo, active: { $ne: false } });
+      if (!assignee) {
+        return res.status(400).json({
+          statusCode: 400,
+          success: false,
+          errors: [{ message: "Submissions can only be assigned to an active admin." }],
+          message: "Validation error."
+        });
+      }
+    }
+
+    const submission = await Form.findById(req.params.id);
+    if (!submission) {
+      return sendSubmissionNotFound(res);
+    }
+
+    const before = leadSnapshot(submission);
+    const updates = {};
+    if (status !== undefined) updates.status = status;
+    if (assignedTo !== undefined) updates.assignedTo = assignedTo ? String(assignedTo) : null;
+    if (nextFollowUpAt !== undefined) updates.nextFollowUpAt = nextFollowUpAt ? new Date(nextFollowUpAt) : null;
+
+    const changedAt = new Date();
+    for (const [field, value] of Object.entries(updates)) {
+      const previous = before[field];
+      const unchanged = previous instanceof Date && value instanceof Date
+        ? previous.getTime() === value.getTime()
+        : previous === value;
+      if (unchanged) continue;
+
+      submission[field] = value;
+      submission.history.push({
+        field,
+        from: previous,
+        to: value,
+        changedBy: req.admin.adminId,
+        changedByEmail: req.admin.email,
+        changedAt,
+      });
+    }
+
+    if (submission.isModified()) {
+      await submission.save();
+      await recordAudit(req, {
+        action: 'submission.update_lead',
+        targetType: 'Form',
+        targetId: submission._id,
+        before,
+        after: leadSnapshot(submission),
+      });
+    }
+
+    await submission.populate('assignedTo', ADMIN_SUMMARY_FIELDS);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Submission lead details updated successfully!",
+      data: submission,
+    });
+  } catch (error) {
+    sendLeadError(res, error, 'updating the submission lead details');
+  }
+};
+
+/**
+ * Controller function to add an internal note to a submission.
+ * POST /api/form/submissions/:id/notes
+ * Expected body: { text }
+ */
+export const addSubmissionNote = async (req, res) => {
+  try {
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "Note text is required." }],
+        message: "Validation error."
+      });
+    }
+
+    const submission = await Form.findById(req.params.id);
+    if (!submission) {
+      return sendSubmissionNotFound(res);
+    }
+
+    submission.notes.push({ text, author: req.admin.adminId, authorEmail: req.admin.email });
+    await submission.save();
+    const note = submission.notes[submission.notes.length - 1];
+
+    await recordAudit(req, {
+      action: 'submission.add_note',
+      targetType: 'Form',
+      targetId: submission._id,
+      metadata: { noteId: String(note._id) },
+    });
+
+    res.status(201).json({
+      statusCode: 201,
+      success: true,
+      message: "Note added successfully!",
+      data: note,
+    });
+  } catch (error) {
+    sendLeadError(res, error, 'adding the note');
+  }
+};
+
+/**
+ * Controller function to list open submissions whose follow-up is due today (or overdue).
+ * Submissions with a closed status (converted, lost) are left out.
+ * GET /api/form/submissions/follow-ups
+ * Optional query:
+ * - timezone: IANA timezone defining "today" (default 'UTC'), e.g. 'Asia/Kolkata'
+ * - includeOverdue: 'false' to leave out follow-ups due before today (default: included)
+ * - assignedTo: 'me', an admin ID, or 'none' for unassigned submissions
+ * - limit (default 100, max 500)
+ */
+export const getDueFollowUps = async (req, res) => {
+  try {
+    const timezone = String(req.query.timezone || 'UTC');
+    const includeOverdue = req.query.includeOverdue !== 'false';
+    const limit = Math.min(MAX_FOLLOW_UPS_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_FOLLOW_UPS_LIMIT));
+    const assignedTo = req.query.assignedTo === 'me' ? req.admin.adminId : req.query.assignedTo;
+
+    let validationError = null;
+    if (!isValidTimezone(timezone)) {
+      validationError = `Invalid timezone '${timezone}'. Use an IANA timezone name such as 'Asia/Kolkata'.`;
+    } else if (assignedTo && assignedTo !== 'none' && !mongoose.isValidObjectId(assignedTo)) {
+      validationError = "Invalid 'assignedTo' admin ID.";
+    }
+    if (validationError) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: validationError }],
+        message: "Validation error."
+      });
+    }
+
+    const { start, end } = getDayBoundsInTimezone(new Date(), timezone);
+    const filter = {
+      status: { $nin: CLOSED_LEAD_STATUSES },
+      nextFollowUpAt: includeOverdue ? { $ne: null, $lt: end } : { $gte: start, $lt: end },
+    };
+    if (assignedTo) {
+      filter.assignedTo = assignedTo === 'none' ? null : assignedTo;
+    }
+
+    const [followUps, overdueCount, dueTodayCount] = await Promise.all([
+      Form.find(filter).sort({ nextFollowUpAt: 1, _id: 1 }).limit(limit).populate('assignedTo', ADMIN_SUMMARY_FIELDS),
+      includeOverdue ? Form.countDocuments({ ...filter, nextFollowUpAt: { $ne: null, $lt: start } }) : 0,
+      Form.countDocuments({ ...filter, nextFollowUpAt: { $gte: start, $lt: end } }),
+    ]);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Due follow-ups fetched successfully!",
+      timezone,
+      dayStart: start,
+      dayEnd: end,
+      dueTodayCount,
+      overdueCount,
+      submissionCount: followUps.length,
+      data: followUps,
+    });
+  } catch (error) {
+    sendLeadError(res, error, 'fetching due follow-ups');
+  }
+};
@@ -0,0 +1,239 @@
+// src/controllers/quarantine.controller.js
+import { QuarantinedSubmission, QUARANTINE_REASONS } from '../models/QuarantinedSubmission.model.js';
+import { FormDefinition } from '../models/FormDefinition.model.js';
+import { validateSubmission } from '../utils/formValidation.js';
+import { saveFormSubmission } from '../utils/formSubmission.js';
+import { deleteAttachmentFiles, restoreQuarantinedUploads } from '../utils/spamProtection.js';
+import { recordAudit } from '../utils/audit.js';
+
+const DEFAULT_QUARANTINE_PAGE_SIZE = 50;
+const MAX_QUARANTINE_PAGE_SIZE = 200;
+
+/**
+ * Sends the response for errors shared by the quarantine controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendQuarantineError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
+/**
+ * Loads a quarantined submission that is still awaiting review, or sends the 404/409 response.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<object|null>} The QuarantinedSubmission document, or null if a response was sent.
+ */
+const findPendingEntry = async (req, res) => {
+  const entry = await QuarantinedSubmission.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({
+      statusCode: 404,
+      success: false,
+      errors: [{ message: "Quarantined submission not found." }],
+      message: "Not found."
+    });
+    return null;
+  }
+  if (entry.status !== 'pending') {
+    res.status(409).json({
+      statusCode: 409,
+      success: false,
+      errors: [{ message: `This submission was already ${entry.status}.` }],
+      message: "Already reviewed."
+    });
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Controller function to list quarantined (spam-suspected) public submissions, newest first.
+ * GET /api/quarantine
+ * Optional query: status ('pending' by default, 'released', 'discarded' or 'all'), reason, form_type, page, limit
+ */
+export const getQuarantinedSubmissions = async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    const filter = status === 'all' ? {} : { status };
+    if (req.query.reason) {
+      if (!QUARANTINE_REASONS.includes(req.query.reason)) {
+        return res.status(400).json({
+          statusCode: 400,
+          success: false,
+          errors: [{ message: `Invalid reason. Allowed: ${QUARANTINE_REASONS.join(', ')}.` }],
+          message: "Validation error."
+        });
+      }
+      filter.reason = req.query.reason;
+    }
+    if (req.query.form_type) filter.form_type = String(req.query.form_type);
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_QUARANTINE_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_QUARANTINE_PAGE_SIZE));
+
+    const [entries, totalCount] = await Promise.all([
+      QuarantinedSubmission.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      QuarantinedSubmission.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Quarantined submissions fetched successfully!",
+      entryCount: entries.length,
+      totalCount,
+      page,
+      limit,
+      totalPages: Math.ceil(totalCount / limit),
+      data: entries,
+    });
+  } catch (error) {
+    sendQuarantineError(res, error, 'fetching quarantined submissions');
+  }
+};
+
+/**
+ * Controller function to release a quarantined submission that turned out to be genuine.
+ * The stored fields are validated against the form definition again and saved as a regular
+ * submission with its kept uploads as attachments (the thank-you email is sent as configured).
+ * POST /api/quarantine/:id/release
+ */
+export const releaseQuarantinedSubmission = async (req, res) => {
+  try {
+    const entry = await findPendingEntry(req, res);
+    if (!entry) return;
+
+    // Same lookup as POST /api/form/submit: unknown form types were validated as bundle forms
+    const definition = await FormDefinition.findOne({ formKey: entry.form_type.toLowerCase() })
+      || await FormDefinition.findOne({ formKey: 'bundle_form' });
+    if (!definition) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: `No form definition exists for '${entry.form_type}' anymore.` }],
+        message: "Form not found."
+      });
+    }
+
+    const body = entry.body || {};
+    const { values, customFields, errors } = validateSubmission(definition, body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors,
+        message: "The quarantined submission is not valid for its form."
+      });
+    }
+
+    if (!definition.allowAttachments && entry.attachments.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "This form does not accept attachments." }],
+        message: "The quarantined submission is not valid for its form."
+      });
+    }
+
+    let attachments;
+    try {
+      attachments = await restoreQuarantinedUploads(entry.attachments);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: "The uploaded files of this submission are no longer available." }],
+        message: "Attachments missing."
+      });
+    }
+
+    let savedForm;
+    try {
+      savedForm = await saveFormSubmission({
+        definition,
+        formType: entry.form_type,
+        values,
+        customFields,
+        attachments,
+        ip: entry.ip,
+      });
+    } catch (error) {
+      deleteAttachmentFiles(attachments);
+      throw error;
+    }
+
+    entry.status = 'released';
+    entry.reviewedBy = req.admin.adminId;
+    entry.reviewedAt = new Date();
+    entry.releasedSubmission = savedForm._id;
+    await entry.save();
+    deleteAttachmentFiles(entry.attachments); // The submission now has its own copies in uploads/
+
+    await recordAudit(req, {
+      action: 'quarantine.release',
+      targetType: 'QuarantinedSubmission',
+      targetId: entry._id,
+      metadata: { reason: entry.reason, submissionId: String(savedForm._id) },
+    });
+
+    res.status(201).json({
+      statusCode: 201,
+      success: true,
+      message: "Quarantined submission released and saved as a form submission!",
+      data: savedForm,
+    });
+  } catch (error) {
+    sendQuarantineError(res, error, 'releasing the quarantined submission');
+  }
+};
+
+/**
+ * Controller function to confirm a quarantined submission as spam.
+ * The entry is kept (marked 'discarded') until the quarantine retention period ends; its uploads are deleted.
+ * POST /api/quarantine/:id/discard
+ */
+export const discardQuarantinedSubmission = async (req, res) => {
+  try {
+    const entry = await findPendingEntry(req, res);
+    if (!entry) return;
+
+    entry.status = 'discarded';
+    entry.reviewedBy = req.admin.adminId;
+    entry.reviewedAt = new Date();
+    await entry.save();
+    deleteAttachmentFiles(entry.attachments);
+
+    await recordAudit(req, {
+      action: 'quarantine.discard',
+      targetType: 'QuarantinedSubmission',
+      targetId: entry._id,
+      metadata: { reason: entry.reason },
+    });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Quarantined submission discarded.",
+      data: entry,
+    });
+  } catch (error) {
+    sendQuarantineError(res, error, 'discarding the quarantined submission');
+  }
+};
@@ -1,14 +1,170 @@
 // src/controllers/template.controller.js
+import mongoose from 'mongoose';
 import { Template } from '../models/Template.model.js';
+import { Form } from '../models/FormData.model.js';
 import { sendEmail } from '../utils/mailer.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import cloudinary from '../config/cloudinaryConfig.js'; // Import cloudinary
 import fs from 'fs'; // Import fs for file system operations
+import { recordAudit } from '../utils/audit.js';
+import { saveTemplateRevision, findRevisionAttachmentIds, getSentTemplateRevision } from '../utils/templateRevisions.js';
+import { TemplateRevision } from '../models/TemplateRevision.model.js';
+import { parseScheduleOptions, planScheduledDeliveries } from '../utils/emailSchedule.js';
+import { findLatestSubmissionByEmail, normalizeEmail } from '../utils/contacts.js';
+import {
+  getTemplateSyntaxError,
+  submissionTemplateVariables,
+} from '../utils/templateRenderer.js';
+import { createEmailRenderer, getTemplateLayoutError } from '../utils/emailLayouts.js';
+import { prepareEmailContent } from '../utils/emailContent.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Checks the template syntax of a subject and HTML content (either may be omitted on update).
+ * @param {object} fields - { subject, htmlContent }
+ * @returns {string|null} Error message, or null if both are valid.
+ */
+const getTemplateFieldsError = ({ subject, htmlContent }) => {
+  for (const [field, source] of [['subject', subject], ['htmlContent', htmlContent]]) {
+    const error = source !== undefined ? getTemplateSyntaxError(source) : null;
+    if (error) return `Invalid template syntax in ${field}: ${error}`;
+  }
+  return null;
+};
+
+/**
+ * Normalizes the `layout` field of a multipart request: an ID, or null to render without a layout.
+ * @param {string} value
+ * @returns {string|null|undefined} undefined when the field was not sent.
+ */
+const parseLayoutField = (value) => {
+  if (value === undefined) return undefined;
+  return value === null || value === '' || value === 'null' ? null : String(value);
+};
+
+/**
+ * Parses an optional object field of a multipart request (sent as a JSON string).
+ * @param {string|object} value
+ * @param {string} fieldName - For the error message.
+ * @returns {{value?: object, error?: string}}
+ */
+const parseObjectField = (value, fieldName) => {
+  if (value === undefined || value === null || value === '') return { value: {} };
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return { error: `'${fieldName}' must be a JSON object.` };
+    }
+  }
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? { value: parsed } : { error: `'${fieldName}' must be a JSON object.` };
+};
+
+/**
+ * Builds the template variables of each recipient, from lowest to highest precedence: the fields of the
+ * recipient's latest form submission (or of the given submission), the recipient's email, the shared
+ * `variables` and the recipient's entry in `recipientVariables`.
+ * @param {string[]} recipients
+ * @param {object} options - { submissionId, variables, recipientVariables }
+ * @returns {Promise<Map<string, {data: object, submissionId: *}>>} Keyed by recipient as given.
+ */
+const buildRecipientContexts = async (recipients, { submissionId, variables, recipientVariables }) => {
+  const perRecipient = Object.fromEntries(Object.entries(recipientVariables).map(([email, data]) => [normalizeEmail(email), data]));
+  const answeredSubmission = submissionId ? await Form.findById(submissionId) : null;
+  const contexts = new Map();
+  for (const recipient of recipients) {
+    const submission = answeredSubmission || await findLatestSubmissionByEmail(recipient);
+    contexts.set(recipient, {
+      data: {
+        ...submissionTemplateVariables(submission),
+        email: recipient,
+        ...variables,
+        ...(perRecipient[normalizeEmail(recipient)] || {}),
+      },
+      submissionId: submission?._id || null,
+    });
+  }
+  return contexts;
+};
+
+/**
+ * Renders a template for a preview or test send, with the fields of `submissionId` (if given), the `email`
+ * variable and the `variables` of the request. Unsaved `subject`/`htmlContent` edits can be passed to
+ * preview them before saving. Missing variables render empty and are listed. The HTML and text are
+ * rendered into the template's layout and prepared as `sendEmail` sends them (sanitized, CSS inlined).
+ * @param {object} template - The Template document.
+ * @param {object} body - Request body: { submissionId, variables, subject, htmlContent }
+ * @param {string} email - Value of the `email` variable when no submission is given.
+ * @returns {Promise<{rendered?: object, error?: string, status?: number}>}
+ *   `rendered`: { subject, html, text, size, warnings, missingVariables, submissionId, layout }
+ */
+const renderTemplateSample = async (template, { submissionId, variables, subject, htmlContent } = {}, email = null) => {
+  if (submissionId && !mongoose.isValidObjectId(submissionId)) {
+    return { error: "Invalid submissionId format.", status: 400 };
+  }
+  const parsedVariables = parseObjectField(variables, 'variables');
+  if (parsedVariables.error) return { error: parsedVariables.error, status: 400 };
+
+  const subjectSource = subject || template.subject;
+  const htmlSource = htmlContent || template.htmlContent;
+  const syntaxError = getTemplateFieldsError({ subject: subjectSource, htmlContent: htmlSource })
+    || await getTemplateLayoutError({ subject: subjectSource, htmlContent: htmlSource });
+  if (syntaxError) return { error: syntaxError, status: 400 };
+
+  const submission = submissionId ? await Form.findById(submissionId) : null;
+  if (submissionId && !submission) {
+    return { error: "Submission not found.", status: 404 };
+  }
+
+  const data = {
+    ...submissionTemplateVariables(submission),
+    email: submission?.email || email,
+    ...parsedVariables.value,
+  };
+  const renderer = await createEmailRenderer({ layoutId: template.layout });
+  const content = prepareEmailContent(renderer.wrap(renderer.compile(htmlSource)(data), data), template.attachments || []);
+  return {
+    rendered: {
+      subject: renderer.compile(subjectSource, { escapeHtml: false })(data),
+      html: content.html,
+      text: content.text,
+      size: content.size,
+      warnings: content.warnings,
+      missingVariables: renderer.findMissingVariables([subjectSource, htmlSource], data),
+      submissionId: submission?._id || null,
+      layout: renderer.layout,
+    },
+  };
+};
+
+/**
+ * Sends the response for errors shared by the template preview and test-send controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendPreviewError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid Template ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
 /**
  * Controller function to fetch all email templates.
  * GET /api/templates
@@ -81,11 +237,14 @@ export const getTemplateById = async (req, res) => {
 /**
  * Controller function to add a new email template.
  * POST /api/templates
- * Expected body: { templateName, subject, htmlContent, type (optional), description (optional), attachments (optional, these are file uploads) }
+ * Expected body: { templateName, subject, htmlContent, type (optional), description (optional), layout (optional email layout ID),
+ *   attachments (optional, these are file uploads) }
+ * The subject and content may include partials ({{> footer}}, see /api/email-layouts).
  */
 export const addTemplate = async (req, res) => {
   try {
     const { templateName, subject, htmlContent, type, description } = req.body;
+    const layout = parseLayoutField(req.body.layout);
     const uploadedFiles = req.files && req.files.attachments ? req.files.attachments : [];
 
     const missingFields = [];
@@ -110,6 +269,23 @@ export const addTemplate = async (req, res) => {
       });
     }
 
+    const syntaxError = getTemplateFieldsError({ subject, htmlContent })
+      || await getTemplateLayoutError({ layout, subject, htmlContent });
+    if (syntaxError) {
+      // Delete locally uploaded files if the template doesn't compile or references a missing layout or partial
+      uploadedFiles.forEach(file => {
+        fs.unlink(file.path, (err) => {
+          if (err) console.error("Error deleting local file after template validation failure:", err);
+        });
+      });
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: syntaxError }],
+        message: "Validation error."
+      });
+    }
+
     const existingTemplate = await Template.findOne({ templateName });
     if (existingTemplate) {
       // Delete locally uploaded files if template name already exists
@@ -167,10 +343,15 @@ export const addTemplate = async (req, res) => {
       htmlContent,
       type,
       description,
+      layout: layout || null,
       attachments: attachmentsMetadata,
+      currentRevision: 1,
     });
 
     const savedTemplate = await newTemplate.save();
+    await saveTemplateRevision(req, savedTemplate, { action: 'create' });
+
+    await recordAudit(req, { action: 'template.create', targetType: 'Template', targetId: savedTemplate._id, after: savedTemplate });
 
     res.status(201).json({
       statusCode: 201,
@@ -206,6 +387,7 @@ export const addTemplate = async (req, res) => {
  * htmlContent (optional), 
  * type (optional), 
  * description (optional),
+ * layout (optional, email layout ID, or '' to remove the layout),
  * existingAttachmentPublicIds (optional, array of public_ids to KEEP)
  * }
  * Files are sent via multipart/form-data under the 'attachments' field.
@@ -247,6 +429,26 @@ export const updateTemplate = async (req, res) => {
     delete updates.createdAt;
     delete updates.updatedAt;
     delete updates.__v;
+    delete updates.currentRevision; // Only incremented by saves
+    if (updates.layout !== undefined) updates.layout = parseLayoutField(updates.layout);
+
+    const syntaxError = getTemplateFieldsError(updates) || await getTemplateLayoutError(updates);
+    if (syntaxError) {
+      // Delete locally uploaded files if the template doesn't compile or references a missing layout or partial
+      if (uploadedFiles && uploadedFiles.length > 0) {
+        uploadedFiles.forEach(file => {
+          fs.unlink(file.path, (err) => {
+            if (err) console.error("Error deleting local file after template validation failure:", err);
+          });
+        });
+      }
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: syntaxError }],
+        message: "Validation error."
+      });
+    }
 
     // Find the existing template to get its current attachments
     const existingTemplate = await Template.findById(id);
@@ -289,31 +491,11 @@ export const updateTemplate = async (req, res) => {
     }
 
     let currentAttachments = existingTemplate.attachments || [];
-    let attachmentsToKeep = [];
-    let attachmentsToDeleteFromCloudinary = [];
-
-    // Separate attachments to keep and attachments to delete
-    currentAttachments.forEach(attachment => {
-      if (attachment.public_id && existingAttachmentPublicIds.includes(attachment.public_id)) {
-        attachmentsToKeep.push(attachment);
-      } else if (attachment.public_id) {
-        attachmentsToDeleteFromCloudinary.push(attachment.public_id);
-      }
-    });
-
-    // Delete old attachments from Cloudinary that are no longer requested to be kept
-    for (const publicId of attachmentsToDeleteFromCloudinary) {
-      try {
-        const destroyResult = await cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
-        console.log(`Deleted old Cloudinary attachment: ${publicId}. Result:`, destroyResult);
-        if (destroyResult.result !== 'ok' && destroyResult.result !== 'not found') {
-            console.error('Failed to delete attachment from Cloudinary:', destroyResult);
-        }
-      } catch (destroyError) {
-        console.error(`Error deleting old Cloudinary attachment ${publicId}:`, destroyError);
-        // Continue even if old attachment deletion fails to avoid blocking the update
-      }
-    }
+    // Attachments not kept are only removed from the template: earlier revisions still reference their
+    // Cloudinary files (a rollback restores them), which are deleted together with the template
+    const attachmentsToKeep = currentAttachments.filter(
+      attachment => attachment.public_id && existingAttachmentPublicIds.includes(attachment.public_id)
+    );
 
     // Upload new attachments to Cloudinary
     const newUploadedAttachmentsMetadata = [];
@@ -361,7 +543,7 @@ export const updateTemplate = async (req, res) => {
 
     const updatedTemplate = await Template.findByIdAndUpdate(
       id,
-      { $set: updateFields },
+      { $set: updateFields, $inc: { currentRevision: 1 } },
       { new: true, runValidators: true }
     );
 
@@ -374,6 +556,10 @@ export const updateTemplate = async (req, res) => {
       });
     }
 
+    await saveTemplateRevision(req, updatedTemplate, { action: 'update' });
+
+    await recordAudit(req, { action: 'template.update', targetType: 'Template', targetId: id, before: existingTemplate, after: updatedTemplate });
+
     res.status(200).json({
       statusCode: 200,
       success: true,
@@ -434,23 +620,26 @@ export const deleteTemplate = async (req, res) => {
       });
     }
 
-    // Also delete attachments from Cloudinary if they exist
-    if (deletedTemplate.attachments && deletedTemplate.attachments.length > 0) {
-      for (const attachment of deletedTemplate.attachments) {
-        if (attachment.public_id) {
-          try {
-            const destroyResult = await cloudinary.uploader.destroy(attachment.public_id, { resource_type: 'raw' });
-            console.log(`Cloudinary deletion result for ${attachment.public_id}:`, destroyResult);
-            if (destroyResult.result !== 'ok' && destroyResult.result !== 'not found') {
-                console.error('Failed to delete attachment from Cloudinary:', destroyResult);
-            }
-          } catch (destroyError) {
-            console.error(`Error deleting Cloudinary attachment ${attachment.public_id}:`, destroyError);
-            // Log the error but don't prevent the template deletion from proceeding
-          }
+    // Also delete attachments from Cloudinary if they exist, including those only referenced by older revisions
+    const attachmentPublicIds = new Set([
+      ...(deletedTemplate.attachments || []).map(attachment => attachment.public_id).filter(publicId => publicId),
+      ...await findRevisionAttachmentIds(deletedTemplate._id),
+    ]);
+    for (const publicId of attachmentPublicIds) {
+      try {
+        const destroyResult = await cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
+        console.log(`Cloudinary deletion result for ${publicId}:`, destroyResult);
+        if (destroyResult.result !== 'ok' && destroyResult.result !== 'not found') {
+            console.error('Failed to delete attachment from Cloudinary:', destroyResult);
         }
+      } catch (destroyError) {
+        console.error(`Error deleting Cloudinary attachment ${publicId}:`, destroyError);
+        // Log the error but don't prevent the template deletion from proceeding
       }
     }
+    await TemplateRevision.deleteMany({ template: deletedTemplate._id });
+
+    await recordAudit(req, { action: 'template.delete', targetType: 'Template', targetId: id, before: deletedTemplate });
 
     res.status(200).json({
       statusCode: 200,
@@ -489,16 +678,29 @@ export const deleteTemplate = async (req, res) => {
  * "templateId": "ID_OF_SAVED_TEMPLATE",
  * "toEmails": "recipient1@example.com,recipient2@example.com", // Comma-separated string or array of emails
  * "subject": "Optional custom subject to override template subject",
- * "message": "Optional custom message body to override template HTML content"
+ * "message": "Optional custom message body to override template HTML content",
+ * "sendAt": "Optional: send later, e.g. 2026-10-20T09:00:00Z, or 2026-10-20T09:00 with sendAtTimezone",
+ * "sendAtTimezone": "Optional: IANA timezone of a local sendAt, or 'recipient' for each recipient's own timezone",
+ * "fallbackTimezone": "Optional: timezone of recipients without a known timezone (default UTC)",
+ * "submissionId": "Optional: submission the email answers; linked to the email log, its geo_timezone is the recipient's",
+ * "variables": "Optional JSON object of template variables shared by all recipients",
+ * "recipientVariables": "Optional JSON object of template variables per recipient email, e.g. {\"a@b.com\": {\"name\": \"Ann\"}}",
+ * "allowMissingVariables": "Optional: 'true' to send even if variables are missing (they render empty)"
  * // Files are sent under the form field name 'attachments' (type: file)
  * }
+ * The subject and content are Handlebars templates ({{name}}, {{#if ...}}, {{#each ...}}; values are HTML-escaped
+ * unless written {{{like_this}}}), rendered separately for each recipient, who gets their own email and log.
+ * Variables also come from the recipient's latest form submission (or `submissionId`'s) and `email`.
+ * The rendered content is put into the template's layout, if it has one.
+ * If a recipient has no value for a variable, nothing is sent and the missing variables are returned (400).
+ * If only some recipients' emails can be queued, responds 207 with the outcome of each in `emails`.
  */
 export const sendEmailFromTemplate = async (req, res) => {
   try {
     console.log("sendEmailFromTemplate: Incoming request body:", req.body);
     console.log("sendEmailFromTemplate: Incoming files:", req.files); // `req.files` populated by Multer
 
-    const { templateId, toEmails, subject, message } = req.body;
+    const { templateId, toEmails, subject, message, submissionId } = req.body;
 
     if (!templateId || !toEmails || (Array.isArray(toEmails) && toEmails.length === 0)) {
       // Delete local files if validation fails
@@ -562,6 +764,75 @@ export const sendEmailFromTemplate = async (req, res) => {
       });
     }
 
+    let scheduleError = submissionId && !mongoose.isValidObjectId(submissionId) ? "Invalid submissionId format." : null;
+    let deliveries = [];
+    if (!scheduleError) {
+      const { schedule, error } = parseScheduleOptions(req.body);
+      scheduleError = error;
+      if (!scheduleError) {
+        ({ deliveries, error: scheduleError } = await planScheduledDeliveries(recipientsArray, schedule, submissionId));
+      }
+    }
+    if (scheduleError) {
+      // Delete local files if the schedule is invalid
+      if (req.files && req.files.length > 0) {
+        req.files.forEach(file => {
+          fs.unlink(file.path, (err) => {
+            if (err) console.error("Error deleting local file after invalid schedule:", err);
+          });
+        });
+      }
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: scheduleError }],
+        message: "Validation error: Invalid schedule."
+      });
+    }
+
+    // Render the template for each recipient; report missing variables before anything is sent
+    const renderer = await createEmailRenderer({ layoutId: template.layout });
+    const finalSubject = subject || template.subject;
+    const finalHtmlContent = message || template.htmlContent;
+    const variables = parseObjectField(req.body.variables, 'variables');
+    const recipientVariables = parseObjectField(req.body.recipientVariables, 'recipientVariables');
+    const personalizationError = variables.error || recipientVariables.error
+      || getTemplateFieldsError({ subject: finalSubject, htmlContent: finalHtmlContent })
+      || await getTemplateLayoutError({ subject: finalSubject, htmlContent: finalHtmlContent });
+    let recipientContexts = new Map();
+    let missingVariables = [];
+    if (!personalizationError) {
+      recipientContexts = await buildRecipientContexts(recipientsArray, {
+        submissionId,
+        variables: variables.value,
+        recipientVariables: recipientVariables.value,
+      });
+      if (String(req.body.allowMissingVariables) !== 'true') {
+        missingVariables = recipientsArray
+          .map(email => ({ email, variables: renderer.findMissingVariables([finalSubject, finalHtmlContent], recipientContexts.get(email).data) }))
+          .filter(entry => entry.variables.length > 0);
+      }
+    }
+    if (personalizationError || missingVariables.length > 0) {
+      // Delete local files if the email can't be personalized
+      if (req.files && req.files.length > 0) {
+        req.files.forEach(file => {
+          fs.unlink(file.path, (err) => {
+            if (err) console.error("Error deleting local file after template variable validation failure:", err);
+          });
+        });
+      }
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: personalizationError
+          ? [{ message: personalizationError }]
+          : missingVariables.map(entry => ({ message: `Missing template variable(s) for ${entry.email}: ${entry.variables.join(', ')}` })),
+        message: "Validation error: Template variables.",
+        ...(missingVariables.length > 0 && { data: { missingVariables } }),
+      });
+    }
+
     const attachmentsForEmail = [];
 
     // Add attachments from the template
@@ -612,30 +883,87 @@ export const sendEmailFromTemplate = async (req, res) => {
       }
     }
 
-    const finalSubject = subject || template.subject;
-    const finalHtmlContent = message || template.htmlContent;
-
     try {
-      await sendEmail(recipientsArray, finalSubject, finalHtmlContent, attachmentsForEmail);
+      // Each recipient gets an individually rendered email and email log. A recipient that fails doesn't stop
+      // the others: the response lists every outcome, so a retry never re-queues the emails already queued
+      const renderSubject = renderer.compile(finalSubject, { escapeHtml: false });
+      const renderHtml = renderer.compile(finalHtmlContent);
+      const scheduledEmails = [];
+      for (const delivery of deliveries) {
+        for (const recipient of delivery.recipients) {
+          try {
+            const { data, submissionId: relatedSubmissionId } = recipientContexts.get(recipient);
+            const emailLogId = await sendEmail([recipient], renderSubject(data), renderer.wrap(renderHtml(data), data), attachmentsForEmail, null, null,
+              relatedSubmissionId, {
+                sendAt: delivery.sendAt,
+                timezone: delivery.timezone,
+                templateId: template._id,
+                templateRevision: getSentTemplateRevision(template, { subject, htmlContent: message }),
+              });
+            scheduledEmails.push({
+              recipients: [recipient],
+              status: delivery.sendAt ? 'scheduled' : 'queued',
+              sendAt: delivery.sendAt,
+              timezone: delivery.timezone,
+              emailLogId,
+            });
+          } catch (recipientError) {
+            console.error(`Error queuing template email for ${recipient}:`, recipientError);
+            scheduledEmails.push({
+              recipients: [recipient],
+              status: 'failed',
+              error: recipientError.message,
+              sendAt: delivery.sendAt,
+              timezone: delivery.timezone,
+              emailLogId: null,
+            });
+          }
+        }
+      }
+      const isScheduled = deliveries.some(delivery => delivery.sendAt);
+      const failedCount = scheduledEmails.filter(email => email.status === 'failed').length;
+      if (failedCount === scheduledEmails.length) {
+        throw new Error(scheduledEmails[0]?.error || 'No email could be queued.'); // Nothing was queued: safe to retry
+      }
 
       const attachmentNames = attachmentsForEmail.map(attach => attach.filename).join(', ') || 'none';
 
-      res.status(200).json({
-        statusCode: 200,
-        success: true,
-        message: `Email sent successfully using template "${template.templateName}" to ${recipientsArray.join(', ')} ` +
-                 `${attachmentsForEmail.length > 0 ? `with attachment(s): ${attachmentNames}` : 'without attachments'}.`,
+      await recordAudit(req, {
+        action: 'template.send_email',
+        targetType: 'Template',
+        targetId: template._id,
+        metadata: {
+          recipients: recipientsArray,
+          subject: finalSubject,
+          attachments: attachmentsForEmail.map(attach => attach.filename),
+          ...((isScheduled || failedCount > 0) && { scheduled: scheduledEmails }),
+        },
+      });
+
+      // 207 when only some recipients could be queued (like POST /api/form/thankyou)
+      const statusCode = failedCount > 0 ? 207 : 200;
+      res.status(statusCode).json({
+        statusCode,
+        success: failedCount === 0,
+        message: failedCount > 0
+          ? `${failedCount} out of ${scheduledEmails.length} emails could not be queued using template "${template.templateName}". ` +
+            `${scheduledEmails.length - failedCount} ${isScheduled ? 'scheduled' : 'queued for sending'}.`
+          : `Email ${isScheduled ? 'scheduled' : 'queued for sending'} using template "${template.templateName}" to ${recipientsArray.join(', ')} ` +
+            `${attachmentsForEmail.length > 0 ? `with attachment(s): ${attachmentNames}` : 'without attachments'}.`,
         recipients: recipientsArray,
         subject: finalSubject,
+        // One entry per recipient: { recipients, status ('queued', 'scheduled' or 'failed'), error, sendAt (null when
+        // sent right away), timezone, emailLogId }
+        emails: scheduledEmails,
         // Return simplified attachment info, including secure_url
         attachments: attachmentsForEmail.map(attach => ({ filename: attach.filename, secure_url: attach.path, contentType: attach.contentType }))
       });
     } catch (emailError) {
-      console.error('Error sending template email:', emailError);
+      console.error('Error queuing template email:', emailError);
       res.status(500).json({
         statusCode: 500,
         success: false,
-        message: 'Failed to send email using template due to an internal error.',
+        message: 'Failed to queue email using template due to an internal error.',
         errors: [{ message: emailError.message }]
       });
     }
@@ -665,4 +993,135 @@ export const sendEmailFromTemplate = async (req, res) => {
       errors: [{ message: error.message }]
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Controller function to preview a template rendered with sample data, without sending anything.
+ * POST /api/templates/:id/preview
+ *
+ * Expected request body (JSON, all optional):
+ * {
+ * "submissionId": "Submission whose fields fill the template variables",
+ * "variables": { "name": "Ann" }, // Sample variables, taking precedence over the submission's fields
+ * "subject": "Unsaved subject to preview instead of the template's",
+ * "htmlContent": "Unsaved HTML content to preview instead of the template's"
+ * }
+ * Returns the rendered subject, HTML and plain text as they would be sent, size warnings, and the variables
+ * that had no value (rendered empty).
+ */
+export const previewTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Template not found." }],
+        message: "Not Found."
+      });
+    }
+
+    const { rendered, error, status } = await renderTemplateSample(template, req.body, req.admin?.email);
+    if (error) {
+      return res.status(status).json({
+        statusCode: status,
+        success: false,
+        errors: [{ message: error }],
+        message: status === 404 ? "Not Found." : "Validation error."
+      });
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: rendered.missingVariables.length > 0
+        ? `Template preview rendered; missing variable(s): ${rendered.missingVariables.join(', ')}.`
+        : "Template preview rendered successfully!",
+      data: {
+        templateId: template._id,
+        revision: template.currentRevision,
+        ...rendered,
+      },
+    });
+  } catch (error) {
+    sendPreviewError(res, error, "previewing the template");
+  }
+};
+
+/**
+ * Controller function to send a template to the logged-in admin only, to check it in a real mailbox.
+ * The subject is prefixed with "[TEST]" and the email log is marked `isTest`, which keeps it out of
+ * email log listings, contact histories and failed-email retries.
+ * POST /api/templates/:id/test-send
+ *
+ * Expected request body: same as the preview (submissionId, variables, subject, htmlContent).
+ */
+export const testSendTemplate = async (req, res) => {
+  try {
+    const adminEmail = req.admin?.email;
+    if (!adminEmail) {
+      return res.status(401).json({
+        statusCode: 401,
+        success: false,
+        errors: [{ message: "The test email is sent to the logged-in admin, but no admin email was found for this session." }],
+        message: "Unauthorized."
+      });
+    }
+
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Template not found." }],
+        message: "Not Found."
+      });
+    }
+
+    const { rendered, error, status } = await renderTemplateSample(template, req.body, adminEmail);
+    if (error) {
+      return res.status(status).json({
+        statusCode: status,
+        success: false,
+        errors: [{ message: error }],
+        message: status === 404 ? "Not Found." : "Validation error."
+      });
+    }
+
+    const attachmentsForEmail = (template.attachments || [])
+      .filter(attachment => attachment.secure_url)
+      .map(attachment => ({ filename: attachment.filename, path: attachment.secure_url, contentType: attachment.contentType }));
+    const testSubject = `[TEST] ${rendered.subject}`;
+    const emailLogId = await sendEmail([adminEmail], testSubject, rendered.html, attachmentsForEmail, null, null, null, {
+      templateId: template._id,
+      templateRevision: getSentTemplateRevision(template, req.body),
+      isTest: true,
+    });
+
+    await recordAudit(req, {
+      action: 'template.test_send',
+      targetType: 'Template',
+      targetId: template._id,
+      metadata: {
+        to: adminEmail,
+        subject: testSubject,
+        submissionId: rendered.submissionId,
+        emailLogId,
+      },
+    });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Test email for template "${template.templateName}" queued for sending to ${adminEmail}.`,
+      data: {
+        emailLogId,
+        to: adminEmail,
+        subject: testSubject,
+        missingVariables: rendered.missingVariables,
+      },
+    });
+  } catch (error) {
+    sendPreviewError(res, error, "sending the template test email");
+  }
+};
@@ -0,0 +1,257 @@
+// src/controllers/templateRevision.controller.js
+import { Template } from '../models/Template.model.js';
+import { TemplateRevision } from '../models/TemplateRevision.model.js';
+import { EmailLayout } from '../models/EmailLayout.model.js';
+import { recordAudit } from '../utils/audit.js';
+import { TEMPLATE_REVISION_FIELDS, saveTemplateRevision, diffTemplateRevisions } from '../utils/templateRevisions.js';
+
+const DEFAULT_REVISIONS_PAGE_SIZE = 50;
+const MAX_REVISIONS_PAGE_SIZE = 200;
+
+// Revision fields shown in listings (the content is fetched per revision)
+const REVISION_SUMMARY_FIELDS = '-htmlContent';
+
+/**
+ * Sends the 404 response for an unknown template or revision.
+ * @param {import('express').Response} res
+ * @param {string} message
+ */
+const sendNotFound = (res, message) => res.status(404).json({
+  statusCode: 404,
+  success: false,
+  errors: [{ message }],
+  message: "Not Found."
+});
+
+/**
+ * Sends the 400 response for an invalid revision number.
+ * @param {import('express').Response} res
+ * @param {string} message
+ */
+const sendInvalidRevision = (res, message) => res.status(400).json({
+  statusCode: 400,
+  success: false,
+  errors: [{ message }],
+  message: "Validation error."
+});
+
+/**
+ * Sends the response for errors shared by the template revision controllers.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Description of the failed operation, for the log.
+ */
+const sendRevisionError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Invalid Template ID format." }],
+      message: "Invalid ID."
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.keys(error.errors).map(key => ({ message: error.errors[key].message }));
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: errors,
+      message: "Validation failed for one or more fields."
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      statusCode: 409,
+      success: false,
+      errors: [{ message: "Another template already uses this revision's name." }],
+      message: "Duplicate template name."
+    });
+  }
+  res.status(500).json({
+    statusCode: 500,
+    success: false,
+    errors: [{ message: `An unexpected internal server error occurred while ${context}.` }],
+    message: "Internal server error."
+  });
+};
+
+/**
+ * Parses a revision number from the URL or query.
+ * @param {string} value
+ * @returns {number|null} The revision, or null if it isn't a positive integer.
+ */
+const parseRevision = (value) => (/^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null);
+
+/**
+ * Controller function to list the revisions of a template, newest first (without their HTML content).
+ * GET /api/templates/:id/revisions
+ * Optional query: page, limit (default 50, max 200)
+ */
+export const getTemplateRevisions = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id).select('templateName currentRevision');
+    if (!template) {
+      return sendNotFound(res, "Template not found.");
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_REVISIONS_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_REVISIONS_PAGE_SIZE));
+    const filter = { template: template._id };
+
+    const [revisions, totalCount] = await Promise.all([
+      TemplateRevision.find(filter).select(REVISION_SUMMARY_FIELDS).sort({ revision: -1 }).skip((page - 1) * limit).limit(limit),
+      TemplateRevision.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Template revisions fetched successfully!",
+      data: {
+        templateId: template._id,
+        templateName: template.templateName,
+        currentRevision: template.currentRevision,
+        revisions,
+      },
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+      },
+    });
+  } catch (error) {
+    sendRevisionError(res, error, "fetching template revisions");
+  }
+};
+
+/**
+ * Controller function to fetch one revision of a template, with its content.
+ * GET /api/templates/:id/revisions/:revision
+ */
+export const getTemplateRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseRevision(req.params.revision);
+    if (!revisionNumber) {
+      return sendInvalidRevision(res, "Revision must be a positive integer.");
+    }
+
+    const revision = await TemplateRevision.findOne({ template: req.params.id, revision: revisionNumber });
+    if (!revision) {
+      return sendNotFound(res, `Revision ${revisionNumber} of this template not found.`);
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Template revision fetched successfully!",
+      data: revision,
+    });
+  } catch (error) {
+    sendRevisionError(res, error, "fetching the template revision");
+  }
+};
+
+/**
+ * Controller function to compare two revisions of a template.
+ * GET /api/templates/:id/revisions/diff?from=2&to=5
+ * `to` defaults to the current revision, `from` to the revision before `to`.
+ * Returns changed fields, a unified diff of the HTML content and added/removed attachments.
+ */
+export const compareTemplateRevisions = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id).select('currentRevision');
+    if (!template) {
+      return sendNotFound(res, "Template not found.");
+    }
+
+    const to = req.query.to !== undefined ? parseRevision(req.query.to) : template.currentRevision;
+    const from = req.query.from !== undefined ? parseRevision(req.query.from) : to - 1;
+    if (!to || !from) {
+      return sendInvalidRevision(res, to === 1 && req.query.from === undefined
+        ? "Revision 1 has no previous revision; pass 'from' and 'to' explicitly."
+        : "'from' and 'to' must be positive integers.");
+    }
+
+    const revisions = await TemplateRevision.find({ template: template._id, revision: { $in: [from, to] } });
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+    if (!fromRevision || !toRevision) {
+      return sendNotFound(res, `Revision ${!fromRevision ? from : to} of this template not found.`);
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Template revisions compared successfully!",
+      data: {
+        from: { revision: from, createdAt: fromRevision.createdAt, authorEmail: fromRevision.authorEmail },
+        to: { revision: to, createdAt: toRevision.createdAt, authorEmail: toRevision.authorEmail },
+        ...diffTemplateRevisions(fromRevision, toRevision),
+      },
+    });
+  } catch (error) {
+    sendRevisionError(res, error, "comparing template revisions");
+  }
+};
+
+/**
+ * Controller function to restore a template to an earlier revision.
+ * The restored content is saved as a new revision (action 'rollback'); no revision is removed.
+ * POST /api/templates/:id/revisions/:revision/rollback
+ */
+export const rollbackTemplate = async (req, res) => {
+  try {
+    const revisionNumber = parseRevision(req.params.revision);
+    if (!revisionNumber) {
+      return sendInvalidRevision(res, "Revision must be a positive integer.");
+    }
+
+    const existingTemplate = await Template.findById(req.params.id);
+    if (!existingTemplate) {
+      return sendNotFound(res, "Template not found.");
+    }
+    const revision = await TemplateRevision.findOne({ template: existingTemplate._id, revision: revisionNumber });
+    if (!revision) {
+      return sendNotFound(res, `Revision ${revisionNumber} of this template not found.`);
+    }
+
+    const snapshot = revision.toObject();
+    const restored = {};
+    for (const field of TEMPLATE_REVISION_FIELDS) {
+      restored[field] = snapshot[field];
+    }
+    // The revision's layout may have been deleted since; the template then renders without one
+    if (restored.layout && !(await EmailLayout.exists({ _id: restored.layout, kind: 'layout' }))) {
+      restored.layout = null;
+    }
+    const updatedTemplate = await Template.findByIdAndUpdate(
+      existingTemplate._id,
+      { $set: restored, $inc: { currentRevision: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!updatedTemplate) {
+      return sendNotFound(res, "Template not found.");
+    }
+    await saveTemplateRevision(req, updatedTemplate, { action: 'rollback', rolledBackFrom: revisionNumber });
+
+    await recordAudit(req, {
+      action: 'template.rollback',
+      targetType: 'Template',
+      targetId: updatedTemplate._id,
+      before: existingTemplate,
+      after: updatedTemplate,
+      metadata: { rolledBackFrom: revisionNumber, revision: updatedTemplate.currentRevision },
+    });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: `Template rolled back to revision ${revisionNumber} (saved as revision ${updatedTemplate.currentRevision}).`,
+      data: updatedTemplate,
+    });
+  } catch (error) {
+    sendRevisionError(res, error, "rolling back the template");
+  }
+};
@@ -0,0 +1,436 @@
+// src/controllers/totp.controller.js
+import { Admin } from '../models/Admin.model.js';
+import { OTP_SECURITY, TOTP_SETTINGS } from '../constants.js';
+import { startLoginSession } from '../utils/session.js';
+import { issueOtp, checkOtp, sendOtpChallengeError, secondsUntil } from '../utils/otpChallenge.js';
+import { hashSecret, verifySecret } from '../utils/otp.js';
+import { sendTooManyRequests } from '../utils/rateLimiter.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from '../utils/totp.js';
+
+// Same response for unknown emails, admins without an authenticator and wrong codes,
+// so the endpoint cannot be used to discover which admins enrolled one
+const INVALID_TOTP_LOGIN_MESSAGE = "Invalid email or authenticator code.";
+
+/**
+ * Sends the 400 response used when the OTP confirming a sensitive change is missing.
+ * @param {import('express').Response} res - The Express response.
+ */
+const sendOtpRequired = (res) => res.status(400).json({
+  statusCode: 400,
+  success: false,
+  errors: [{ message: "A fresh OTP is required. Request one with POST /api/auth/totp/request-otp." }],
+  message: "OTP is required."
+});
+
+/**
+ * Tries a TOTP code and atomically records its time step, so each code can only be used once.
+ * @param {object} admin - The Admin document, loaded with '+totpSecret'.
+ * @param {string} code - The code entered by the admin.
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (admin, code) => {
+  const step = verifyTotp(decryptTotpSecret(admin.totpSecret), code);
+  if (step === null) return false;
+
+  const result = await Admin.updateOne(
+    { _id: admin._id, $or: [{ totpLastUsedStep: null }, { totpLastUsedStep: { $lt: step } }] },
+    { $set: { totpLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1; // 0 means the code (or a later one) was already used
+};
+
+/**
+ * Tries a recovery code and atomically removes it, so each recovery code can only be used once.
+ * @param {object} admin - The Admin document, loaded with '+totpRecoveryCodes'.
+ * @param {string} code - The recovery code entered by the admin.
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (admin, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  for (const storedHash of admin.totpRecoveryCodes || []) {
+    if (await verifySecret(normalized, storedHash)) {
+      const result = await Admin.updateOne(
+        { _id: admin._id, totpRecoveryCodes: storedHash },
+        { $pull: { totpRecoveryCodes: storedHash } }
+      );
+      return result.modifiedCount === 1;
+    }
+  }
+  return false;
+};
+
+/**
+ * Handles login with an authenticator app code (or a one-time recovery code).
+ * This is an alternative to the email OTP flow for admins who enrolled an authenticator,
+ * so admins can still log in when email delivery is delayed or down.
+ * - Wrong codes count towards the same account lockout as email OTPs (429 with `retryAfter`).
+ * - Codes are accepted once: replaying a TOTP code or reusing a recovery code fails.
+ * - If successful, starts a new device session exactly like POST /api/auth/verify-otp.
+ * POST /api/auth/verify-totp
+ * Expected body: { email, code }
+ */
+export const verifyTotpLogin = async (req, res) => {
+  const { email, code } = req.body || {};
+
+  if (!email || !code) {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Email and code are required." }],
+      message: "Email and code are required."
+    });
+  }
+
+  try {
+    const admin = await Admin.findOne({ email: String(email).trim().toLowerCase(), active: { $ne: false } })
+      .select('+totpSecret +totpRecoveryCodes');
+
+    if (!admin || !admin.totpEnabled || !admin.totpSecret) {
+      return res.status(401).json({
+        statusCode: 401,
+        success: false,
+        errors: [{ message: INVALID_TOTP_LOGIN_MESSAGE }],
+        message: INVALID_TOTP_LOGIN_MESSAGE
+      });
+    }
+
+    // Refuse verification while the account is locked out
+    if (admin.lockoutUntil && admin.lockoutUntil > new Date()) {
+      return sendTooManyRequests(res, "Too many failed attempts. Please wait before trying again.", secondsUntil(admin.lockoutUntil));
+    }
+
+    // 6-digit codes come from the authenticator app, anything else is treated as a recovery code
+    // (a recovery code typed without its dash can be all digits, but is always longer)
+    const isTotpCode = new RegExp(`^\\d{${TOTP_SETTINGS.DIGITS}}$`).test(String(code).replace(/\s/g, ''));
+    const accepted = isTotpCode
+      ? await consumeTotpCode(admin, code)
+      : await consumeRecoveryCode(admin, code);
+
+    if (!accepted) {
+      // Count the wrong guess atomically so parallel guesses can't bypass the limit
+      const { totpFailedAttempts } = await Admin.findByIdAndUpdate(admin._id, { $inc: { totpFailedAttempts: 1 } }, { new: true });
+
+      if (totpFailedAttempts >= OTP_SECURITY.MAX_VERIFY_ATTEMPTS) {
+        const lockoutUntil = new Date(Date.now() + OTP_SECURITY.LOCKOUT_MS);
+        await Admin.updateOne({ _id: admin._id }, { $set: { totpFailedAttempts: 0, lockoutUntil } });
+        return sendTooManyRequests(res, "Too many failed attempts. Please wait before trying again.", secondsUntil(lockoutUntil));
+      }
+
+      return res.status(401).json({
+        statusCode: 401,
+        success: false,
+        errors: [{ message: INVALID_TOTP_LOGIN_MESSAGE }],
+        message: INVALID_TOTP_LOGIN_MESSAGE
+      });
+    }
+
+    // Update last login time and reset the failure counter
+    await Admin.updateOne(
+      { _id: admin._id },
+      { $set: { lastLogin: new Date(), totpFailedAttempts: 0, lockoutUntil: null } }
+    );
+
+    // Start a new session for this device (sessions on other devices stay active)
+    const { sessionId, accessToken, accessTokenExpiresAt } = await startLoginSession(req, res, admin);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      targetType: 'Session',
+      targetId: sessionId,
+      metadata: { method: isTotpCode ? 'totp' : 'recovery_code' },
+      actor: { adminId: admin._id, email: admin.email },
+    });
+
+    const data = {
+      admin_token: accessToken,
+      accessTokenExpiresAt,
+      email: admin.email,
+      id: admin._id,
+      method: isTotpCode ? 'totp' : 'recovery_code',
+    };
+    if (!isTotpCode) {
+      // Let the admin know when it is time to re-enroll and get fresh recovery codes
+      data.recoveryCodesRemaining = admin.totpRecoveryCodes.length - 1;
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Authenticator code verified successfully. Login successful.",
+      data
+    });
+  } catch (error) {
+    console.error("Error verifying authenticator code:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error during authenticator code verification." }],
+      message: "Internal server error during authenticator code verification."
+    });
+  }
+};
+
+/**
+ * Sends an OTP to the logged-in admin's email (or OTP recipients) to confirm
+ * enrolling or removing an authenticator app.
+ * POST /api/auth/totp/request-otp
+ */
+export const requestTotpConfirmationOtp = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.adminId);
+    if (!admin) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Admin user not found." }],
+        message: "Admin user not found."
+      });
+    }
+
+    const result = await issueOtp(admin);
+    if (!result.ok) {
+      return sendOtpChallengeError(res, result);
+    }
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: result.message,
+    });
+  } catch (error) {
+    console.error("Error requesting authenticator confirmation OTP:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error during OTP request." }],
+      message: "Internal server error during OTP request."
+    });
+  }
+};
+
+/**
+ * Starts enrolling an authenticator app for the logged-in admin.
+ * - Requires a fresh OTP from POST /api/auth/totp/request-otp.
+ * - Generates a new secret and returns it with the `otpauth://` URI to render as a QR code.
+ *   The secret only becomes active once confirmed with POST /api/auth/totp/activate.
+ * POST /api/auth/totp/setup
+ * Expected body: { otp }
+ */
+export const startTotpSetup = async (req, res) => {
+  const { otp } = req.body || {};
+  if (!otp) return sendOtpRequired(res);
+
+  try {
+    const admin = await Admin.findById(req.admin.adminId).select('+otpHash');
+    if (!admin) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Admin user not found." }],
+        message: "Admin user not found."
+      });
+    }
+
+    if (admin.totpEnabled) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: "An authenticator app is already enrolled. Remove it before enrolling a new one." }],
+        message: "Conflict."
+      });
+    }
+
+    const otpResult = await checkOtp(admin, otp);
+    if (!otpResult.ok) {
+      return sendOtpChallengeError(res, otpResult);
+    }
+
+    const secret = generateTotpSecret();
+    admin.totpPendingSecret = encryptTotpSecret(secret);
+    admin.totpPendingCreatedAt = new Date();
+    await admin.save();
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm with a code from the app.",
+      data: {
+        secret, // For manual entry in the authenticator app
+        otpauthUri: buildOtpAuthUri(secret, admin.email),
+        expiresAt: new Date(admin.totpPendingCreatedAt.getTime() + TOTP_SETTINGS.SETUP_TTL_MS),
+      }
+    });
+  } catch (error) {
+    console.error("Error starting authenticator setup:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error during authenticator setup." }],
+      message: "Internal server error during authenticator setup."
+    });
+  }
+};
+
+/**
+ * Activates the authenticator app enrolled with POST /api/auth/totp/setup.
+ * - Requires a valid code from the app, proving it was set up correctly.
+ * - Returns the one-time recovery codes. They are shown only once; only their hashes are stored.
+ * POST /api/auth/totp/activate
+ * Expected body: { code }
+ */
+export const activateTotp = async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: "Code is required." }],
+      message: "Code is required."
+    });
+  }
+
+  try {
+    const admin = await Admin.findById(req.admin.adminId).select('+totpPendingSecret');
+    if (!admin) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Admin user not found." }],
+        message: "Admin user not found."
+      });
+    }
+
+    if (admin.totpEnabled) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: "An authenticator app is already enrolled." }],
+        message: "Conflict."
+      });
+    }
+
+    const setupExpired = !admin.totpPendingCreatedAt
+      || Date.now() - admin.totpPendingCreatedAt.getTime() > TOTP_SETTINGS.SETUP_TTL_MS;
+    if (!admin.totpPendingSecret || setupExpired) {
+      return res.status(400).json({
+        statusCode: 400,
+        success: false,
+        errors: [{ message: "No authenticator setup in progress or the setup has expired. Please start again." }],
+        message: "No authenticator setup in progress."
+      });
+    }
+
+    const step = verifyTotp(decryptTotpSecret(admin.totpPendingSecret), code);
+    if (step === null) {
+      return res.status(401).json({
+        statusCode: 401,
+        success: false,
+        errors: [{ message: "Invalid authenticator code. Please try again." }],
+        message: "Invalid authenticator code. Please try again."
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    admin.totpSecret = admin.totpPendingSecret;
+    admin.totpPendingSecret = null;
+    admin.totpPendingCreatedAt = null;
+    admin.totpLastUsedStep = step; // The confirmation code cannot be reused to log in
+    admin.totpRecoveryCodes = await Promise.all(recoveryCodes.map(recoveryCode => hashSecret(recoveryCode)));
+    admin.totpFailedAttempts = 0;
+    admin.totpEnabled = true;
+    admin.totpEnabledAt = new Date();
+    await admin.save();
+
+    await recordAudit(req, { action: 'totp.enable', targetType: 'Admin', targetId: admin._id });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Authenticator app enrolled successfully. Store the recovery codes somewhere safe; they will not be shown again.",
+      data: {
+        recoveryCodes,
+      }
+    });
+  } catch (error) {
+    console.error("Error activating authenticator:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error during authenticator activation." }],
+      message: "Internal server error during authenticator activation."
+    });
+  }
+};
+
+/**
+ * Removes the logged-in admin's authenticator app and recovery codes.
+ * Requires a fresh OTP from POST /api/auth/totp/request-otp. Email OTP login keeps working.
+ * DELETE /api/auth/totp
+ * Expected body: { otp }
+ */
+export const disableTotp = async (req, res) => {
+  const { otp } = req.body || {};
+  if (!otp) return sendOtpRequired(res);
+
+  try {
+    const admin = await Admin.findById(req.admin.adminId).select('+otpHash');
+    if (!admin) {
+      return res.status(404).json({
+        statusCode: 404,
+        success: false,
+        errors: [{ message: "Admin user not found." }],
+        message: "Admin user not found."
+      });
+    }
+
+    if (!admin.totpEnabled) {
+      return res.status(409).json({
+        statusCode: 409,
+        success: false,
+        errors: [{ message: "No authenticator app is enrolled." }],
+        message: "Conflict."
+      });
+    }
+
+    const otpResult = await checkOtp(admin, otp);
+    if (!otpResult.ok) {
+      return sendOtpChallengeError(res, otpResult);
+    }
+
+    admin.totpEnabled = false;
+    admin.totpSecret = null;
+    admin.totpPendingSecret = null;
+    admin.totpPendingCreatedAt = null;
+    admin.totpLastUsedStep = null;
+    admin.totpRecoveryCodes = [];
+    admin.totpFailedAttempts = 0;
+    admin.totpEnabledAt = null;
+    await admin.save();
+
+    await recordAudit(req, { action: 'totp.disable', targetType: 'Admin', targetId: admin._id });
+
+    res.status(200).json({
+      statusCode: 200,
+      success: true,
+      message: "Authenticator app removed successfully."
+    });
+  } catch (error) {
+    console.error("Error removing authenticator:", error);
+    res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error while removing the authenticator." }],
+      message: "Internal server error while removing the authenticator."
+    });
+  }
+};
@@ -0,0 +1,108 @@
+// src/db/migrations.js
+import { Admin } from '../models/Admin.model.js';
+import { Form } from '../models/FormData.model.js';
+import { Contact } from '../models/Contact.model.js';
+import { Template } from '../models/Template.model.js';
+import { findOrCreateContact, refreshContactStats } from '../utils/contacts.js';
+import { saveTemplateRevision } from '../utils/templateRevisions.js';
+
+/**
+ * Removes plain-text OTPs stored by older versions (the numeric `otp` field).
+ * OTPs are now only stored as salted hashes in `otpHash`; an admin caught in the middle
+ * of a login during the upgrade simply has to request a new OTP.
+ * Uses the native collection because `otp` is no longer part of the Admin schema.
+ */
+const removeLegacyPlainOtps = async () => {
+  const result = await Admin.collection.updateMany(
+    { otp: { $exists: true } },
+    { $unset: { otp: '' }, $set: { otpHash: null, otpExpiresAt: null } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🔐 Removed legacy plain-text OTPs from ${result.modifiedCount} admin account(s).`);
+  }
+};
+
+/**
+ * Removes the single `sessionToken` field used before multi-device sessions.
+ * Sessions now live in the Session collection; tokens issued with a `sessionToken`
+ * are rejected by authMiddleware, so affected admins simply log in again.
+ */
+const removeLegacySessionTokens = async () => {
+  const result = await Admin.collection.updateMany(
+    { sessionToken: { $exists: true } },
+    { $unset: { sessionToken: '' } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🔐 Removed legacy session tokens from ${result.modifiedCount} admin account(s).`);
+  }
+};
+
+/**
+ * Gives submissions stored before the lead lifecycle the initial 'new' status,
+ * so they show up when filtering by status.
+ */
+const initializeLeadStatuses = async () => {
+  const result = await Form.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'new', assignedTo: null, nextFollowUpAt: null } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`📋 Set the initial lead status on ${result.modifiedCount} submission(s).`);
+  }
+};
+
+/**
+ * Attaches submissions stored before contacts existed (or whose contact failed to save) to a contact,
+ * and re-attaches submissions whose contact no longer exists (e.g. a merge interrupted by a crash).
+ * Older submissions are not flagged as duplicates.
+ */
+const backfillSubmissionContacts = async () => {
+  const referencedIds = (await Form.distinct('contact')).filter(id => id);
+  const existingIds = new Set((await Contact.distinct('_id', { _id: { $in: referencedIds } })).map(String));
+  const danglingIds = referencedIds.filter(id => !existingIds.has(String(id)));
+
+  const groups = await Form.aggregate([
+    { $match: { contact: { $in: [null, ...danglingIds] } } }, // null also matches submissions without the field
+    { $group: { _id: { $toLower: { $trim: { input: '$email' } } }, ids: { $push: '$_id' } } },
+  ]).allowDiskUse(true);
+
+  for (const group of groups) {
+    if (!group._id) continue;
+    const contact = await findOrCreateContact(group._id);
+    await Form.updateMany({ _id: { $in: group.ids } }, { $set: { contact: contact._id } });
+    await refreshContactStats(contact._id);
+  }
+  if (groups.length > 0) {
+    console.log(`👥 Attached existing submissions to ${groups.length} contact(s).`);
+  }
+};
+
+/**
+ * Stores the current content of templates created before template versioning as their first revision,
+ * so they can be diffed against and rolled back to after the next edit.
+ */
+const backfillTemplateRevisions = async () => {
+  const templates = await Template.find({ currentRevision: { $in: [0, null] } }); // Also matches templates without the field
+  for (const template of templates) {
+    const updated = await Template.findOneAndUpdate(
+      { _id: template._id, currentRevision: { $in: [0, null] } },
+      { $set: { currentRevision: 1 } },
+      { new: true }
+    );
+    if (updated) await saveTemplateRevision(null, updated, { action: 'create' });
+  }
+  if (templates.length > 0) {
+    console.log(`📝 Recorded the first revision of ${templates.length} existing template(s).`);
+  }
+};
+
+/**
+ * Runs idempotent data migrations on startup. Each migration is safe to run repeatedly.
+ */
+export async function runStartupMigrations() {
+  await removeLegacyPlainOtps();
+  await removeLegacySessionTokens();
+  await initializeLeadStatuses();
+  await backfillSubmissionContacts();
+  await backfillTemplateRevisions();
+}
@@ -0,0 +1,59 @@
+// src/db/seedAdmins.js
+import { Admin } from '../models/Admin.model.js';
+
+/**
+ * Makes sure someone can manage admins: without an active owner, the oldest active admin becomes owner.
+ * Legacy admin documents without a stored role count as candidates like any other admin.
+ * @throws {Error} When there is no active admin to promote.
+ */
+const ensureOwnerExists = async () => {
+  if (await Admin.exists({ role: 'owner', active: { $ne: false } })) {
+    return;
+  }
+
+  const oldestAdmin = await Admin.findOne({ active: { $ne: false } }).sort({ _id: 1 });
+  if (!oldestAdmin) {
+    throw new Error('No active owner or admin account exists. Set BOOTSTRAP_ADMIN_EMAILS to the email(s) of the first owner(s).');
+  }
+
+  await Admin.updateOne({ _id: oldestAdmin._id }, { $set: { role: 'owner' } });
+  console.warn(`⚠️ No active owner found: promoted the oldest admin ${oldestAdmin.email} to owner.`);
+};
+
+/**
+ * Ensures the bootstrap admin accounts exist so a fresh database is never locked out.
+ * - Reads a comma-separated list of emails from BOOTSTRAP_ADMIN_EMAILS.
+ * - Creates missing accounts as active owners; existing accounts keep their current
+ *   active flag, so a deactivated bootstrap admin is not silently re-enabled.
+ * - Promotes legacy admin documents (created before roles existed) in the list to owner.
+ * - If no active owner exists afterwards, promotes the oldest active admin to owner, or throws when
+ *   there is no admin at all (BOOTSTRAP_ADMIN_EMAILS is required on a fresh database).
+ * Every other admin is managed at runtime through /api/admins.
+ * @throws {Error} When no admin account exists that could become an owner.
+ */
+export async function seedBootstrapAdmins() {
+  const bootstrapEmails = (process.env.BOOTSTRAP_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(email => email);
+
+  for (const email of bootstrapEmails) {
+    await Admin.updateOne(
+      { email },
+      { $setOnInsert: { email, role: 'owner', active: true } },
+      { upsert: true }
+    );
+  }
+
+  // Admin documents created before roles existed have no stored role
+  await Admin.updateMany(
+    { email: { $in: bootstrapEmails }, role: { $exists: false } },
+    { $set: { role: 'owner' } }
+  );
+
+  if (bootstrapEmails.length > 0) {
+    console.log(`✅ Bootstrap admins ensured: ${bootstrapEmails.join(', ')}`);
+  }
+
+  await ensureOwnerExists();
+}
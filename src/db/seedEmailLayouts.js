@@ -0,0 +1,62 @@
+// src/db/seedEmailLayouts.js
+import { EmailLayout } from '../models/EmailLayout.model.js';
+
+// The email chrome previously copy-pasted into the OTP and thank-you emails, split into a layout and partials.
+// Also used as fallbacks when rendering, if a built-in layout or partial is missing from the database.
+export const BUILT_IN_EMAIL_PARTIALS = {
+  brand_header: {
+    description: 'Shown above the body of every email using the default layout (e.g. a logo). Empty by default.',
+    htmlContent: '<!-- Brand header: add a logo or company name here -->',
+  },
+  footer: {
+    description: 'Footer of every email using the default layout.',
+    htmlContent: `<div style="padding: 25px 30px; background-color: #f8f8f8; text-align: center; font-size: 13px; color: #777; border-top: 1px solid #eee;">
+  <p style="margin-top: 0; margin-bottom: 5px;">This is an automated email, please do not reply.</p>
+  <p style="margin: 0;">{{> signature}}</p>
+</div>`,
+  },
+  signature: {
+    description: 'Sign-off included by the footer.',
+    htmlContent: 'Regards,<br>The Admin App Team',
+  },
+};
+
+export const BUILT_IN_EMAIL_LAYOUT = {
+  name: 'default',
+  description: 'Card layout of system emails (OTP, built-in thank-you emails).',
+  htmlContent: `<div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 15px; color: #333; line-height: 1.6; background-color: #f4f7f6; padding: 20px;">
+  <div style="max-width: 600px; margin: 20px auto; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.05); overflow: hidden; border: 1px solid #e0e0e0;">
+    {{> brand_header}}
+    <div style="padding: 30px; border-bottom: 1px solid #eee; background-color: #fdfdfd;">
+      {{{body}}}
+    </div>
+    {{> footer}}
+  </div>
+</div>`,
+};
+
+// Built-in layouts and partials can be edited but not renamed or deleted
+export const BUILT_IN_EMAIL_LAYOUT_NAMES = [BUILT_IN_EMAIL_LAYOUT.name, ...Object.keys(BUILT_IN_EMAIL_PARTIALS)];
+
+/**
+ * Ensures the built-in email layout and partials exist. They are only created when missing;
+ * changes made by admins through /api/email-layouts are never overwritten.
+ */
+export async function seedEmailLayouts() {
+  for (const [name, partial] of Object.entries(BUILT_IN_EMAIL_PARTIALS)) {
+    await EmailLayout.updateOne(
+      { name },
+      { $setOnInsert: { name, kind: 'partial', ...partial } },
+      { upsert: true }
+    );
+  }
+
+  // The built-in layout only becomes the default if no other layout is
+  const hasDefault = await EmailLayout.exists({ kind: 'layout', isDefault: true });
+  await EmailLayout.updateOne(
+    { name: BUILT_IN_EMAIL_LAYOUT.name },
+    { $setOnInsert: { ...BUILT_IN_EMAIL_LAYOUT, kind: 'layout', isDefault: !hasDefault } },
+    { upsert: true }
+  );
+  console.log(`✅ Built-in email layouts ensured: ${BUILT_IN_EMAIL_LAYOUT_NAMES.join(', ')}`);
+}
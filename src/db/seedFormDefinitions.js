@@ -0,0 +1,63 @@
+// src/db/seedFormDefinitions.js
+import { FormDefinition } from '../models/FormDefinition.model.js';
+
+const NAME_FIELD = {
+  name: 'name',
+  label: 'Name',
+  type: 'text',
+  required: true,
+  pattern: "^[A-Za-z\\s'-]{2,50}$",
+  patternMessage: "Invalid name. Only letters, spaces, hyphens, and apostrophes are allowed (2-50 characters).",
+};
+const EMAIL_FIELD = { name: 'email', label: 'Email', type: 'email', required: true };
+const PAGE_NAME_FIELD = { name: 'page_Name', label: 'Page name', type: 'text', required: true };
+const PAGE_URL_FIELD = { name: 'page_url', label: 'Page URL', type: 'text', required: true };
+const WEBSITE_URL_FIELD = { name: 'website_url', label: 'Website URL', type: 'text' };
+
+// The forms that existed before form definitions, with the rules previously hard-coded in form.controller.js
+const BUILT_IN_FORM_DEFINITIONS = [
+  {
+    formKey: 'bundle_form',
+    name: 'Bundle form',
+    description: 'Bundle offer enquiry form (also served by POST /api/form/submit).',
+    fields: [
+      PAGE_NAME_FIELD,
+      PAGE_URL_FIELD,
+      NAME_FIELD,
+      EMAIL_FIELD,
+      { name: 'user_type', label: 'User type', type: 'text', required: true },
+      { name: 'bundle_form', label: 'Bundle', type: 'text' },
+      { name: 'college_name', label: 'College name', type: 'text' },
+      { name: 'reason', label: 'Reason', type: 'textarea' },
+      WEBSITE_URL_FIELD,
+    ],
+  },
+  {
+    formKey: 'sample_pdf_download_form',
+    name: 'Sample PDF download form',
+    description: 'Sample PDF download form (also served by POST /api/form/submit-sample-pdf).',
+    fields: [
+      NAME_FIELD,
+      EMAIL_FIELD,
+      PAGE_NAME_FIELD,
+      PAGE_URL_FIELD,
+      WEBSITE_URL_FIELD,
+    ],
+  },
+];
+
+/**
+ * Ensures the built-in form definitions exist so existing website forms keep working.
+ * Definitions are only created when missing; changes made by admins through
+ * /api/form-definitions are never overwritten.
+ */
+export async function seedFormDefinitions() {
+  for (const definition of BUILT_IN_FORM_DEFINITIONS) {
+    await FormDefinition.updateOne(
+      { formKey: definition.formKey },
+      { $setOnInsert: definition },
+      { upsert: true }
+    );
+  }
+  console.log(`✅ Built-in form definitions ensured: ${BUILT_IN_FORM_DEFINITIONS.map(d => d.formKey).join(', ')}`);
+}
@@ -0,0 +1,115 @@
+// src/middlewares/auth.middleware.js
+import jwt from 'jsonwebtoken'; // Used for token verification
+import { Admin } from '../models/Admin.model.js'; // Import the Admin model
+import { Session } from '../models/Session.model.js'; // Import the Session model
+import { SESSION_SETTINGS } from '../constants.js';
+import { getClientIp } from '../utils/requestIp.js';
+import { clearAuthCookies } from '../utils/session.js';
+
+/**
+ * Sends a 401 Unauthorized response with a machine readable `code` so the frontend can
+ * decide between calling POST /api/auth/refresh and sending the admin back to the login page.
+ * @param {import('express').Response} res - The Express response.
+ * @param {string} code - 'AUTH_REQUIRED', 'ACCESS_TOKEN_EXPIRED', 'SESSION_REVOKED' or 'INVALID_TOKEN'.
+ * @param {string} message - Human readable error message.
+ * @param {boolean} refreshable - Whether a refresh can restore the session.
+ */
+const sendUnauthorized = (res, code, message, refreshable) => {
+  if (!refreshable) {
+    clearAuthCookies(res);
+  }
+  return res.status(401).json({
+    statusCode: 401,
+    success: false,
+    errors: [{ message, code }],
+    message,
+    code,
+    refreshable
+  });
+};
+
+/**
+ * Returns the session for a decoded token if it is still usable (not revoked, not expired).
+ * @param {object} decoded - Decoded JWT payload.
+ * @returns {Promise<object|null>}
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) return null; // Token predates multi-device sessions
+  const session = await Session.findOne({ _id: decoded.sessionId, admin: decoded.adminId });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+  return session;
+};
+
+/**
+ * Middleware to authenticate requests using a JWT access token from cookies.
+ * - Checks for 'admin_token' cookie.
+ * - Verifies the token using the JWT_SECRET.
+ * - Checks that the login session referenced by the token (`sessionId`) still exists,
+ *   is not revoked and has not expired, and that the admin is still active.
+ * - Updates the session's last-seen time and IP (at most once per LAST_SEEN_UPDATE_INTERVAL_MS).
+ * - Attaches decoded admin information, the current session ID and the admin's current role
+ *   to `req.admin` for downstream handlers.
+ * - Otherwise returns a 401 response whose `code` tells the client what to do:
+ *   - 'ACCESS_TOKEN_EXPIRED' (refreshable: true): call POST /api/auth/refresh, cookies are kept.
+ *   - 'SESSION_REVOKED', 'INVALID_TOKEN', 'AUTH_REQUIRED' (refreshable: false): log in again, cookies are cleared.
+ */
+export const authMiddleware = async (req, res, next) => {
+  const token = req.cookies.admin_token;
+
+  if (!token) {
+    return sendUnauthorized(res, 'AUTH_REQUIRED', "Authentication required. Please log in.", false);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      // The access token expired: a refresh is possible as long as its session is still active
+      try {
+        const expired = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (await findActiveSession(expired)) {
+          return sendUnauthorized(res, 'ACCESS_TOKEN_EXPIRED', "Access token expired. Please refresh your session.", true);
+        }
+      } catch (lookupError) {
+        console.error("Session lookup for expired token failed:", lookupError.message);
+      }
+      return sendUnauthorized(res, 'SESSION_REVOKED', "Your session is no longer active. Please log in again.", false);
+    }
+
+    console.error("JWT verification failed:", err.message);
+    return sendUnauthorized(res, 'INVALID_TOKEN', "Invalid session. Please log in again.", false);
+  }
+
+  try {
+    // Retrieve the session and the admin from the database
+    const session = await findActiveSession(decoded);
+    const admin = session ? await Admin.findById(decoded.adminId) : null;
+
+    if (!session || !admin || admin.active === false) {
+      // The session was revoked or has expired, the token predates multi-device sessions,
+      // or the account was deactivated.
+      return sendUnauthorized(res, 'SESSION_REVOKED', "Your session is no longer active. Please log in again.", false);
+    }
+
+    // Record activity without writing to the database on every request
+    if (Date.now() - session.lastSeenAt.getTime() > SESSION_SETTINGS.LAST_SEEN_UPDATE_INTERVAL_MS) {
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { lastSeenAt: new Date(), lastSeenIp: getClientIp(req) } }
+      );
+    }
+
+    // Always take the role from the database so role changes apply immediately
+    req.admin = { ...decoded, role: admin.role };
+    next();
+  } catch (err) {
+    console.error("Session verification failed:", err);
+    return res.status(500).json({
+      statusCode: 500,
+      success: false,
+      errors: [{ message: "Internal server error while verifying the session." }],
+      message: "Internal server error while verifying the session."
+    });
+  }
+};
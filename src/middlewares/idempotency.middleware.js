@@ -0,0 +1,158 @@
+// src/middlewares/idempotency.middleware.js
+import crypto from 'crypto';
+import { IdempotencyKey } from '../models/IdempotencyKey.model.js';
+import { IDEMPOTENCY } from '../constants.js';
+import { discardUploadedFiles } from '../utils/formSubmission.js';
+
+/**
+ * Returns the files Multer attached to a request, for both `upload.array` and `upload.fields`.
+ * @param {import('express').Request} req
+ * @returns {object[]}
+ */
+const getUploadedFiles = (req) => {
+  if (!req.files) return [];
+  return Array.isArray(req.files) ? req.files : Object.values(req.files).flat();
+};
+
+/**
+ * Recursively sorts object keys so equal payloads serialize identically.
+ * @param {*} value
+ * @returns {*}
+ */
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+};
+
+/**
+ * Hashes the payload of a request: its body (minus ignored fields) and the name, type and size
+ * of uploaded files.
+ * @param {import('express').Request} req
+ * @param {string[]} ignoreFields - Body fields that may legitimately differ between retries.
+ * @returns {string}
+ */
+const hashRequest = (req, ignoreFields) => {
+  const body = { ...(req.body || {}) };
+  ignoreFields.forEach(field => delete body[field]);
+  const files = getUploadedFiles(req).map(file => [file.fieldname, file.originalname, file.mimetype, file.size]);
+  return crypto.createHash('sha256').update(JSON.stringify(sortKeys({ body, files }))).digest('hex');
+};
+
+/**
+ * Middleware factory making a route safe to retry with an `Idempotency-Key` header.
+ * - The first request with a key runs normally; its response (status and JSON body) is stored for IDEMPOTENCY.TTL_MS.
+ * - Retries with the same key and payload get the stored response replayed (with an `Idempotent-Replayed: true` header)
+ *   instead of running the handler again.
+ * - A retry with the same key but a different payload is rejected with 422, and a retry while the first request
+ *   is still running with 409.
+ * - Server errors (5xx) are not stored, so the request can be retried with the same key.
+ * Keys are scoped per route and per admin (public routes share one scope per route).
+ * Requests without the header are not affected. Must run after Multer so the body is parsed.
+ * Fails open (handles the request without idempotency) if the key store is unavailable.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.ignoreFields] - Body fields left out of the payload comparison (e.g. single-use CAPTCHA tokens).
+ */
+export const idempotency = ({ ignoreFields = [] } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > IDEMPOTENCY.MAX_KEY_LENGTH) {
+    discardUploadedFiles(getUploadedFiles(req));
+    return res.status(400).json({
+      statusCode: 400,
+      success: false,
+      errors: [{ message: `The Idempotency-Key header must be 1-${IDEMPOTENCY.MAX_KEY_LENGTH} characters long.` }],
+      message: "Invalid Idempotency-Key."
+    });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path} ${req.admin ? `admin:${req.admin.adminId}` : 'public'}`;
+  const requestHash = hashRequest(req, ignoreFields);
+  const now = new Date();
+
+  let record;
+  try {
+    try {
+      record = await IdempotencyKey.create({
+        scope,
+        key,
+        requestHash,
+        lockedAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY.TTL_MS),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ scope, key });
+      if (existing && existing.requestHash !== requestHash) {
+        discardUploadedFiles(getUploadedFiles(req));
+        return res.status(422).json({
+          statusCode: 422,
+          success: false,
+          errors: [{ message: "This Idempotency-Key was already used with a different request payload." }],
+          message: "Idempotency-Key reused."
+        });
+      }
+      if (existing && existing.status === 'completed') {
+        discardUploadedFiles(getUploadedFiles(req));
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Take over an attempt that has been running longer than the lock timeout (e.g. the server restarted)
+      record = await IdempotencyKey.findOneAndUpdate(
+        { scope, key, status: 'in_progress', lockedAt: { $lt: new Date(now.getTime() - IDEMPOTENCY.LOCK_TIMEOUT_MS) } },
+        { $set: { lockedAt: now } },
+        { new: true }
+      );
+      if (!record) {
+        discardUploadedFiles(getUploadedFiles(req));
+        res.set('Retry-After', String(Math.ceil(IDEMPOTENCY.RETRY_AFTER_MS / 1000)));
+        return res.status(409).json({
+          statusCode: 409,
+          success: false,
+          errors: [{ message: "A request with this Idempotency-Key is still being processed. Please retry shortly." }],
+          message: "Request in progress."
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Idempotency key store failed, handling request without it:", error.message);
+    return next();
+  }
+
+  // Capture the JSON response so it can be stored once it has been sent
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  let settled = false;
+  const settle = async () => {
+    if (settled) return;
+    settled = true;
+    try {
+      if (res.writableFinished && res.statusCode < 500 && responseBody !== undefined) {
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(responseBody)) } }
+        );
+      } else {
+        // Failed or aborted: release the key so the client can retry
+        await IdempotencyKey.deleteOne({ _id: record._id, status: 'in_progress' });
+      }
+    } catch (error) {
+      console.error(`Failed to store the response for Idempotency-Key '${key}':`, error.message);
+    }
+  };
+  res.on('finish', settle);
+  res.on('close', settle);
+
+  next();
+};
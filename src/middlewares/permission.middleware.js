@@ -0,0 +1,34 @@
+// src/middlewares/permission.middleware.js
+import { ROLE_PERMISSIONS } from '../constants.js';
+
+/**
+ * Returns true if the given admin role grants the given permission.
+ * @param {string} role - Admin role (e.g., 'owner', 'editor', 'viewer').
+ * @param {string} permission - Permission name (e.g., 'templates:manage').
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Middleware factory that only lets the request through if the authenticated admin's
+ * role grants every listed permission (see ROLE_PERMISSIONS in src/constants.js).
+ * Must run after authMiddleware, which attaches `req.admin.role`.
+ * Returns a 403 Forbidden response otherwise.
+ * @param {...string} permissions - Permission names required for the route.
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const role = req.admin && req.admin.role;
+  const missingPermissions = permissions.filter(permission => !hasPermission(role, permission));
+
+  if (missingPermissions.length > 0) {
+    return res.status(403).json({
+      statusCode: 403,
+      success: false,
+      errors: [{ message: `Your role (${role || 'none'}) does not allow this action. Missing permission: ${missingPermissions.join(', ')}.` }],
+      message: "Forbidden."
+    });
+  }
+
+  next();
+};
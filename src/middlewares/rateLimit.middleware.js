@@ -0,0 +1,38 @@
+// src/middlewares/rateLimit.middleware.js
+import { consumeRateLimit, sendTooManyRequests } from '../utils/rateLimiter.js';
+
+/**
+ * Middleware factory limiting how often a client can hit a route.
+ * - Counts hits per key (the client IP by default) in a fixed window shared through MongoDB.
+ * - Responds with 429 and a `retryAfter` value once the limit is exceeded.
+ * - Fails open (lets the request through) if the counter store is unavailable,
+ *   so a database hiccup never locks everyone out.
+ *
+ * @param {object} options
+ * @param {string} options.name - Limiter name, used as the counter key prefix.
+ * @param {number} options.windowMs - Length of the window in milliseconds.
+ * @param {number} options.max - Maximum number of requests per key within the window.
+ * @param {(req: import('express').Request) => string} [options.keyGenerator] - Derives the counter key (defaults to the client IP, `req.ip`).
+ * @param {string} [options.message] - Error message returned when the limit is exceeded.
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => `ip:${req.ip || 'unknown'}`,
+  message = 'Too many requests. Please try again later.',
+}) => async (req, res, next) => {
+  try {
+    const result = await consumeRateLimit(`${name}:${keyGenerator(req)}`, { windowMs, max });
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+
+    if (!result.allowed) {
+      return sendTooManyRequests(res, message, result.retryAfter);
+    }
+  } catch (error) {
+    console.error(`Rate limiter '${name}' failed, allowing request:`, error.message);
+  }
+
+  next();
+};
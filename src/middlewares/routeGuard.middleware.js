@@ -0,0 +1,47 @@
+// src/middlewares/routeGuard.middleware.js
+import { PUBLIC_ROUTES } from '../constants.js';
+import { authMiddleware } from './auth.middleware.js';
+
+/**
+ * Converts a route path such as '/api/form/:formKey/submit' into a RegExp
+ * that matches a concrete request path segment by segment.
+ * @param {string} routePath - Route path, optionally containing `:param` segments.
+ * @returns {RegExp}
+ */
+const toPathRegex = (routePath) => {
+  const pattern = routePath
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${pattern}/?$`);
+};
+
+// Pre-compile the public route map once at startup
+const publicRouteMatchers = PUBLIC_ROUTES.map(route => ({
+  method: route.method.toUpperCase(),
+  regex: toPathRegex(route.path),
+}));
+
+/**
+ * Returns true if the given method and full request path are listed in PUBLIC_ROUTES.
+ * @param {string} method - HTTP method of the request.
+ * @param {string} fullPath - Full request path without the query string (e.g., '/api/form/submit').
+ * @returns {boolean}
+ */
+export const isPublicRoute = (method, fullPath) =>
+  publicRouteMatchers.some(route => route.method === method.toUpperCase() && route.regex.test(fullPath));
+
+/**
+ * Global guard for everything mounted under `/api`.
+ * - Lets requests through untouched if they match an entry in PUBLIC_ROUTES.
+ * - Runs `authMiddleware` for every other route, so routes are protected by default.
+ */
+export const routeGuard = (req, res, next) => {
+  const fullPath = `${req.baseUrl}${req.path}`;
+
+  if (isPublicRoute(req.method, fullPath)) {
+    return next();
+  }
+
+  return authMiddleware(req, res, next);
+};
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ADMIN_ROLES } from '../constants.js';
 
 // Define the schema for the Admin model
 const adminSchema = new mongoose.Schema({
@@ -11,23 +12,101 @@ const adminSchema = new mongoose.Schema({
     // Basic email format validation (can be more robust in controller)
     match: [/^[^@]+@[^@]+\.[^@]+$/, 'Please enter a valid email address']
   },
-  otp: {
-    type: Number, // Ensure OTP is stored as a Number
-    // OTP is not required when an admin account is first created, only when an OTP is generated
-    // It will be null after successful verification or before an OTP request
+  otpHash: {
+    type: String, // Salted scrypt hash of the current OTP; the plain OTP is never stored
+    default: null, // It will be null after successful verification or before an OTP request
+    select: false, // Never returned unless explicitly requested with .select('+otpHash')
   },
   otpExpiresAt: {
     type: Date,
     // This field stores the expiration timestamp for the OTP
     // It will be null after successful verification or before an OTP request
   },
+  otpAttempts: {
+    type: Number,
+    default: 0, // Wrong guesses against the currently issued OTP
+  },
+  lastOtpRequestedAt: {
+    type: Date,
+    // Used to enforce the resend cooldown between two OTP requests
+  },
+  otpRequestCount: {
+    type: Number,
+    default: 0, // OTP requests made in the current request window
+  },
+  otpRequestWindowStartedAt: {
+    type: Date,
+    // Start of the current OTP request counting window
+  },
+  lockoutUntil: {
+    type: Date,
+    default: null, // OTP requests and verification are refused until this time after too many wrong guesses
+  },
   lastLogin: {
     type: Date,
     // Records the timestamp of the last successful login
   },
-  sessionToken: { // Add this new field
+  role: {
+    type: String,
+    enum: ADMIN_ROLES, // Access level of the admin account
+    default: 'editor',
+  },
+  active: {
+    type: Boolean,
+    default: true, // Deactivated admins cannot request OTPs or use existing sessions
+  },
+  // Optional list of inboxes that receive this admin's login OTPs instead of the admin's own email
+  // (e.g. a shared support inbox whose OTPs are delivered to the team members monitoring it)
+  otpRecipients: [{
     type: String,
-    default: null, // It will be null until a successful login
+    lowercase: true,
+    trim: true,
+    match: [/^[^@]+@[^@]+\.[^@]+$/, 'Please enter a valid OTP recipient email address']
+  }],
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin', // The admin who invited this account (null for bootstrap admins)
+    default: null,
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null,
+  },
+  // Authenticator app (TOTP) second factor
+  totpEnabled: {
+    type: Boolean,
+    default: false, // When true the admin can log in with POST /api/auth/verify-totp
+  },
+  totpSecret: {
+    type: String, // AES-256-GCM encrypted base32 secret of the activated authenticator
+    default: null,
+    select: false,
+  },
+  totpPendingSecret: {
+    type: String, // Encrypted secret of an enrollment that has not been confirmed with a code yet
+    default: null,
+    select: false,
+  },
+  totpPendingCreatedAt: {
+    type: Date,
+    default: null,
+  },
+  totpLastUsedStep: {
+    type: Number,
+    default: null, // Time step of the last accepted code; older or equal steps are rejected as replays
+  },
+  totpRecoveryCodes: {
+    type: [String], // Salted scrypt hashes of the unused one-time recovery codes
+    default: [],
+    select: false,
+  },
+  totpFailedAttempts: {
+    type: Number,
+    default: 0, // Wrong authenticator/recovery codes since the last successful login
+  },
+  totpEnabledAt: {
+    type: Date,
+    default: null,
   },
 }, {
   timestamps: true // Adds `createdAt` and `updatedAt` fields automatically
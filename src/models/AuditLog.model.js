@@ -0,0 +1,59 @@
+// src/models/AuditLog.model.js
+import mongoose from 'mongoose';
+
+// One document per mutating admin action (template edits, gallery changes, email log deletions,
+// email sends, logins, admin management...). Written through `recordAudit` in src/utils/audit.js.
+const auditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin', // The admin who performed the action (null if it could not be determined)
+    default: null,
+    index: true,
+  },
+  adminEmail: {
+    type: String, // Copied at write time so the entry stays readable if the admin is removed
+    lowercase: true,
+    trim: true,
+  },
+  action: {
+    type: String, // '<area>.<verb>', e.g. 'template.update', 'gallery.delete', 'auth.login'
+    required: true,
+    index: true,
+  },
+  targetType: {
+    type: String, // Model name of the affected document, e.g. 'Template', 'Gallery', 'EmailLog'
+    default: null,
+  },
+  targetId: {
+    type: String, // ID of the affected document (string so non-ObjectId targets fit too)
+    default: null,
+  },
+  // Changed fields only: `before` holds the old values and `after` the new ones.
+  // Creations have no `before`, deletions have no `after`.
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed, // Extra context that is not a document change (recipients, counts...)
+    default: null,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Audit entries are never modified
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
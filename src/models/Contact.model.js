@@ -0,0 +1,42 @@
+// src/models/Contact.model.js
+import mongoose from 'mongoose';
+
+// Define the schema for contacts: one per person, aggregating all of their form submissions
+const contactSchema = new mongoose.Schema({
+  email: {
+    type: String, // Normalized (trimmed, lowercase) email the contact is keyed by
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  aliases: [{
+    type: String, // Emails of contacts merged into this one; their new submissions are attached here too
+    trim: true,
+    lowercase: true,
+  }],
+  name: {
+    type: String, // Name given in the latest submission
+    trim: true,
+  },
+  formTypes: [{
+    type: String, // Distinct form types the contact submitted
+  }],
+  submissionCount: {
+    type: Number,
+    default: 0,
+  },
+  firstSubmissionAt: {
+    type: Date,
+  },
+  lastSubmissionAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+contactSchema.index({ aliases: 1 });
+contactSchema.index({ lastSubmissionAt: -1 });
+
+export const Contact = mongoose.model('Contact', contactSchema);
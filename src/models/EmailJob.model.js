@@ -0,0 +1,69 @@
+// src/models/EmailJob.model.js
+import mongoose from 'mongoose';
+
+// Delivery job of one email (see src/workers/emailWorker.js); the message itself is stored in its EmailLog,
+// except for sensitive emails (see `content`)
+const emailJobSchema = new mongoose.Schema({
+  emailLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailLog',
+    required: true,
+    unique: true, // One job per email log
+  },
+  // 'queued' (waiting for runAt), 'processing' (claimed by a worker), 'completed',
+  // or 'dead' (gave up after maxAttempts or a permanent SMTP error)
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'dead'],
+    default: 'queued',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    required: true,
+  },
+  // Earliest time the next attempt may run
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Worker holding the job and when it claimed it; a lock older than the lock timeout is considered abandoned
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  // Body of a sensitive email, whose EmailLog only keeps a redacted copy; removed once the job is finished
+  content: {
+    subject: { type: String },
+    html: { type: String },
+    text: { type: String },
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set once the job is finished; MongoDB's TTL monitor removes the document afterwards
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: { expires: 0 },
+  },
+}, {
+  timestamps: true // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+// Index for claiming the next due job
+emailJobSchema.index({ status: 1, runAt: 1 });
+
+export const EmailJob = mongoose.model('EmailJob', emailJobSchema);
@@ -0,0 +1,44 @@
+// src/models/EmailLayout.model.js
+import mongoose from 'mongoose';
+
+// 'layout': wraps the body of an email ({{{body}}}); 'partial': block included by name ({{> footer}})
+export const EMAIL_LAYOUT_KINDS = ['layout', 'partial'];
+
+// Partial names as written in {{> name}}
+export const PARTIAL_NAME_REGEX = /^[A-Za-z][\w-]{0,49}$/;
+
+// Shared email chrome (brand header, footer, signature...) rendered around templates and system emails
+const emailLayoutSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true, // Layouts and partials share one namespace, so {{> name}} is never ambiguous
+    trim: true,
+  },
+  kind: {
+    type: String,
+    enum: EMAIL_LAYOUT_KINDS,
+    required: true,
+    immutable: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Handlebars HTML; a layout outputs the email body with {{{body}}} and may include partials
+  htmlContent: {
+    type: String,
+    required: true,
+  },
+  // The layout of system emails (OTP, built-in thank-you); exactly one layout is the default
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt timestamps automatically
+});
+
+emailLayoutSchema.index({ kind: 1, isDefault: 1 });
+
+export const EmailLayout = mongoose.model('EmailLayout', emailLayoutSchema);
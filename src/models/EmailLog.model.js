@@ -63,17 +63,59 @@ const emailLogSchema = new mongoose.Schema({
     trim: true,
   },
   htmlContent: { // Changed from htmlContentPreview to htmlContent
-    type: String, // Stores the full HTML content
+    type: String, // Stores the full HTML content (sanitized, with inlined CSS)
+  },
+  textContent: {
+    type: String, // Plain-text part generated from the HTML
+  },
+  contentWarnings: {
+    type: [String], // Size warnings raised when the email was queued (e.g. HTML clipped by Gmail)
+    default: undefined,
   },
   attachments: [attachmentLogSchema], // Array of attachment metadata
   overallStatus: {
     type: String,
-    enum: ['Pending', 'Success', 'Failed'],
+    // 'Scheduled' emails wait for `scheduledAt` and become 'Pending' when the queue worker starts sending them;
+    // 'Cancelled' emails were scheduled and cancelled before being sent
+    enum: ['Pending', 'Scheduled', 'Success', 'Failed', 'Cancelled'],
     default: 'Pending', // Initial status
   },
+  scheduledAt: {
+    type: Date, // Requested send time of a scheduled email (null when sent right away)
+    default: null,
+  },
+  scheduledTimezone: {
+    type: String, // IANA timezone `scheduledAt` was given in, if it was a local time
+    default: null,
+  },
   errorLog: {
     type: String, // Detailed error message for overall email sending failure
   },
+  attempts: {
+    type: Number, // Delivery attempts made by the email queue worker
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date, // When the queue worker retries a failed attempt (null when no retry is planned)
+    default: null,
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template', // Template the email was rendered from, if any
+    default: null,
+  },
+  templateRevision: {
+    type: Number, // Revision of `template` the email was rendered from (see TemplateRevision.model.js)
+    default: null,
+  },
+  isTest: {
+    type: Boolean, // Test send of a template to the admin (POST /api/templates/:id/test-send); excluded from listings by default
+    default: false,
+  },
+  isSensitive: {
+    type: Boolean, // Holds a secret (e.g. an OTP code): stored redacted, hidden from listings and never retried
+    default: false,
+  },
   relatedFormSubmissionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Form', // Reference to the FormData model if the email is linked to a form submission
@@ -81,8 +123,11 @@ const emailLogSchema = new mongoose.Schema({
   },
   sentAt: {
     type: Date,
-    default: Date.now,
+    default: Date.now, // Updated by the queue worker when the email is actually sent
   },
 }, { timestamps: true }); // Automatically add createdAt and updatedAt timestamps
 
+// Index for listing scheduled emails by send time
+emailLogSchema.index({ overallStatus: 1, scheduledAt: 1 });
+
 export const EmailLog = mongoose.model('EmailLog', emailLogSchema);
\ No newline at end of file
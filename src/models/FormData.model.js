@@ -1,12 +1,37 @@
 // src/models/FormData.model.js
 import mongoose from 'mongoose';
 
+// Sales pipeline stages of a submission (lead), in pipeline order
+export const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'converted', 'lost'];
+
+// Stages after which no follow-up is expected
+export const CLOSED_LEAD_STATUSES = ['converted', 'lost'];
+
+// Internal note left by an admin on a submission
+const leadNoteSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true, maxlength: 5000 },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  authorEmail: { type: String }, // Kept so the note stays readable if the admin is removed
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One change of a lead field (status, assignee or follow-up date)
+const leadHistorySchema = new mongoose.Schema({
+  field: { type: String, enum: ['status', 'assignedTo', 'nextFollowUpAt'], required: true },
+  from: { type: mongoose.Schema.Types.Mixed },
+  to: { type: mongoose.Schema.Types.Mixed },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  changedByEmail: { type: String },
+  changedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 // Define the schema for storing form submission details
 const formSchema = new mongoose.Schema({
   // Mandatory fields as per user's request
   form_type: { type: String, required: true },
-  page_Name: { type: String, required: true },
-  page_url: { type: String, required: true },
+  // Required by the built-in form definitions; other forms may not have a page
+  page_Name: { type: String },
+  page_url: { type: String },
   name: { type: String, required: true },
   email: {
     type: String,
@@ -41,9 +66,13 @@ const formSchema = new mongoose.Schema({
   reason: { type: String },
   website_url: { type: String },
 
-    // New fields for customizable email content from frontend
-  emailSubject: { type: String }, // Custom subject for the thank-you email
-  emailMessage: { type: String }, // Custom HTML message body for the thank-you email
+  // Values of form definition fields that have no column of their own, keyed by field name
+  customFields: { type: mongoose.Schema.Types.Mixed },
+
+  // Legacy: custom thank-you subject/HTML once accepted from the public request body. No longer set,
+  // since the thank-you email now only comes from the form definition's auto-reply template
+  emailSubject: { type: String },
+  emailMessage: { type: String },
 
   // NEW: Optional array of attachments for form submissions
   attachments: [
@@ -56,9 +85,30 @@ const formSchema = new mongoose.Schema({
     }
   ],
 
+  // Contact (person) the submission belongs to, matched by normalized email
+  contact: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact', default: null },
+  // Set when the same contact submitted the same form within the dedupe window (see SUBMISSION_DEDUPE)
+  isDuplicate: { type: Boolean, default: false },
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', default: null },
+
+  // Lead follow-up, managed by admins (PATCH /api/form/submissions/:id/lead)
+  status: { type: String, enum: LEAD_STATUSES, default: 'new' },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  nextFollowUpAt: { type: Date, default: null },
+  notes: [leadNoteSchema],
+  history: [leadHistorySchema], // Oldest change first
+
   // Timestamp for when the form was submitted
   timestamp: { type: Date, default: Date.now },
 }, { timestamps: true }); // Add Mongoose timestamps for createdAt and updatedAt
 
+// Indexes for the submissions listing (GET /api/form/submissions): newest first, optionally per form type
+formSchema.index({ createdAt: -1, _id: -1 });
+formSchema.index({ form_type: 1, createdAt: -1 });
+// Index for the follow-up list (GET /api/form/submissions/follow-ups)
+formSchema.index({ nextFollowUpAt: 1, status: 1 });
+// Index for a contact's submissions and the duplicate lookup
+formSchema.index({ contact: 1, form_type: 1, createdAt: -1 });
+
 // Create and export the Form model
 export const Form = mongoose.model('Form', formSchema);
\ No newline at end of file
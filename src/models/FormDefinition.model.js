@@ -0,0 +1,146 @@
+// src/models/FormDefinition.model.js
+import mongoose from 'mongoose';
+import { SPAM_PROTECTION } from '../constants.js';
+
+export const FORM_FIELD_TYPES = ['text', 'email', 'url', 'textarea', 'select', 'number'];
+
+// Forms served by the legacy routes (POST /api/form/submit and /submit-sample-pdf); they can be deactivated but not deleted
+export const BUILT_IN_FORM_KEYS = ['bundle_form', 'sample_pdf_download_form'];
+
+// Submission fields filled by the server or used for spam protection, which a definition must not declare
+export const RESERVED_FORM_FIELD_NAMES = [
+  'form_type',
+  'attachments',
+  'customFields',
+  'emailSubject',
+  'emailMessage',
+  'timestamp',
+  'createdAt',
+  'updatedAt',
+  SPAM_PROTECTION.HONEYPOT_FIELD,
+  SPAM_PROTECTION.CAPTCHA_TOKEN_FIELD,
+];
+
+/**
+ * Checks that a string is a valid JavaScript regular expression source.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+const isValidPattern = (pattern) => {
+  if (!pattern) return true;
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Schema for a single field of a website form
+const formFieldSchema = new mongoose.Schema({
+  name: {
+    type: String, // Key of the value in the submitted body, e.g. 'college_name'
+    required: true,
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9_]*$/, 'Field names may only contain letters, digits and underscores and must start with a letter'],
+    validate: {
+      validator: (name) => !RESERVED_FORM_FIELD_NAMES.includes(name) && !name.startsWith('geo_'),
+      message: props => `'${props.value}' is a reserved field name.`
+    }
+  },
+  label: {
+    type: String, // Human readable name used in validation messages and exports
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: FORM_FIELD_TYPES,
+    default: 'text',
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  minLength: {
+    type: Number,
+    min: 0,
+  },
+  maxLength: {
+    type: Number,
+    min: 1,
+  },
+  pattern: {
+    type: String, // Regular expression source the value must match, e.g. "^[A-Za-z\\s'-]{2,50}$"
+    validate: {
+      validator: isValidPattern,
+      message: props => `'${props.value}' is not a valid regular expression.`
+    }
+  },
+  patternMessage: {
+    type: String, // Error message returned when `pattern` does not match
+    trim: true,
+  },
+  options: [{
+    type: String, // Allowed values for 'select' fields
+    trim: true,
+  }],
+}, { _id: false });
+
+// Define the schema for website form definitions (one per public form)
+const formDefinitionSchema = new mongoose.Schema({
+  formKey: {
+    type: String, // Used in POST /api/form/:formKey/submit and stored as the submission's form_type
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9_-]*$/, 'Form keys may only contain lowercase letters, digits, dashes and underscores'],
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  fields: {
+    type: [formFieldSchema],
+    validate: [
+      {
+        // Every submission is a lead: it needs a name and an email to reply to
+        validator: (fields) => ['name', 'email'].every(required => fields.some(field => field.name === required && field.required)),
+        message: "A form definition must contain required 'name' and 'email' fields."
+      },
+      {
+        validator: (fields) => new Set(fields.map(field => field.name)).size === fields.length,
+        message: "Field names must be unique within a form definition."
+      }
+    ]
+  },
+  allowAttachments: {
+    type: Boolean,
+    default: true, // Whether files may be uploaded with the form (field name 'attachments')
+  },
+  autoReply: {
+    enabled: {
+      type: Boolean,
+      default: true, // Send a thank-you email to the submitter
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template', // Template used for the thank-you email; the built-in default is used when empty
+      default: null,
+    },
+  },
+  active: {
+    type: Boolean,
+    default: true, // Inactive forms reject new submissions
+  },
+}, {
+  timestamps: true // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+export const FormDefinition = mongoose.model('FormDefinition', formDefinitionSchema);
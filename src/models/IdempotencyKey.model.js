@@ -0,0 +1,48 @@
+// src/models/IdempotencyKey.model.js
+import mongoose from 'mongoose';
+
+// Requests made with an `Idempotency-Key` header and their first response (see idempotency.middleware.js)
+const idempotencyKeySchema = new mongoose.Schema({
+  // Route and caller the key belongs to, e.g. 'POST /api/templates/send-email admin:65a0...'
+  scope: {
+    type: String,
+    required: true,
+  },
+  // Value of the Idempotency-Key header chosen by the client
+  key: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the request payload; a retry with a different payload is rejected
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress',
+  },
+  // Stored response, replayed to retries
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Start of the current attempt; an attempt running longer than the lock timeout may be taken over
+  lockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // MongoDB's TTL monitor removes the document afterwards
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+export const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
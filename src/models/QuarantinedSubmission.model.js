@@ -0,0 +1,64 @@
+// src/models/QuarantinedSubmission.model.js
+import mongoose from 'mongoose';
+import { SPAM_PROTECTION } from '../constants.js';
+
+// Why a public submission was quarantined instead of stored
+export const QUARANTINE_REASONS = ['honeypot', 'captcha', 'disposable_email'];
+
+// Define the schema for public form submissions rejected as spam, kept for admin review
+const quarantinedSubmissionSchema = new mongoose.Schema({
+  form_type: {
+    type: String, // form_type the submission would have been stored with
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: QUARANTINE_REASONS,
+    required: true,
+  },
+  detail: {
+    type: String, // e.g. the CAPTCHA provider's error codes or the blocked email domain
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed, // Submitted fields (CAPTCHA tokens removed)
+  },
+  attachments: [{
+    filename: { type: String, required: true }, // Original name of the uploaded file
+    path: { type: String }, // Relative path of the file in the quarantine uploads folder
+    contentType: { type: String },
+    size: { type: Number },
+  }],
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'released', 'discarded'],
+    default: 'pending',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  releasedSubmission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form', // The submission created when an admin released this entry
+    default: null,
+  },
+}, {
+  timestamps: true // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+quarantinedSubmissionSchema.index({ status: 1, createdAt: -1 });
+// Quarantined entries are removed automatically after the retention period
+quarantinedSubmissionSchema.index({ createdAt: 1 }, { expireAfterSeconds: SPAM_PROTECTION.QUARANTINE_RETENTION_MS / 1000 });
+
+export const QuarantinedSubmission = mongoose.model('QuarantinedSubmission', quarantinedSubmissionSchema);
@@ -0,0 +1,25 @@
+// src/models/RateLimit.model.js
+import mongoose from 'mongoose';
+
+// Fixed-window request counters used by the rate limiter (one document per key and window)
+const rateLimitSchema = new mongoose.Schema({
+  // Counter key, e.g. 'otp-request:ip:203.0.113.7'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Number of hits recorded in the current window
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // End of the current window; MongoDB's TTL monitor removes the document afterwards
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+export const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,65 @@
+// src/models/Session.model.js
+import mongoose from 'mongoose';
+
+// One document per admin login (device). Access tokens (JWTs) carry the session's _id as `sessionId`,
+// refresh tokens have the form '<sessionId>.<secret>', and authMiddleware rejects tokens whose
+// session is revoked or expired.
+const sessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true,
+  },
+  userAgent: {
+    type: String, // Raw User-Agent header of the device that logged in
+    default: '',
+  },
+  ip: {
+    type: String, // IP address the login came from
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now, // Updated (throttled) by authMiddleware on authenticated requests
+  },
+  lastSeenIp: {
+    type: String,
+  },
+  // SHA-256 hash of the current refresh token; the plain token only exists in the admin's cookie
+  refreshTokenHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // Hash of the refresh token that was rotated out last, accepted for a short grace period
+  // (parallel requests); any other stale token is treated as reuse and revokes the session
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  refreshTokenRotatedAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }, // Sliding idle expiry; MongoDB removes the document once the session has expired
+  },
+  absoluteExpiresAt: {
+    type: Date, // Hard limit after which the session can no longer be refreshed
+  },
+  revokedAt: {
+    type: Date,
+    default: null, // Set on logout, per-session revocation or "log out everywhere"
+  },
+  revokedReason: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true // `createdAt` is the login time
+});
+
+export const Session = mongoose.model('Session', sessionSchema);
@@ -54,7 +54,17 @@ const templateSchema = new mongoose.Schema({
       default: 0, // Default size is 0 if not provided
     },
   }],
-  
+  // Optional: layout the content is rendered into (see EmailLayout.model.js); null sends the content as is
+  layout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailLayout',
+    default: null,
+  },
+  // Number of the latest revision (see TemplateRevision.model.js); incremented on every save
+  currentRevision: {
+    type: Number,
+    default: 0,
+  },
 }, {
   timestamps: true // Adds createdAt and updatedAt timestamps automatically
 });
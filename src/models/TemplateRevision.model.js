@@ -0,0 +1,66 @@
+// src/models/TemplateRevision.model.js
+import mongoose from 'mongoose';
+
+export const TEMPLATE_REVISION_ACTIONS = ['create', 'update', 'rollback'];
+
+// Snapshot of a template attachment (the Cloudinary file is kept while a revision references it)
+const revisionAttachmentSchema = new mongoose.Schema({
+  filename: String,
+  secure_url: String,
+  public_id: String,
+  contentType: String,
+  size: Number,
+}, { _id: false });
+
+// Immutable copy of a template as saved: one revision per create, update or rollback
+const templateRevisionSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    required: true,
+    immutable: true,
+  },
+  revision: {
+    type: Number, // 1 for the first save, then increasing by one per save (Template.currentRevision)
+    required: true,
+    immutable: true,
+  },
+  action: {
+    type: String,
+    enum: TEMPLATE_REVISION_ACTIONS,
+    required: true,
+    immutable: true,
+  },
+  rolledBackFrom: {
+    type: Number, // Revision restored by a rollback
+    default: null,
+    immutable: true,
+  },
+  templateName: { type: String, immutable: true },
+  subject: { type: String, immutable: true },
+  htmlContent: { type: String, immutable: true },
+  type: { type: String, immutable: true },
+  description: { type: String, immutable: true },
+  layout: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailLayout', default: null, immutable: true },
+  attachments: {
+    type: [revisionAttachmentSchema],
+    immutable: true,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin', // Admin who saved the revision (null for revisions created by migrations)
+    default: null,
+    immutable: true,
+  },
+  authorEmail: {
+    type: String,
+    default: null,
+    immutable: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Revisions are never updated
+});
+
+templateRevisionSchema.index({ template: 1, revision: -1 }, { unique: true });
+
+export const TemplateRevision = mongoose.model('TemplateRevision', templateRevisionSchema);
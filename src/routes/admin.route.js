@@ -0,0 +1,32 @@
+// src/routes/admin.route.js
+import express from 'express';
+import {
+  getAllAdmins,
+  inviteAdmin,
+  updateAdmin,
+  deactivateAdmin,
+  reactivateAdmin,
+} from '../controllers/admin.controller.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// Only owners can manage admin accounts
+router.use(requirePermission('admins:manage'));
+
+// GET all admin accounts (optionally filtered with ?active=true|false)
+router.get('/', getAllAdmins);
+
+// POST invite a new admin
+router.post('/', inviteAdmin);
+
+// PATCH update an admin's role or OTP delivery recipients
+router.patch('/:id', updateAdmin);
+
+// PATCH deactivate an admin (revokes their session and blocks OTP requests)
+router.patch('/:id/deactivate', deactivateAdmin);
+
+// PATCH reactivate a deactivated admin
+router.patch('/:id/reactivate', reactivateAdmin);
+
+export default router;
@@ -0,0 +1,11 @@
+// src/routes/audit.route.js
+import express from 'express';
+import { getAuditLogs } from '../controllers/audit.controller.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// GET audit log entries (filterable, ?format=csv for a CSV export)
+router.get('/', requirePermission('auditLogs:read'), getAuditLogs);
+
+export default router;
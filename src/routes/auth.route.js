@@ -1,90 +1,91 @@
 import express from 'express';
-import { requestOtp, verifyOtp, logoutAdmin, getMe } from '../controllers/auth.controller.js';
-import jwt from 'jsonwebtoken'; // Used for token verification in middleware
-import { Admin } from '../models/Admin.model.js'; // Import the Admin model
+import {
+  requestOtp,
+  verifyOtp,
+  logoutAdmin,
+  refreshSession,
+  getMe,
+  getSessions,
+  revokeSession,
+  logoutAllSessions,
+} from '../controllers/auth.controller.js';
+import {
+  verifyTotpLogin,
+  requestTotpConfirmationOtp,
+  startTotpSetup,
+  activateTotp,
+  disableTotp,
+} from '../controllers/totp.controller.js';
+import { rateLimit } from '../middlewares/rateLimit.middleware.js';
+import { OTP_SECURITY, SESSION_SETTINGS, TOTP_SETTINGS } from '../constants.js';
 
+// Note: every route here except the login/logout endpoints listed in PUBLIC_ROUTES
+// is protected by the global routeGuard mounted in app.js.
 const router = express.Router();
 
-/**
- * Middleware to authenticate requests using a JWT token from cookies.
- * - Checks for 'admin_token' cookie.
- * - Verifies the token using the JWT_SECRET.
- * - Attaches decoded admin information to `req.admin` for downstream handlers.
- * - If token is missing, invalid, or expired, returns a 401 Unauthorized response.
- * - If a newer login occurred or the token is from an old session, clears the cookie.
- *   Returns a 401 response with an appropriate message.
- */
-const authMiddleware = async (req, res, next) => { // Make middleware async
-  const token = req.cookies.admin_token;
-
-  if (!token) {
-    return res.status(401).json({
-      statusCode: 401,
-      success: false,
-      errors: [{ message: "Authentication required. Please log in." }],
-      message: "Authentication required. Please log in."
-    });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Retrieve the admin from the database to check the session token
-    const admin = await Admin.findById(decoded.adminId);
-
-    if (!admin || admin.sessionToken !== decoded.sessionToken) {
-      // If admin not found or session token does not match, it means a newer login occurred
-      // or the token is from an old session. Clear the cookie.
-      res.clearCookie('admin_token', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'None',
-      });
-      return res.status(401).json({
-        statusCode: 401,
-        success: false,
-        errors: [{ message: "Your session is no longer active. Please log in again." }],
-        message: "Your session is no longer active. Please log in again."
-      });
-    }
-
-    req.admin = decoded;
-    next();
-  } catch (err) {
-    console.error("JWT verification failed:", err.message);
-    res.clearCookie('admin_token', { // Clear cookie on any JWT verification failure
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'None',
-    });
-    return res.status(401).json({
-      statusCode: 401,
-      success: false,
-      errors: [{ message: "Invalid or expired session. Please log in again." }],
-      message: "Invalid or expired session. Please log in again."
-    });
-  }
-};
+// Per-IP limits on the login endpoints (per-email limits are enforced in the controller)
+const otpRequestLimiter = rateLimit({
+  name: 'otp-request',
+  ...OTP_SECURITY.IP_REQUEST_LIMIT,
+  message: "Too many OTP requests from this IP. Please try again later.",
+});
+const otpVerifyLimiter = rateLimit({
+  name: 'otp-verify',
+  ...OTP_SECURITY.IP_VERIFY_LIMIT,
+  message: "Too many OTP verification attempts from this IP. Please try again later.",
+});
+const totpVerifyLimiter = rateLimit({
+  name: 'totp-verify',
+  ...TOTP_SETTINGS.IP_VERIFY_LIMIT,
+  message: "Too many authenticator code attempts from this IP. Please try again later.",
+});
+const refreshLimiter = rateLimit({
+  name: 'session-refresh',
+  ...SESSION_SETTINGS.IP_REFRESH_LIMIT,
+  message: "Too many session refresh attempts from this IP. Please try again later.",
+});
 
 // Define authentication routes:
 
 // POST /api/auth/request-otp: Initiates the OTP login process
-router.post('/request-otp', requestOtp);
+router.post('/request-otp', otpRequestLimiter, requestOtp);
 
 // POST /api/auth/verify-otp: Verifies the provided OTP
-router.post('/verify-otp', verifyOtp);
+router.post('/verify-otp', otpVerifyLimiter, verifyOtp);
+
+// POST /api/auth/verify-totp: Logs in with an authenticator app code or a recovery code
+router.post('/verify-totp', totpVerifyLimiter, verifyTotpLogin);
 
-// POST /api/auth/logout: Logs out the admin by clearing the session cookie
+// POST /api/auth/logout: Logs out the admin by revoking the current session and clearing the cookie
 router.post('/logout', logoutAdmin);
 
+// POST /api/auth/refresh: Exchanges the refresh token cookie for a new access token (rotating the refresh token)
+router.post('/refresh', refreshLimiter, refreshSession);
+
 // GET /api/auth/dashboard: A protected route that requires authentication
-// The authMiddleware will run first to ensure the user is logged in
-router.get('/dashboard', authMiddleware, (req, res) => {
-  // If the middleware passes, req.admin will contain the authenticated user's details
+// The global routeGuard runs authMiddleware first to ensure the user is logged in
+router.get('/dashboard', (req, res) => {
+  // If the guard passes, req.admin will contain the authenticated user's details
   res.json({ success: true, message: `Welcome back, ${req.admin.email}! You have access to the dashboard.` });
 });
 
 // GET /api/auth/me: Retrieves details of the logged-in user
-router.get('/me', authMiddleware, getMe);
+router.get('/me', getMe);
+
+// GET /api/auth/sessions: Lists the logged-in admin's active sessions (one per device)
+router.get('/sessions', getSessions);
+
+// DELETE /api/auth/sessions/:id: Revokes one of the logged-in admin's sessions
+router.delete('/sessions/:id', revokeSession);
+
+// POST /api/auth/logout-all: Logs the admin out on every device
+router.post('/logout-all', logoutAllSessions);
+
+// Authenticator app (TOTP) enrollment for the logged-in admin.
+// Enrolling and removing require a fresh OTP sent by POST /api/auth/totp/request-otp.
+router.post('/totp/request-otp', otpRequestLimiter, requestTotpConfirmationOtp);
+router.post('/totp/setup', otpVerifyLimiter, startTotpSetup);
+router.post('/totp/activate', totpVerifyLimiter, activateTotp);
+router.delete('/totp', otpVerifyLimiter, disableTotp);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,17 @@
+// src/routes/contact.route.js
+import express from 'express';
+import { getAllContacts, getContactById, mergeContacts } from '../controllers/contact.controller.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// GET all contacts (people aggregated from form submissions by email)
+router.get('/', requirePermission('submissions:read'), getAllContacts);
+
+// GET a contact with its submissions and email logs
+router.get('/:id', requirePermission('submissions:read'), getContactById);
+
+// POST merge other contacts into a contact
+router.post('/:id/merge', requirePermission('submissions:manage'), mergeContacts);
+
+export default router;
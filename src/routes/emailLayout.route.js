@@ -0,0 +1,29 @@
+// src/routes/emailLayout.route.js
+import express from 'express';
+import {
+  getAllEmailLayouts,
+  getEmailLayoutById,
+  createEmailLayout,
+  updateEmailLayout,
+  deleteEmailLayout,
+} from '../controllers/emailLayout.controller.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// GET all email layouts and partials
+router.get('/', requirePermission('templates:read'), getAllEmailLayouts);
+
+// GET a single email layout or partial by ID
+router.get('/:id', requirePermission('templates:read'), getEmailLayoutById);
+
+// POST a new email layout or partial
+router.post('/', requirePermission('templates:manage'), createEmailLayout);
+
+// PUT (update) an email layout or partial by ID
+router.put('/:id', requirePermission('templates:manage'), updateEmailLayout);
+
+// DELETE an email layout or partial by ID
+router.delete('/:id', requirePermission('templates:manage'), deleteEmailLayout);
+
+export default router;
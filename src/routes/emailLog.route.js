@@ -5,21 +5,33 @@ import {
   getEmailLogById,
   deleteEmailLog,
   retryFailedEmails,
-
+  getScheduledEmails,
+  cancelScheduledEmail,
+  rescheduleEmail,
 } from '../controllers/emailLog.controller.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
 
 const router = express.Router();
 
 // GET all email logs
-router.get('/', getAllEmailLogs);
+router.get('/', requirePermission('emailLogs:read'), getAllEmailLogs);
+
+// GET scheduled emails not sent yet (registered before '/:id')
+router.get('/scheduled', requirePermission('emailLogs:read'), getScheduledEmails);
 
 // GET a single email log by ID
-router.get('/:id', getEmailLogById);
+router.get('/:id', requirePermission('emailLogs:read'), getEmailLogById);
 
 // DELETE an email log by ID
-router.delete('/:id', deleteEmailLog);
+router.delete('/:id', requirePermission('emailLogs:delete'), deleteEmailLog);
+
+// POST cancel a scheduled email
+router.post('/:id/cancel', requirePermission('emails:send'), cancelScheduledEmail);
+
+// PATCH change the send time of a scheduled email
+router.patch('/:id/schedule', requirePermission('emails:send'), rescheduleEmail);
 
 //Retry sending failed emails
-router.post('/retry-failed-emails', retryFailedEmails);
+router.post('/retry-failed-emails', requirePermission('emailLogs:retry'), retryFailedEmails);
 
 export default router;
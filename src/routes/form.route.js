@@ -4,37 +4,90 @@ import {
         fetchAllSubmissions,
         fetchBundleSubmissions,
         fetchSampleSubmissions,
+        querySubmissions,
+        exportSubmissions,
         submitForm,
         submitSamplePdfForm,
+        submitFormByKey,
         handleThankYouSubmission,
      }from '../controllers/form.controller.js';
+import { getSubmissionAnalytics } from '../controllers/analytics.controller.js';
+import {
+        getSubmissionById,
+        updateSubmissionLead,
+        addSubmissionNote,
+        getDueFollowUps,
+     } from '../controllers/lead.controller.js';
 import upload from '../config/multerConfig.js'; // Import Multer upload middleware
+import { requirePermission } from '../middlewares/permission.middleware.js';
+import { rateLimit } from '../middlewares/rateLimit.middleware.js';
+import { idempotency } from '../middlewares/idempotency.middleware.js';
+import { SPAM_PROTECTION } from '../constants.js';
+import { CAPTCHA_TOKEN_FIELDS } from '../utils/captcha.js';
 
 const router = express.Router();
 
+// Per-IP limit shared by the public submit routes; runs before Multer so rejected requests store no files.
+// Keyed on req.ip, which only honours X-Forwarded-For from trusted proxies (TRUST_PROXY), so it can't be spoofed.
+const submitLimiter = rateLimit({
+  name: 'form-submit',
+  ...SPAM_PROTECTION.IP_SUBMIT_LIMIT,
+  keyGenerator: (req) => `ip:${req.ip || 'unknown'}`,
+  message: "Too many form submissions from this IP. Please try again later.",
+});
+
+// Retries of a submission with the same Idempotency-Key header get the first response back.
+// CAPTCHA tokens are single-use, so a retry may carry a new one.
+const submitIdempotency = idempotency({ ignoreFields: CAPTCHA_TOKEN_FIELDS });
+
+// Only '/submit', '/submit-sample-pdf' and '/:formKey/submit' are public (see PUBLIC_ROUTES in src/constants.js).
+// All other routes below are admin-only and protected by the global routeGuard.
+
 // Define the route for submitting original form data (Bundle Form)
 // Apply multer middleware to handle 'attachments' field as an array of files
-router.post('/submit', upload.array('attachments', 10), submitForm);
+router.post('/submit', submitLimiter, upload.array('attachments', 10), submitIdempotency, submitForm);
 
 // Define the new route for submitting sample PDF download form data
-router.post('/submit-sample-pdf', upload.array('attachments', 10), submitSamplePdfForm);
+router.post('/submit-sample-pdf', submitLimiter, upload.array('attachments', 10), submitIdempotency, submitSamplePdfForm);
+
+// Define the route for submitting any form configured via /api/form-definitions
+router.post('/:formKey/submit', submitLimiter, upload.array('attachments', 10), submitIdempotency, submitFormByKey);
 
 // Define the new route for sending custom thank you messages
 // NOW accepts multipart/form-data for direct attachment uploads
 // Use upload.fields to specify both file and text fields.
 // The 'emails' field will be a text field containing a JSON string or parsed object.
-router.post('/thankyou', upload.fields([
+router.post('/thankyou', requirePermission('emails:send'), upload.fields([
   { name: 'attachments', maxCount: 10 }, // For file attachments
   { name: 'emails' } // For the 'emails' text field (which contains JSON data)
-]), handleThankYouSubmission);
+]), idempotency(), handleThankYouSubmission); // Retries with the same Idempotency-Key header don't send the emails twice
+
+// Define the route for querying form submissions (filters, sorting, page or cursor pagination)
+router.get('/submissions', requirePermission('submissions:read'), querySubmissions);
+
+// Define the route for exporting form submissions (?format=csv|xlsx, same filters as /submissions)
+router.get('/submissions/export', requirePermission('submissions:read'), exportSubmissions);
+
+// Define the route for listing open submissions whose follow-up is due today (or overdue)
+router.get('/submissions/follow-ups', requirePermission('submissions:read'), getDueFollowUps);
+
+// Define the routes for a single submission and its lead lifecycle (status, assignee, follow-up date, notes)
+router.get('/submissions/:id', requirePermission('submissions:read'), getSubmissionById);
+router.patch('/submissions/:id/lead', requirePermission('submissions:manage'), updateSubmissionLead);
+router.post('/submissions/:id/notes', requirePermission('submissions:manage'), addSubmissionNote);
+
+// Define the route for submission analytics (time series and breakdowns for the admin dashboard)
+router.get('/analytics', requirePermission('submissions:read'), getSubmissionAnalytics);
+
+// The three routes below are presets of GET /submissions and accept the same query parameters
 
 // Define the route for fetching all bundle form submissions
-router.get('/fetch-bundle-submissions', fetchBundleSubmissions);
+router.get('/fetch-bundle-submissions', requirePermission('submissions:read'), fetchBundleSubmissions);
 
 // Define the route for fetching all sample PDF form submissions
-router.get('/fetch-sample-submissions', fetchSampleSubmissions);
+router.get('/fetch-sample-submissions', requirePermission('submissions:read'), fetchSampleSubmissions);
 
 // Define the route for fetching all form submissions (both types)
-router.get('/fetch-all-submissions', fetchAllSubmissions);
+router.get('/fetch-all-submissions', requirePermission('submissions:read'), fetchAllSubmissions);
 
 export default router;
@@ -0,0 +1,29 @@
+// src/routes/formDefinition.route.js
+import express from 'express';
+import {
+  getAllFormDefinitions,
+  getFormDefinitionById,
+  createFormDefinition,
+  updateFormDefinition,
+  deleteFormDefinition,
+} from '../controllers/formDefinition.controller.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// GET all form definitions
+router.get('/', requirePermission('forms:read'), getAllFormDefinitions);
+
+// GET a single form definition by ID
+router.get('/:id', requirePermission('forms:read'), getFormDefinitionById);
+
+// POST a new form definition (submissions are accepted at POST /api/form/:formKey/submit)
+router.post('/', requirePermission('forms:manage'), createFormDefinition);
+
+// PUT (update) a form definition by ID
+router.put('/:id', requirePermission('forms:manage'), updateFormDefinition);
+
+// DELETE a form definition by ID
+router.delete('/:id', requirePermission('forms:manage'), deleteFormDefinition);
+
+export default router;
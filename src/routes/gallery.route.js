@@ -8,24 +8,25 @@ import {
   deleteMedia,
 } from '../controllers/gallery.controller.js';
 import upload from '../config/multerConfig.js'; // Import Multer upload middleware
+import { requirePermission } from '../middlewares/permission.middleware.js';
 
 const router = express.Router();
 
 // POST route to upload a single media file to Cloudinary and save details to DB
 // 'media' is the field name expected in the multipart/form-data request
-router.post('/upload', upload.single('media'), uploadMedia);
+router.post('/upload', requirePermission('gallery:manage'), upload.single('media'), uploadMedia);
 
 // GET route to fetch all media items from the gallery
-router.get('/', getAllMedia);
+router.get('/', requirePermission('gallery:read'), getAllMedia);
 
 // GET route to fetch a single media item by its ID
-router.get('/:id', getMediaById);
+router.get('/:id', requirePermission('gallery:read'), getMediaById);
 
 // PUT route to update an existing media item by its ID
 // This route can also handle a new 'media' file if the media itself is being replaced
-router.put('/:id', upload.single('media'), updateMedia);
+router.put('/:id', requirePermission('gallery:manage'), upload.single('media'), updateMedia);
 
 // DELETE route to delete a media item by its ID from both DB and Cloudinary
-router.delete('/:id', deleteMedia);
+router.delete('/:id', requirePermission('gallery:manage'), deleteMedia);
 
 export default router;
@@ -0,0 +1,21 @@
+// src/routes/quarantine.route.js
+import express from 'express';
+import {
+  getQuarantinedSubmissions,
+  releaseQuarantinedSubmission,
+  discardQuarantinedSubmission,
+} from '../controllers/quarantine.controller.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+
+const router = express.Router();
+
+// GET public submissions quarantined as spam (pending review by default)
+router.get('/', requirePermission('submissions:read'), getQuarantinedSubmissions);
+
+// POST release a quarantined submission (saves it as a regular submission)
+router.post('/:id/release', requirePermission('submissions:manage'), releaseQuarantinedSubmission);
+
+// POST confirm a quarantined submission as spam
+router.post('/:id/discard', requirePermission('submissions:manage'), discardQuarantinedSubmission);
+
+export default router;
@@ -6,21 +6,31 @@ import {
   getTemplateById,
   updateTemplate,
   deleteTemplate,
-  sendEmailFromTemplate
+  sendEmailFromTemplate,
+  previewTemplate,
+  testSendTemplate,
 } from '../controllers/template.controller.js';
+import {
+  getTemplateRevisions,
+  getTemplateRevision,
+  compareTemplateRevisions,
+  rollbackTemplate,
+} from '../controllers/templateRevision.controller.js';
 import upload from '../config/multerConfig.js'; // Import Multer upload middleware
+import { requirePermission } from '../middlewares/permission.middleware.js';
+import { idempotency } from '../middlewares/idempotency.middleware.js';
 
 const router = express.Router();
 
 // GET all templates
-router.get('/', getAllTemplates);
+router.get('/', requirePermission('templates:read'), getAllTemplates);
 
 // GET a single template by ID
-router.get('/:id', getTemplateById);
+router.get('/:id', requirePermission('templates:read'), getTemplateById);
 
 // POST a new template
 // Use upload.fields to handle both text fields and an array of attachments
-router.post('/', upload.fields([
+router.post('/', requirePermission('templates:manage'), upload.fields([
     { name: 'templateName', maxCount: 1 },
     { name: 'subject', maxCount: 1 },
     { name: 'htmlContent', maxCount: 1 },
@@ -30,14 +40,32 @@ router.post('/', upload.fields([
 ]), addTemplate)
 
 // PUT (update) an existing template by ID
-router.put('/:id', upload.array('attachments', 10), updateTemplate); // Also use for update if attachments can be updated
+router.put('/:id', requirePermission('templates:manage'), upload.array('attachments', 10), updateTemplate); // Also use for update if attachments can be updated
 
 // DELETE a template by ID
-router.delete('/:id', deleteTemplate);
+router.delete('/:id', requirePermission('templates:manage'), deleteTemplate);
+
+// GET the revision history of a template
+router.get('/:id/revisions', requirePermission('templates:read'), getTemplateRevisions);
+
+// GET a diff between two revisions (registered before '/:id/revisions/:revision')
+router.get('/:id/revisions/diff', requirePermission('templates:read'), compareTemplateRevisions);
+
+// GET a single revision with its content
+router.get('/:id/revisions/:revision', requirePermission('templates:read'), getTemplateRevision);
+
+// POST restore a template to an earlier revision
+router.post('/:id/revisions/:revision/rollback', requirePermission('templates:manage'), rollbackTemplate);
+
+// POST render a template with sample data or a submission, without sending
+router.post('/:id/preview', requirePermission('templates:read'), previewTemplate);
 
+// POST send a template to the logged-in admin only (logged as a test email)
+router.post('/:id/test-send', requirePermission('emails:send'), testSendTemplate);
 
 // NEW ROUTE: Send an email using a template with optional attachments
 // This route will use Multer to process 'attachments' field (up to 10 files)
-router.post('/send-email', upload.array('attachments', 10), sendEmailFromTemplate);
+// Retries with the same Idempotency-Key header get the first response back instead of sending again
+router.post('/send-email', requirePermission('emails:send'), upload.array('attachments', 10), idempotency(), sendEmailFromTemplate);
 
 export default router;
\ No newline at end of file
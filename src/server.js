@@ -3,11 +3,20 @@ import dotenv from 'dotenv';
 dotenv.config(); // Load environment variables from .env file
 
 import { connectToDatabase } from './db/dbConnect.js'; // Import the database connection function
+import { seedBootstrapAdmins } from './db/seedAdmins.js'; // Import the bootstrap admin seeding function
+import { runStartupMigrations } from './db/migrations.js'; // Import the startup data migrations
+import { seedFormDefinitions } from './db/seedFormDefinitions.js'; // Import the built-in form definition seeding function
+import { seedEmailLayouts } from './db/seedEmailLayouts.js'; // Import the built-in email layout seeding function
+import { startEmailWorker } from './workers/emailWorker.js'; // Import the email queue worker
+import { startQuarantineUploadCleanup } from './utils/spamProtection.js'; // Import the quarantined upload cleanup
 import app from './app.js'; // Import the Express application instance
 
 /**
  * Asynchronously starts the server.
  * - Connects to the MongoDB database.
+ * - Runs idempotent data migrations and ensures the bootstrap admin accounts, built-in form definitions and email layouts exist.
+ * - Starts deleting uploads of expired quarantined submissions.
+ * - Starts the email queue worker in this process, unless EMAIL_WORKER_MODE=external (worker run with `npm run worker`).
  * - Starts the Express application on the configured port.
  */
 const startServer = async () => {
@@ -16,6 +25,26 @@ const startServer = async () => {
     await connectToDatabase();
     console.log('✅ Database connected successfully!');
 
+    // Bring existing documents up to date with the current schemas
+    await runStartupMigrations();
+
+    // Make sure at least the bootstrap owners can log in
+    await seedBootstrapAdmins();
+
+    // Make sure the existing website forms have definitions to validate against
+    await seedFormDefinitions();
+
+    // Make sure system emails (OTP, thank-you) have their layout, footer and signature
+    await seedEmailLayouts();
+
+    // Uploads kept for quarantined submissions outlive their TTL-deleted entries otherwise
+    await startQuarantineUploadCleanup();
+
+    // Deliver queued emails from this process unless a separate worker does it
+    if (process.env.EMAIL_WORKER_MODE !== 'external') {
+      await startEmailWorker();
+    }
+
     // Get the port from environment variables, default to 5000 if not set
     const PORT = process.env.PORT || 5000;
 
@@ -0,0 +1,91 @@
+// src/utils/audit.js
+import { AuditLog } from '../models/AuditLog.model.js';
+import { getClientIp } from './requestIp.js';
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Secrets that must never be copied into the audit trail
+const REDACTED_FIELDS = [
+  'otpHash',
+  'totpSecret',
+  'totpPendingSecret',
+  'totpRecoveryCodes',
+  'refreshTokenHash',
+  'previousRefreshTokenHash',
+];
+
+/**
+ * Converts a Mongoose document (or plain object) into a JSON-safe plain object without secrets.
+ * @param {object|null} doc
+ * @returns {object|null}
+ */
+const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+  for (const field of REDACTED_FIELDS) {
+    if (field in plain) plain[field] = '[redacted]';
+  }
+  return plain;
+};
+
+/**
+ * Computes the before/after diff of two snapshots, keeping only top-level fields whose value changed.
+ * @param {object|null} before - Snapshot before the change (null for creations).
+ * @param {object|null} after - Snapshot after the change (null for deletions).
+ * @returns {{before: object|null, after: object|null}}
+ */
+export const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changedBefore[field] = before[field] ?? null;
+      changedAfter[field] = after[field] ?? null;
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Records a mutating admin action in the audit trail.
+ * Failures are logged and swallowed so auditing never breaks the action itself.
+ *
+ * @param {import('express').Request} req - The request that performed the action (for the admin, IP and user agent).
+ * @param {object} entry
+ * @param {string} entry.action - '<area>.<verb>', e.g. 'template.update'.
+ * @param {string} [entry.targetType] - Model name of the affected document.
+ * @param {*} [entry.targetId] - ID of the affected document.
+ * @param {object} [entry.before] - Document before the change (omit for creations).
+ * @param {object} [entry.after] - Document after the change (omit for deletions).
+ * @param {object} [entry.metadata] - Extra context.
+ * @param {{adminId: *, email: string}} [entry.actor] - Acting admin when `req.admin` is not set yet (e.g. logins).
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, { action, targetType = null, targetId = null, before = null, after = null, metadata = null, actor }) => {
+  try {
+    const acting = actor || req.admin || {};
+    const changes = diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after));
+
+    await AuditLog.create({
+      admin: acting.adminId || null,
+      adminEmail: acting.email,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      before: changes.before,
+      after: changes.after,
+      metadata,
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || '',
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit log for '${action}':`, error);
+  }
+};
@@ -0,0 +1,111 @@
+// src/utils/captcha.js
+import axios from 'axios';
+import { SPAM_PROTECTION } from '../constants.js';
+
+/**
+ * CAPTCHA verification adapters.
+ * The provider is selected with CAPTCHA_PROVIDER ('recaptcha', 'hcaptcha', 'turnstile' or 'stub');
+ * verification is skipped when it is unset. The hosted providers need CAPTCHA_SECRET_KEY, and
+ * CAPTCHA_VERIFY_URL can point them at a local stub server in tests.
+ * The 'stub' provider makes no network call: it accepts exactly the token in CAPTCHA_STUB_TOKEN
+ * (default 'stub-pass').
+ */
+
+/**
+ * Posts a token to a siteverify endpoint. reCAPTCHA, hCaptcha and Turnstile share this protocol
+ * (form-encoded `secret`, `response` and `remoteip`; JSON reply with `success` and `error-codes`).
+ * @param {string} defaultUrl - The provider's verification endpoint.
+ * @returns {(token: string, ip?: string) => Promise<object>} Resolves with the provider's reply.
+ */
+const siteVerify = (defaultUrl) => async (token, ip) => {
+  const params = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET_KEY || '', response: token });
+  if (ip) params.set('remoteip', ip);
+  const response = await axios.post(process.env.CAPTCHA_VERIFY_URL || defaultUrl, params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: SPAM_PROTECTION.CAPTCHA_TIMEOUT_MS,
+  });
+  return response.data;
+};
+
+const CAPTCHA_PROVIDERS = {
+  recaptcha: {
+    tokenField: 'g-recaptcha-response',
+    verify: siteVerify('https://www.google.com/recaptcha/api/siteverify'),
+  },
+  hcaptcha: {
+    tokenField: 'h-captcha-response',
+    verify: siteVerify('https://api.hcaptcha.com/siteverify'),
+  },
+  turnstile: {
+    tokenField: 'cf-turnstile-response',
+    verify: siteVerify('https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+  },
+  stub: {
+    tokenField: SPAM_PROTECTION.CAPTCHA_TOKEN_FIELD,
+    verify: async (token) => (token === (process.env.CAPTCHA_STUB_TOKEN || 'stub-pass')
+      ? { success: true }
+      : { success: false, 'error-codes': ['invalid-input-response'] }),
+  },
+};
+
+// Body fields that may carry a CAPTCHA token, removed before submissions are stored
+export const CAPTCHA_TOKEN_FIELDS = [
+  SPAM_PROTECTION.CAPTCHA_TOKEN_FIELD,
+  ...new Set(Object.values(CAPTCHA_PROVIDERS).map(provider => provider.tokenField)),
+];
+
+/**
+ * Returns the configured CAPTCHA provider name, or null if verification is disabled.
+ * @returns {string|null}
+ */
+export const getCaptchaProvider = () => {
+  const provider = (process.env.CAPTCHA_PROVIDER || '').trim().toLowerCase();
+  return provider && provider !== 'none' ? provider : null;
+};
+
+/**
+ * Reads the CAPTCHA token from a submitted body: the generic `captchaToken` field, or the field
+ * the configured provider's widget fills in (e.g. 'g-recaptcha-response').
+ * @param {object} body - req.body
+ * @returns {string|undefined}
+ */
+export const getCaptchaToken = (body = {}) => {
+  const provider = CAPTCHA_PROVIDERS[getCaptchaProvider()];
+  return body[SPAM_PROTECTION.CAPTCHA_TOKEN_FIELD] || (provider && body[provider.tokenField]) || undefined;
+};
+
+/**
+ * Verifies a CAPTCHA token with the configured provider.
+ * Fails closed: a missing token, an unknown provider or an unreachable provider count as failures
+ * (the submission is quarantined and can still be released by an admin).
+ * @param {string} [token] - Token produced by the provider's widget on the website.
+ * @param {string} [ip] - Submitter's IP address, forwarded to the provider.
+ * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
+ */
+export const verifyCaptcha = async (token, ip) => {
+  const providerName = getCaptchaProvider();
+  if (!providerName) return { success: true, skipped: true };
+
+  const provider = CAPTCHA_PROVIDERS[providerName];
+  if (!provider) {
+    console.error(`Unknown CAPTCHA_PROVIDER '${providerName}'. Allowed: ${Object.keys(CAPTCHA_PROVIDERS).join(', ')}.`);
+    return { success: false, error: 'unknown-provider' };
+  }
+  if (!token) return { success: false, error: 'missing-input-response' };
+
+  try {
+    const result = await provider.verify(String(token), ip);
+    if (!result.success) {
+      return { success: false, error: (result['error-codes'] || []).join(',') || 'verification-failed' };
+    }
+    // reCAPTCHA v3 returns a score between 0 (bot) and 1 (human)
+    const minScore = parseFloat(process.env.CAPTCHA_MIN_SCORE);
+    if (typeof result.score === 'number' && !Number.isNaN(minScore) && result.score < minScore) {
+      return { success: false, error: `low-score:${result.score}` };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error(`CAPTCHA verification with '${providerName}' failed:`, error.message);
+    return { success: false, error: 'provider-unavailable' };
+  }
+};
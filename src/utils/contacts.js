@@ -0,0 +1,107 @@
+// src/utils/contacts.js
+import { Contact } from '../models/Contact.model.js';
+import { Form } from '../models/FormData.model.js';
+import { SUBMISSION_DEDUPE } from '../constants.js';
+
+/**
+ * Normalizes an email address for contact matching (trimmed, lowercase).
+ * @param {string} email
+ * @returns {string}
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Returns the dedupe window: repeat submissions of the same form by the same contact within
+ * this window are flagged as duplicates. Read lazily so it honors `.env`.
+ * @returns {number} Window in milliseconds (0 disables duplicate flagging).
+ */
+export const getDedupeWindowMs = () => {
+  const minutes = parseInt(process.env.SUBMISSION_DEDUPE_WINDOW_MINUTES, 10);
+  return Number.isNaN(minutes) || minutes < 0 ? SUBMISSION_DEDUPE.DEFAULT_WINDOW_MS : minutes * 60 * 1000;
+};
+
+/**
+ * Finds the contact owning an email (directly or as a merged alias), creating it if needed.
+ * @param {string} email
+ * @returns {Promise<object>} The Contact document.
+ */
+export const findOrCreateContact = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+  const aliasOwner = await Contact.findOne({ aliases: normalizedEmail });
+  if (aliasOwner) return aliasOwner;
+
+  // Upsert so concurrent first submissions of the same email share one contact
+  return Contact.findOneAndUpdate(
+    { email: normalizedEmail },
+    { $setOnInsert: { email: normalizedEmail } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Finds the latest submission of the same form by a contact within the dedupe window.
+ * @param {object} contact - The Contact document.
+ * @param {string} formType - The form_type of the new submission.
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} The earlier submission, or null if the new one is not a repeat.
+ */
+export const findRecentDuplicate = async (contact, formType, now = new Date()) => {
+  const windowMs = getDedupeWindowMs();
+  if (windowMs === 0) return null;
+  return Form.findOne({
+    contact: contact._id,
+    form_type: formType,
+    createdAt: { $gte: new Date(now.getTime() - windowMs) },
+  }).sort({ createdAt: -1 }).select('_id createdAt');
+};
+
+/**
+ * Updates a contact's aggregates after one of its submissions was saved.
+ * @param {object} contact - The Contact document.
+ * @param {object} submission - The saved Form document.
+ */
+export const recordContactSubmission = async (contact, submission) => {
+  await Contact.updateOne({ _id: contact._id }, {
+    $set: { name: submission.name },
+    $addToSet: { formTypes: submission.form_type },
+    $inc: { submissionCount: 1 },
+    $min: { firstSubmissionAt: submission.createdAt },
+    $max: { lastSubmissionAt: submission.createdAt },
+  });
+};
+
+/**
+ * Recomputes a contact's aggregates from its submissions (after a merge).
+ * @param {import('mongoose').Types.ObjectId} contactId
+ */
+export const refreshContactStats = async (contactId) => {
+  const [stats] = await Form.aggregate([
+    { $match: { contact: contactId } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: null,
+        name: { $last: '$name' },
+        formTypes: { $addToSet: '$form_type' },
+        submissionCount: { $sum: 1 },
+        firstSubmissionAt: { $first: '$createdAt' },
+        lastSubmissionAt: { $last: '$createdAt' },
+      }
+    },
+  ]);
+  const { _id, ...update } = stats || { submissionCount: 0, formTypes: [] };
+  await Contact.updateOne({ _id: contactId }, { $set: update });
+};
+
+/**
+ * Finds the latest submission made with an email address (directly or through a merged alias of its contact).
+ * @param {string} email
+ * @param {object} [filter] - Extra conditions on the submission, e.g. { geo_timezone: { $nin: [null, ''] } }.
+ * @returns {Promise<object|null>} The Form document, or null if the email never submitted a form.
+ */
+export const findLatestSubmissionByEmail = async (email, filter = {}) => {
+  const normalizedEmail = normalizeEmail(email);
+  const contact = await Contact.findOne({ $or: [{ email: normalizedEmail }, { aliases: normalizedEmail }] }).select('_id');
+  if (!contact) return null;
+  return Form.findOne({ contact: contact._id, ...filter }).sort({ createdAt: -1 });
+};
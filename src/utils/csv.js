@@ -0,0 +1,50 @@
+// src/utils/csv.js
+
+/**
+ * Escapes a single value for a CSV cell (RFC 4180).
+ * Values starting with '=', '+', '-', '@', tab or carriage return are prefixed with a quote so
+ * spreadsheet apps don't evaluate them as formulas (CSV injection).
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Builds one CSV line (terminated with CRLF) from a list of values.
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+export const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Waits until a response can take more data after `res.write()` returned false.
+ * Settles as well when the client disconnects, since 'drain' is then never emitted.
+ * @param {import('express').Response} res
+ * @returns {Promise<boolean>} true once drained, false if the response was closed or errored.
+ */
+export const waitForDrain = (res) => {
+  if (res.destroyed) return Promise.resolve(false);
+  return new Promise(resolve => {
+    const settle = (drained) => () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = settle(true);
+    const onClose = settle(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+};
@@ -0,0 +1,122 @@
+// src/utils/emailContent.js
+import { convert } from 'html-to-text';
+import juice from 'juice';
+import sanitizeHtml from 'sanitize-html';
+import { EMAIL_CONTENT } from '../constants.js';
+
+// Tags and attributes kept in email HTML: layout, formatting and images; no scripts, forms, frames or embeds
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'html', 'head', 'body', 'title', 'meta', 'style', 'img', 'center', 'font', 'span', 'u', 's',
+  ],
+  allowedAttributes: {
+    '*': ['style', 'class', 'id', 'align', 'valign', 'width', 'height', 'bgcolor', 'background', 'border', 'dir', 'lang', 'title', 'role'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt'],
+    meta: ['name', 'content', 'charset'],
+    font: ['color', 'face', 'size'],
+    table: ['cellpadding', 'cellspacing'],
+    td: ['colspan', 'rowspan', 'nowrap'],
+    th: ['colspan', 'rowspan', 'nowrap'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['http', 'https', 'cid', 'data'] },
+  allowProtocolRelative: false,
+  // <style> blocks are needed for CSS inlining and media queries; their content is CSS, which email clients restrict themselves
+  allowVulnerableTags: true,
+};
+
+/**
+ * Escapes a value for interpolation into HTML text or a quoted attribute.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+})[char]);
+
+/**
+ * Returns a URL for use in an href if it is an absolute http(s) URL, otherwise null.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const safeLinkUrl = (value) => {
+  try {
+    const url = new URL(String(value ?? ''));
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Converts the HTML of an email to its plain-text version: links keep their URL, images are dropped,
+ * and tables, lists and paragraphs keep their line structure.
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToPlainText = (html) => convert(String(html || ''), {
+  wordwrap: 78,
+  selectors: [
+    { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'h1', options: { uppercase: false } },
+    { selector: 'h2', options: { uppercase: false } },
+    { selector: 'h3', options: { uppercase: false } },
+    { selector: 'table', format: 'dataTable' },
+  ],
+});
+
+/**
+ * Removes scripts, event handler attributes, javascript: URLs and other active content from email HTML.
+ * @param {string} html
+ * @returns {string}
+ */
+export const sanitizeEmailHtml = (html) => sanitizeHtml(String(html || ''), SANITIZE_OPTIONS);
+
+/**
+ * Moves the CSS of <style> blocks into style attributes, which more email clients honour.
+ * Media queries stay in a <style> block.
+ * @param {string} html
+ * @returns {string}
+ */
+export const inlineEmailCss = (html) => {
+  try {
+    return juice(html, { preserveMediaQueries: true, preserveFontFaces: true, applyWidthAttributes: true });
+  } catch (error) {
+    console.warn('Could not inline email CSS, sending the HTML as is:', error.message);
+    return html;
+  }
+};
+
+/**
+ * Prepares the content of an outgoing email: sanitizes the HTML, inlines its CSS, derives the plain-text
+ * part and checks the size against EMAIL_CONTENT limits.
+ * @param {string} html - HTML as authored (template, custom message, system email).
+ * @param {Array<{size?: number}>} [attachments=[]] - Attachments, counted when their size is known.
+ * @returns {{html: string, text: string, size: number, warnings: string[]}} `size`: estimated encoded message size in bytes.
+ */
+export const prepareEmailContent = (html, attachments = []) => {
+  const preparedHtml = inlineEmailCss(sanitizeEmailHtml(html));
+  const text = htmlToPlainText(preparedHtml);
+
+  const htmlBytes = Buffer.byteLength(preparedHtml);
+  const attachmentBytes = attachments.reduce((sum, attachment) => sum + (Number(attachment.size) || 0), 0);
+  // Attachments are base64-encoded, which grows them by a third
+  const size = htmlBytes + Buffer.byteLength(text) + Math.ceil(attachmentBytes * 4 / 3);
+
+  const warnings = [];
+  if (htmlBytes > EMAIL_CONTENT.MAX_HTML_BYTES) {
+    warnings.push(`HTML content is ${Math.round(htmlBytes / 1024)} KB; some clients (e.g. Gmail above ${Math.round(EMAIL_CONTENT.MAX_HTML_BYTES / 1024)} KB) clip it.`);
+  }
+  if (size > EMAIL_CONTENT.MAX_MESSAGE_BYTES) {
+    warnings.push(`Message is about ${(size / (1024 * 1024)).toFixed(1)} MB; mail servers may reject messages above ${Math.round(EMAIL_CONTENT.MAX_MESSAGE_BYTES / (1024 * 1024))} MB.`);
+  }
+
+  return { html: preparedHtml, text, size, warnings };
+};
@@ -0,0 +1,131 @@
+// src/utils/emailLayouts.js
+import mongoose from 'mongoose';
+import { EmailLayout } from '../models/EmailLayout.model.js';
+import { compileTemplate, findTemplatePartials, findMissingVariables } from './templateRenderer.js';
+import { BUILT_IN_EMAIL_LAYOUT, BUILT_IN_EMAIL_PARTIALS } from '../db/seedEmailLayouts.js';
+
+// Variable a layout outputs the email body with ({{{body}}})
+export const LAYOUT_BODY_VARIABLE = 'body';
+
+/**
+ * Loads the sources of all partials: the stored ones, plus built-in ones missing from the database.
+ * @returns {Promise<Map<string, string>>} Handlebars source by partial name.
+ */
+export const loadPartialSources = async () => {
+  const sources = new Map(Object.entries(BUILT_IN_EMAIL_PARTIALS).map(([name, partial]) => [name, partial.htmlContent]));
+  const partials = await EmailLayout.find({ kind: 'partial' }).select('name htmlContent');
+  partials.forEach(partial => sources.set(partial.name, partial.htmlContent));
+  return sources;
+};
+
+/**
+ * Follows the partials included by some templates, and by those partials in turn.
+ * @param {string[]} sources - Templates (subject, HTML content, layout...).
+ * @param {Map<string, string>} partialSources - From `loadPartialSources`.
+ * @returns {{names: string[], unknown: string[], cycle: string[]|null}} `names`: known partials used;
+ *   `unknown`: included names that don't exist; `cycle`: partials including each other, e.g. ['a', 'b', 'a'].
+ */
+export const resolvePartials = (sources, partialSources) => {
+  const resolved = new Set();
+  const unknown = new Set();
+  let cycle = null;
+
+  const visit = (name, path) => {
+    if (cycle || resolved.has(name)) return;
+    if (path.includes(name)) {
+      cycle = [...path.slice(path.indexOf(name)), name];
+      return;
+    }
+    if (!partialSources.has(name)) {
+      unknown.add(name);
+      return;
+    }
+    findTemplatePartials(partialSources.get(name)).forEach(child => visit(child, [...path, name]));
+    resolved.add(name);
+  };
+
+  sources.forEach(source => findTemplatePartials(source).forEach(name => visit(name, [])));
+  return { names: [...resolved], unknown: [...unknown], cycle };
+};
+
+/**
+ * Checks the layout a template references and the partials its subject and content include.
+ * @param {object} fields - { layout, subject, htmlContent }; omitted fields are not checked.
+ * @returns {Promise<string|null>} Error message, or null if the references are valid.
+ */
+export const getTemplateLayoutError = async ({ layout, subject, htmlContent }) => {
+  if (layout) {
+    if (!mongoose.isValidObjectId(layout)) return "Invalid layout ID format.";
+    if (!(await EmailLayout.exists({ _id: layout, kind: 'layout' }))) return `Email layout '${layout}' not found.`;
+  }
+
+  const sources = [subject, htmlContent].filter(source => source !== undefined);
+  if (sources.length === 0) return null;
+  const { unknown } = resolvePartials(sources, await loadPartialSources());
+  return unknown.length > 0 ? `Unknown partial(s): ${unknown.join(', ')}. Partials are managed under /api/email-layouts.` : null;
+};
+
+/**
+ * Prepares the rendering of emails with a layout and the stored partials. Templates compiled with
+ * `compile` can include partials; `wrap` puts a rendered body into the layout.
+ * @param {object} [options]
+ * @param {*} [options.layoutId] - Layout chosen by a template; without one the body is sent as is.
+ * @param {boolean} [options.useDefaultLayout=false] - Use the default layout (system emails), or the built-in one if none is stored.
+ * @param {boolean} [options.builtIn=false] - Use only the built-in layout and partials, ignoring the stored ones
+ *   (fallback for system emails whose stored layout fails to render).
+ * @returns {Promise<{layout: object|null, compile: Function, wrap: Function, findMissingVariables: Function}>}
+ */
+export const createEmailRenderer = async ({ layoutId = null, useDefaultLayout = false, builtIn = false } = {}) => {
+  const partialSources = builtIn
+    ? new Map(Object.entries(BUILT_IN_EMAIL_PARTIALS).map(([name, partial]) => [name, partial.htmlContent]))
+    : await loadPartialSources();
+  let layout = null;
+  if (builtIn) {
+    layout = BUILT_IN_EMAIL_LAYOUT;
+  } else if (layoutId) {
+    layout = await EmailLayout.findOne({ _id: layoutId, kind: 'layout' }).select('name htmlContent');
+  } else if (useDefaultLayout) {
+    layout = (await EmailLayout.findOne({ kind: 'layout', isDefault: true }).select('name htmlContent')) || BUILT_IN_EMAIL_LAYOUT;
+  }
+
+  const partials = {};
+  for (const [name, source] of partialSources) {
+    partials[name] = compileTemplate(source);
+  }
+  const renderLayout = layout ? compileTemplate(layout.htmlContent, { partials }) : null;
+
+  return {
+    layout: layout ? { _id: layout._id || null, name: layout.name } : null,
+
+    /**
+     * Compiles a template with access to the partials (see `compileTemplate`).
+     * @param {string} source
+     * @param {object} [options] - { escapeHtml }
+     * @returns {(data: object) => string}
+     */
+    compile: (source, options = {}) => compileTemplate(source, { ...options, partials }),
+
+    /**
+     * Renders the layout around an email body (the body itself when there is no layout).
+     * @param {string} bodyHtml - The rendered body.
+     * @param {object} data - Template variables, also available to the layout.
+     * @returns {string}
+     */
+    wrap: (bodyHtml, data) => (renderLayout ? renderLayout({ ...data, [LAYOUT_BODY_VARIABLE]: bodyHtml }) : bodyHtml),
+
+    /**
+     * Lists the variables without a value in some templates, the layout and the partials they include.
+     * @param {string[]} sources
+     * @param {object} data
+     * @returns {string[]}
+     */
+    findMissingVariables: (sources, data) => {
+      const allSources = layout ? [...sources, layout.htmlContent] : sources;
+      const { names } = resolvePartials(allSources, partialSources);
+      return findMissingVariables(
+        [...allSources, ...names.map(name => partialSources.get(name))],
+        layout ? { ...data, [LAYOUT_BODY_VARIABLE]: true } : data
+      );
+    },
+  };
+};
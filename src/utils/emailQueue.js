@@ -0,0 +1,43 @@
+// src/utils/emailQueue.js
+import { EmailJob } from '../models/EmailJob.model.js';
+import { EMAIL_QUEUE } from '../constants.js';
+
+// Callbacks run when a job is enqueued (the in-process worker uses this to pick it up without waiting for its next poll)
+const enqueueListeners = new Set();
+
+/**
+ * Registers a callback run whenever an email job is enqueued in this process.
+ * @param {() => void} listener
+ * @returns {() => void} Function removing the listener.
+ */
+export const onEmailEnqueued = (listener) => {
+  enqueueListeners.add(listener);
+  return () => enqueueListeners.delete(listener);
+};
+
+/**
+ * Queues the delivery of an email log. Enqueuing the same log twice keeps the existing job.
+ * @param {import('mongoose').Types.ObjectId} emailLogId
+ * @param {object} [options]
+ * @param {Date} [options.runAt] - Earliest delivery time (default: now).
+ * @param {{subject: string, html: string, text: string}} [options.content] - Body to send instead of the log's (sensitive emails).
+ * @returns {Promise<void>}
+ */
+export const enqueueEmail = async (emailLogId, { runAt = new Date(), content = null } = {}) => {
+  await EmailJob.updateOne(
+    { emailLog: emailLogId },
+    { $setOnInsert: { emailLog: emailLogId, status: 'queued', runAt, maxAttempts: EMAIL_QUEUE.MAX_ATTEMPTS, ...(content && { content }) } },
+    { upsert: true }
+  );
+  enqueueListeners.forEach(listener => listener());
+};
+
+/**
+ * Computes the delay before the next attempt: exponential backoff with ±20% jitter.
+ * @param {number} attempts - Attempts made so far (1 after the first failure).
+ * @returns {number} Delay in milliseconds.
+ */
+export const getRetryDelayMs = (attempts) => {
+  const delay = Math.min(EMAIL_QUEUE.MAX_BACKOFF_MS, EMAIL_QUEUE.BASE_BACKOFF_MS * 2 ** (attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
@@ -0,0 +1,130 @@
+// src/utils/emailSchedule.js
+import { Form } from '../models/FormData.model.js';
+import { findLatestSubmissionByEmail, normalizeEmail } from './contacts.js';
+import { isValidTimezone, zonedTimeToUtc } from './timezone.js';
+import { EMAIL_SCHEDULING } from '../constants.js';
+
+// Wall-clock date and time without a UTC offset, e.g. '2026-10-20T09:00' or '2026-10-20 09:00:00'
+const LOCAL_DATE_TIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Finds the timezone of a recipient: the `geo_timezone` of the given submission if the recipient is its
+ * submitter, or else of the latest submission of the contact owning the email address.
+ * @param {string} email
+ * @param {string} [submissionId] - Submission the email answers, if any.
+ * @returns {Promise<string|null>} IANA timezone, or null if unknown.
+ */
+export const findRecipientTimezone = async (email, submissionId = null) => {
+  if (submissionId) {
+    const submission = await Form.findById(submissionId).select('email geo_timezone');
+    if (submission?.geo_timezone && isValidTimezone(submission.geo_timezone)
+      && normalizeEmail(submission.email) === normalizeEmail(email)) {
+      return submission.geo_timezone;
+    }
+  }
+
+  const latest = await findLatestSubmissionByEmail(email, { geo_timezone: { $nin: [null, ''] } });
+  return latest && isValidTimezone(latest.geo_timezone) ? latest.geo_timezone : null;
+};
+
+/**
+ * Checks that a scheduled time lies in the accepted window (future, within EMAIL_SCHEDULING.MAX_AHEAD_MS).
+ * @param {Date} date
+ * @param {string} [timezone] - Timezone the time was given in, for the error message.
+ * @returns {string|null} Error message, or null if the time is accepted.
+ */
+const checkScheduleWindow = (date, timezone) => {
+  const now = Date.now();
+  const where = timezone ? ` (${timezone})` : '';
+  if (date.getTime() <= now) {
+    return `sendAt${where} is in the past: ${date.toISOString()}.`;
+  }
+  if (date.getTime() - now > EMAIL_SCHEDULING.MAX_AHEAD_MS) {
+    return `sendAt${where} is too far in the future: emails can be scheduled at most ${Math.round(EMAIL_SCHEDULING.MAX_AHEAD_MS / (24 * 60 * 60 * 1000))} days ahead.`;
+  }
+  return null;
+};
+
+/**
+ * Parses the scheduling options of a send request.
+ * - `sendAt` alone: an absolute ISO 8601 date-time with a UTC offset, e.g. '2026-10-20T09:00:00Z'.
+ * - `sendAt` + `sendAtTimezone`: a wall-clock time without offset, e.g. '2026-10-20T09:00', in an IANA timezone,
+ *   or in each recipient's own timezone with `sendAtTimezone: 'recipient'` (`fallbackTimezone`, default UTC,
+ *   for recipients without a known timezone).
+ * @param {object} options - { sendAt, sendAtTimezone, fallbackTimezone } from the request.
+ * @returns {{schedule?: object|null, error?: string}} `schedule` is null when the email is sent now.
+ */
+export const parseScheduleOptions = ({ sendAt, sendAtTimezone, fallbackTimezone } = {}) => {
+  if (sendAt === undefined || sendAt === null || sendAt === '') {
+    return sendAtTimezone ? { error: "sendAtTimezone requires sendAt." } : { schedule: null };
+  }
+  const value = String(sendAt).trim();
+
+  if (!sendAtTimezone) {
+    const date = new Date(value);
+    if (LOCAL_DATE_TIME_REGEX.test(value) || isNaN(date.getTime())) {
+      return { error: "Invalid sendAt. Use an ISO 8601 date-time with a UTC offset (e.g. 2026-10-20T09:00:00Z), or pass sendAtTimezone with a local time." };
+    }
+    const error = checkScheduleWindow(date);
+    return error ? { error } : { schedule: { sendAt: date } };
+  }
+
+  const match = LOCAL_DATE_TIME_REGEX.exec(value);
+  if (!match) {
+    return { error: "Invalid sendAt. With sendAtTimezone, use a local date-time without offset (e.g. 2026-10-20T09:00)." };
+  }
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second };
+  // Date.UTC rolls out-of-range values over (2026-02-31 is March 3rd): the date must read back unchanged
+  const asUtc = new Date(Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hour, wallClock.minute, wallClock.second));
+  if (asUtc.getUTCFullYear() !== wallClock.year || asUtc.getUTCMonth() + 1 !== wallClock.month || asUtc.getUTCDate() !== wallClock.day
+    || asUtc.getUTCHours() !== wallClock.hour || asUtc.getUTCMinutes() !== wallClock.minute || asUtc.getUTCSeconds() !== wallClock.second) {
+    return { error: `Invalid sendAt '${value}'.` };
+  }
+
+  if (sendAtTimezone === EMAIL_SCHEDULING.RECIPIENT_TIMEZONE) {
+    const fallback = String(fallbackTimezone || 'UTC');
+    if (!isValidTimezone(fallback)) {
+      return { error: `Invalid fallbackTimezone '${fallback}'. Use an IANA timezone name such as 'Asia/Kolkata'.` };
+    }
+    return { schedule: { wallClock, recipientLocal: true, fallbackTimezone: fallback } };
+  }
+
+  const timezone = String(sendAtTimezone);
+  if (!isValidTimezone(timezone)) {
+    return { error: `Invalid sendAtTimezone '${timezone}'. Use an IANA timezone name such as 'Asia/Kolkata', or '${EMAIL_SCHEDULING.RECIPIENT_TIMEZONE}'.` };
+  }
+  const date = zonedTimeToUtc(wallClock, timezone);
+  const error = checkScheduleWindow(date, timezone);
+  return error ? { error } : { schedule: { sendAt: date, timezone } };
+};
+
+/**
+ * Splits the recipients of an email into deliveries, one per send time.
+ * Without a recipient-local schedule there is a single delivery to all recipients; with one, recipients
+ * are grouped by timezone so everybody receives the email at the same local time.
+ * @param {string[]} recipients - Primary recipients.
+ * @param {object|null} schedule - From `parseScheduleOptions`.
+ * @param {string} [submissionId] - Submission whose geo_timezone takes precedence for its submitter.
+ * @returns {Promise<{deliveries?: Array<{recipients: string[], sendAt: Date|null, timezone: string|null}>, error?: string}>}
+ */
+export const planScheduledDeliveries = async (recipients, schedule, submissionId = null) => {
+  if (!schedule) return { deliveries: [{ recipients, sendAt: null, timezone: null }] };
+  if (!schedule.recipientLocal) return { deliveries: [{ recipients, sendAt: schedule.sendAt, timezone: schedule.timezone || null }] };
+
+  const byTimezone = new Map();
+  for (const recipient of recipients) {
+    const timezone = (await findRecipientTimezone(recipient, submissionId)) || schedule.fallbackTimezone;
+    if (!byTimezone.has(timezone)) byTimezone.set(timezone, []);
+    byTimezone.get(timezone).push(recipient);
+  }
+
+  const deliveries = [];
+  for (const [timezone, timezoneRecipients] of byTimezone) {
+    const sendAt = zonedTimeToUtc(schedule.wallClock, timezone);
+    const error = checkScheduleWindow(sendAt, timezone);
+    if (error) return { error: `${error} Recipients: ${timezoneRecipients.join(', ')}.` };
+    deliveries.push({ recipients: timezoneRecipients, sendAt, timezone });
+  }
+  return { deliveries };
+};
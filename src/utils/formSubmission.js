@@ -0,0 +1,184 @@
+// src/utils/formSubmission.js
+import path from 'path';
+import fs from 'fs';
+import { Form } from '../models/FormData.model.js';
+import { Template } from '../models/Template.model.js';
+import { getGeolocation } from './geolocation.js';
+import { sendEmail } from './mailer.js';
+import { findOrCreateContact, findRecentDuplicate, recordContactSubmission } from './contacts.js';
+import { submissionTemplateVariables } from './templateRenderer.js';
+import { createEmailRenderer } from './emailLayouts.js';
+import { escapeHtml, safeLinkUrl } from './emailContent.js';
+
+/**
+ * Deletes files uploaded with a rejected submission so they don't pile up in 'uploads/'.
+ * @param {object[]} [files] - `req.files` as populated by Multer.
+ */
+export const discardUploadedFiles = (files) => {
+  (files || []).forEach(file => {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`Failed to delete rejected upload ${file.path}:`, err);
+    });
+  });
+};
+
+// Internal fields of a submission left out of the public submit response: contact matching, duplicate
+// detection, lead follow-up and the submitter's geolocation
+const INTERNAL_SUBMISSION_FIELDS = [
+  'contact', 'isDuplicate', 'duplicateOf',
+  'status', 'assignedTo', 'nextFollowUpAt', 'notes', 'history',
+  'geo_ip', 'geo_hostname', 'geo_country', 'geo_region', 'geo_city', 'geo_loc', 'geo_org', 'geo_postal', 'geo_timezone',
+];
+
+/**
+ * Converts a saved submission into what the public submit routes return: the submitted fields, without internals.
+ * @param {object} submission - The saved Form document.
+ * @returns {object}
+ */
+export const toPublicSubmission = (submission) => {
+  const data = submission.toObject();
+  INTERNAL_SUBMISSION_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+/**
+ * Builds the built-in thank-you email, used when a form definition has no auto-reply template.
+ * Only the body is built here; it is sent in the default email layout (header, footer, signature).
+ * The submitted values are escaped, and links are only rendered for http(s) URLs.
+ * @param {string} formType - The submission's form_type.
+ * @param {object} values - The validated submission values (name, page_Name, page_url, website_url...).
+ * @returns {{subject: string, html: string}}
+ */
+const buildDefaultThankYouEmail = (formType, values) => {
+  const name = escapeHtml(values.name);
+  const pageName = escapeHtml(values.page_Name);
+  const pageUrl = safeLinkUrl(values.page_url);
+  const downloadUrl = safeLinkUrl(values.website_url) || pageUrl;
+  const websiteLink = (intro) => pageUrl
+    ? `<p style="text-align: center; font-size: 14px; color: #666;">${intro} <a href="${escapeHtml(pageUrl)}" style="color: #2a64ad; text-decoration: none;">${escapeHtml(pageUrl)}</a></p>`
+    : '';
+
+  if (formType === 'sample_pdf_download_form') {
+    return {
+      subject: `Thank You for Downloading the Sample PDF from ${values.page_Name}!`, // Plain text: not escaped
+      html: `
+      <h1 style="font-size: 24px; color: #2a64ad; margin-top: 0; margin-bottom: 15px; text-align: center;">Thank You, ${name}!</h1>
+      <p style="text-align: center; color: #555;">We hope you find the sample PDF useful.</p>
+      <p style="text-align: center; color: #555;">You can download your PDF here (if applicable, or link to the download on your site):</p>
+      ${downloadUrl ? `<div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(downloadUrl)}" style="display: inline-block; background-color: #2a64ad; color: #ffffff; font-size: 18px; font-weight: bold; padding: 15px 30px; border-radius: 8px; text-decoration: none; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">Download PDF</a>
+      </div>` : ''}
+      ${websiteLink('If you have any questions, feel free to visit our website:')}
+    `,
+    };
+  }
+
+  return {
+    subject: `Thank You for Your Interest in ${formType === 'bundle_form' ? 'Our Bundle Offer' : 'Our Products'}!`,
+    html: `
+      <h1 style="font-size: 24px; color: #2a64ad; margin-top: 0; margin-bottom: 15px; text-align: center;">Thank You for Your Interest, ${name}!</h1>
+      <p style="text-align: center; color: #555;">We appreciate you showing interest in our ${pageName || 'products'}.</p>
+      <p style="text-align: center; color: #555;">We've received your submission and will get back to you shortly if needed.</p>
+      ${websiteLink('In the meantime, feel free to explore more on our website:')}
+    `,
+  };
+};
+
+/**
+ * Stores a validated form submission and sends the thank-you email configured on its form definition.
+ * Used by the public submit routes and when an admin releases a quarantined submission.
+ * The thank-you content comes only from the definition's auto-reply template (or the built-in email):
+ * submitters can't choose what is sent from our address.
+ * @param {object} options
+ * @param {object} options.definition - The FormDefinition document the submission was validated against.
+ * @param {string} options.formType - Value stored as the submission's form_type.
+ * @param {object} options.values - Validated top-level Form columns (see validateSubmission).
+ * @param {object} [options.customFields] - Validated values of the other declared fields.
+ * @param {object[]} [options.attachments] - Uploaded attachment metadata ({ filename, path, contentType, size }).
+ * @param {string} [options.ip] - Submitter's IP address, geolocated with ipinfo.
+ * @returns {Promise<object>} The saved Form document.
+ */
+export const saveFormSubmission = async ({
+  definition,
+  formType,
+  values,
+  customFields = {},
+  attachments = [],
+  ip,
+}) => {
+  // --- Fetch Geolocation Data ---
+  let geolocationData = {};
+  if (ip) {
+    const geoResult = await getGeolocation(ip);
+    if (geoResult) {
+      geolocationData = geoResult;
+    }
+  }
+
+  // Attach the submission to the submitter's contact and flag repeats within the dedupe window
+  const contact = await findOrCreateContact(values.email);
+  const duplicate = await findRecentDuplicate(contact, formType);
+
+  const newFormSubmission = new Form({
+    form_type: formType,
+    ...values,
+    ...(Object.keys(customFields).length > 0 && { customFields }),
+    contact: contact._id,
+    isDuplicate: Boolean(duplicate),
+    duplicateOf: duplicate ? duplicate._id : null,
+    geo_ip: ip,
+    ...geolocationData, // Spread geolocation data into the document
+    attachments, // Save attachment metadata (paths, names, types, sizes)
+  });
+
+  const savedForm = await newFormSubmission.save();
+  await recordContactSubmission(contact, savedForm);
+
+  // --- Prepare and Send Thank You Email ---
+  if (definition.autoReply?.enabled !== false) {
+    try {
+      let subject;
+      let html;
+      // Map uploaded attachment metadata to Nodemailer-compatible attachment objects (absolute paths)
+      const attachmentsForEmail = attachments.map(attach => ({
+        filename: attach.filename,
+        path: path.join(process.cwd(), attach.path),
+        contentType: attach.contentType
+      }));
+
+      const template = definition.autoReply?.template
+        ? await Template.findById(definition.autoReply.template)
+        : null;
+      if (template) {
+        // The template may use the submission's fields, e.g. "Hi {{name}}", and is put into its own layout
+        const variables = submissionTemplateVariables(savedForm);
+        const renderer = await createEmailRenderer({ layoutId: template.layout });
+        subject = renderer.compile(template.subject, { escapeHtml: false })(variables);
+        html = renderer.wrap(renderer.compile(template.htmlContent)(variables), variables);
+        template.attachments
+          .filter(attachment => attachment.secure_url)
+          .forEach(attachment => attachmentsForEmail.push({
+            filename: attachment.filename,
+            path: attachment.secure_url, // Nodemailer can use URLs directly for remote files
+            contentType: attachment.contentType
+          }));
+      } else {
+        const renderer = await createEmailRenderer({ useDefaultLayout: true });
+        const defaultEmail = buildDefaultThankYouEmail(formType, values);
+        subject = defaultEmail.subject;
+        html = renderer.wrap(defaultEmail.html, submissionTemplateVariables(savedForm));
+      }
+
+      // The sendEmail function in mailer.js logs the email to EmailLog.model.js as Pending and queues it;
+      // the email queue worker sends it and updates the log to Success or Failed.
+      await sendEmail(values.email, subject, html, attachmentsForEmail, null, null, savedForm._id,
+        template ? { templateId: template._id, templateRevision: template.currentRevision || null } : undefined);
+    } catch (emailError) {
+      console.error(`Failed to queue thank you email for ${formType}:`, emailError);
+      // Don't fail the submission: the form data was already saved
+    }
+  }
+  // --- End Send Thank You Email ---
+
+  return savedForm;
+};
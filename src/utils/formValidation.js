@@ -0,0 +1,94 @@
+// src/utils/formValidation.js
+
+// Submission fields stored as top-level columns of the Form model; any other defined field goes to `customFields`
+export const FORM_COLUMN_FIELDS = [
+  'page_Name',
+  'page_url',
+  'name',
+  'email',
+  'user_type',
+  'college_name',
+  'bundle_form',
+  'reason',
+  'website_url',
+];
+
+const EMAIL_REGEX = /^[\w-]+(?:\.[\w-]+)*@(?:[\w-]+\.)+[a-zA-Z]{2,7}$/;
+
+/**
+ * Checks a single value against the type of a form field.
+ * @param {object} field - Field definition.
+ * @param {string} value - Trimmed submitted value.
+ * @returns {string|null} Error message, or null if the value is valid.
+ */
+const checkType = (field, value) => {
+  const label = field.label || field.name;
+  switch (field.type) {
+    case 'email':
+      return EMAIL_REGEX.test(value) ? null : `Invalid ${label}. Please enter a valid email address (e.g., example@domain.com).`;
+    case 'url':
+      try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? null : `Invalid ${label}. Please enter an http(s) URL.`;
+      } catch (error) {
+        return `Invalid ${label}. Please enter a valid URL.`;
+      }
+    case 'number':
+      return value !== '' && !isNaN(Number(value)) ? null : `Invalid ${label}. Please enter a number.`;
+    case 'select':
+      return field.options.includes(value) ? null : `Invalid ${label}. Allowed values: ${field.options.join(', ')}.`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validates a submitted body against a form definition.
+ * Values of undeclared fields are ignored.
+ * @param {object} definition - The FormDefinition document.
+ * @param {object} body - The submitted body (req.body).
+ * @returns {{values: object, customFields: object, errors: Array<{field: string, message: string}>}}
+ *   `values` holds the top-level Form columns, `customFields` the other declared fields.
+ */
+export const validateSubmission = (definition, body = {}) => {
+  const values = {};
+  const customFields = {};
+  const errors = [];
+
+  for (const field of definition.fields) {
+    const label = field.label || field.name;
+    const raw = body[field.name];
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+    if (value === '') {
+      if (field.required) {
+        errors.push({ field: field.name, message: `${label} is required.` });
+      }
+      continue;
+    }
+
+    let message = checkType(field, value);
+    if (!message && field.minLength && value.length < field.minLength) {
+      message = `${label} must be at least ${field.minLength} characters long.`;
+    }
+    if (!message && field.maxLength && value.length > field.maxLength) {
+      message = `${label} must be at most ${field.maxLength} characters long.`;
+    }
+    if (!message && field.pattern && !new RegExp(field.pattern).test(value)) {
+      message = field.patternMessage || `Invalid ${label}.`;
+    }
+    if (message) {
+      errors.push({ field: field.name, message });
+      continue;
+    }
+
+    const storedValue = field.type === 'number' ? Number(value) : value;
+    if (FORM_COLUMN_FIELDS.includes(field.name)) {
+      values[field.name] = storedValue;
+    } else {
+      customFields[field.name] = storedValue;
+    }
+  }
+
+  return { values, customFields, errors };
+};
@@ -2,6 +2,9 @@
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import { EmailLog } from '../models/EmailLog.model.js'; // Import the EmailLog model
+import { enqueueEmail } from './emailQueue.js';
+import { prepareEmailContent, htmlToPlainText, escapeHtml } from './emailContent.js';
+import { createEmailRenderer } from './emailLayouts.js';
 
 dotenv.config(); // Load environment variables from .env file
 
@@ -32,37 +35,65 @@ const normalizeRecipients = (emails) => {
   return Array.isArray(emails) ? emails.map(email => ({ email, status: 'Pending', error: null })) : [];
 };
 
+// Stands in for secrets (e.g. OTP codes) in the stored copy of sensitive emails
+const REDACTED_VALUE = '[redacted]';
+
 /**
- * Sends a generic email to a specified recipient(s) and logs its status.
+ * Replaces secret values in a text, as written raw or HTML-escaped.
+ * @param {string} text
+ * @param {string[]} values
+ * @returns {string}
+ */
+const redactValues = (text, values) => values
+  .flatMap(value => [String(value), escapeHtml(value)])
+  .filter(value => value)
+  .reduce((redacted, value) => redacted.split(value).join(REDACTED_VALUE), String(text || ''));
+
+/**
+ * Queues a generic email to a specified recipient(s) and logs it.
+ * The EmailLog is created with 'Pending' status ('Scheduled' when `options.sendAt` is given) and delivered by
+ * the email queue worker (src/workers/emailWorker.js), which updates it to 'Success' or, once retries are exhausted, 'Failed'.
+ * The HTML is sanitized (no scripts or event handlers), its <style> CSS is inlined and a plain-text part is generated;
+ * oversized messages are logged with a warning (see EMAIL_CONTENT in src/constants.js).
  *
  * @param {string|string[]} toEmail - The email address(es) of the primary recipient(s).
  * @param {string} subject - The subject line of the email.
- * @param {string} htmlContent - The HTML content of the email.
+ * @param {string} htmlContent - The HTML content of the email (admin- or user-authored HTML is fine: it is sanitized).
  * @param {Array<Object>} [attachments=[]] - Array of attachment objects for Nodemailer (e.g., { filename, path, contentType, secure_url, public_id }).
+ *   Local files must still exist when the worker sends the email.
  * @param {string|string[]} [ccEmail] - Optional: CC recipient(s).
  * @param {string|string[]} [bccEmail] - Optional: BCC recipient(s).
  * @param {mongoose.Types.ObjectId} [relatedFormSubmissionId] - Optional: ID of the related form submission.
+ * @param {object} [options]
+ * @param {Date} [options.sendAt] - Optional: send the email at this time instead of right away.
+ * @param {string} [options.timezone] - Optional: IANA timezone `sendAt` was chosen in, stored for display.
+ * @param {mongoose.Types.ObjectId} [options.templateId] - Optional: template the email was rendered from.
+ * @param {number} [options.templateRevision] - Optional: revision of that template.
+ * @param {boolean} [options.isTest] - Optional: marks a template test send, kept out of reporting.
+ * @param {string[]} [options.sensitiveValues] - Optional: secrets in the email (e.g. an OTP code). They are redacted
+ *   from the EmailLog, which is marked sensitive; the real body only lives on the queued job until it is delivered.
  * @returns {Promise<string>} A promise that resolves with the _id of the saved EmailLog document.
  */
-export const sendEmail = async (toEmail, subject, htmlContent, attachments = [], ccEmail = null, bccEmail = null, relatedFormSubmissionId = null) => {
+export const sendEmail = async (toEmail, subject, htmlContent, attachments = [], ccEmail = null, bccEmail = null, relatedFormSubmissionId = null, { sendAt = null, timezone = null, templateId = null, templateRevision = null, isTest = false, sensitiveValues = [] } = {}) => {
   let emailLogEntry = null; // To hold the Mongoose document for the EmailLog
 
   try {
-    const senderEmail = process.env.EMAIL_USERNAME;
-
-    // Prepare initial recipient arrays for logging with 'Pending' status
-    const toRecipients = normalizeRecipients(toEmail);
-    const ccRecipients = normalizeRecipients(ccEmail);
-    const bccRecipients = normalizeRecipients(bccEmail);
+    const content = prepareEmailContent(htmlContent, attachments);
+    if (content.warnings.length > 0) {
+      console.warn(`Oversized email "${subject}" to ${[].concat(toEmail).join(', ')}: ${content.warnings.join(' ')}`);
+    }
+    const isSensitive = sensitiveValues.length > 0;
 
-    // Create an initial EmailLog entry with 'Pending' status
+    // Create the EmailLog entry with 'Pending' status; it holds everything the worker needs to send the email
     emailLogEntry = new EmailLog({
-      sender: senderEmail,
-      to: toRecipients,
-      cc: ccRecipients,
-      bcc: bccRecipients,
-      subject: subject,
-      htmlContent: htmlContent, // Store the full HTML content
+      sender: process.env.EMAIL_USERNAME,
+      to: normalizeRecipients(toEmail),
+      cc: normalizeRecipients(ccEmail),
+      bcc: normalizeRecipients(bccEmail),
+      subject: isSensitive ? redactValues(subject, sensitiveValues) : subject,
+      htmlContent: isSensitive ? redactValues(content.html, sensitiveValues) : content.html, // Store the full HTML content, as sent
+      textContent: isSensitive ? redactValues(content.text, sensitiveValues) : content.text,
+      contentWarnings: content.warnings.length > 0 ? content.warnings : undefined,
       attachments: attachments.map(att => ({
         filename: att.filename,
         contentType: att.contentType,
@@ -72,94 +103,134 @@ export const sendEmail = async (toEmail, subject, htmlContent, attachments = [],
         public_id: att.public_id || null,
         size: att.size || null,
       })),
-      overallStatus: 'Pending',
+      overallStatus: sendAt ? 'Scheduled' : 'Pending',
+      scheduledAt: sendAt,
+      scheduledTimezone: sendAt ? timezone : null,
+      template: templateId,
+      templateRevision: templateId ? templateRevision : null,
+      isTest,
+      isSensitive,
       relatedFormSubmissionId: relatedFormSubmissionId,
     });
 
-    await emailLogEntry.save(); // Save the initial pending status to the database
-    console.log(`Email log entry created with ID: ${emailLogEntry._id} (Status: Pending)`);
-
-    const mailOptions = {
-      from: senderEmail,
-      to: toEmail,
-      subject: subject,
-      html: htmlContent,
-      attachments: attachments,
-      cc: ccEmail,
-      bcc: bccEmail,
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Email sent:", info.messageId);
-
-    // Update the EmailLog entry with success status and messageId
-    emailLogEntry.messageId = info.messageId;
-    emailLogEntry.overallStatus = 'Success';
-
-    // Nodemailer's `info.accepted` and `info.rejected` provide details.
-    // Update individual recipient statuses based on Nodemailer's response.
-    // Convert info.accepted and info.rejected to lowercase for robust comparison
-    const acceptedEmails = (info.accepted || []).map(e => e.toLowerCase());
-    const rejectedEmails = (info.rejected || []).map(e => e.toLowerCase());
-
-    const updateRecipientStatus = (recipientsArray) => {
-      recipientsArray.forEach(r => {
-        const lowerCaseEmail = r.email.toLowerCase();
-        if (acceptedEmails.includes(lowerCaseEmail)) {
-          r.status = 'Success';
-          r.error = null;
-        } else if (rejectedEmails.includes(lowerCaseEmail)) {
-          r.status = 'Failed';
-          r.error = `Rejected by SMTP server.`; // Placeholder error
-        } else {
-          // If not explicitly accepted or rejected, assume success for simplicity if overall send was successful
-          r.status = 'Success';
-          r.error = null;
-        }
-      });
-    };
-
-    updateRecipientStatus(emailLogEntry.to);
-    updateRecipientStatus(emailLogEntry.cc);
-    updateRecipientStatus(emailLogEntry.bcc);
-
-    await emailLogEntry.save(); // Save updated status
+    await emailLogEntry.save();
+    await enqueueEmail(emailLogEntry._id, {
+      ...(sendAt && { runAt: sendAt }),
+      ...(isSensitive && { content: { subject, html: content.html, text: content.text } }),
+    });
+    console.log(`Email log entry created with ID: ${emailLogEntry._id} (Status: ${emailLogEntry.overallStatus}, queued${sendAt ? ` for ${sendAt.toISOString()}` : ''})`);
     return emailLogEntry._id; // Return the ID of the log entry
 
   } catch (error) {
-    console.error(`Error sending email or updating log (Initial Log ID: ${emailLogEntry ? emailLogEntry._id : 'N/A'}):`, error);
-
-    // If an EmailLog entry was successfully created, update its status to "Failed"
-    if (emailLogEntry) {
-      emailLogEntry.overallStatus = 'Failed';
-      emailLogEntry.errorLog = error.message; // Store the error message
-
-      // Set all pending recipients as 'Failed' if the overall send failed
-      const markAsFailed = (recipientsArray) => {
-        recipientsArray.forEach(r => {
-          if (r.status === 'Pending') {
-            r.status = 'Failed';
-            r.error = error.message;
-          }
-        });
-      };
-      markAsFailed(emailLogEntry.to);
-      markAsFailed(emailLogEntry.cc);
-      markAsFailed(emailLogEntry.bcc);
-
-      await emailLogEntry.save(); // Save updated error status
-      return emailLogEntry._id; // Still return the ID even on failure, so calling function knows which log failed
-    } else {
-      // If no log entry could be created (e.g., DB connection issue before save),
-      // we just re-throw the error.
-      throw new Error(`Failed to send email and log it: ${error.message}`);
-    }
+    // A log saved without a job is picked up by the worker's stale email recovery
+    console.error(`Error queuing email (Log ID: ${emailLogEntry && !emailLogEntry.isNew ? emailLogEntry._id : 'N/A'}):`, error);
+    throw new Error(`Failed to queue email: ${error.message}`);
+  }
+};
+
+/**
+ * Sends the email stored in an EmailLog through SMTP. Used by the email queue worker.
+ * @param {object} emailLog - The EmailLog document.
+ * @param {object} [content] - The job's { subject, html, text } for sensitive emails, whose log is redacted.
+ * @returns {Promise<object>} Nodemailer's send info.
+ */
+export const deliverEmailLog = async (emailLog, content = null) => {
+  if (emailLog.isSensitive && !content?.html) {
+    throw new Error('The content of this sensitive email is no longer available.');
   }
+
+  const recipientList = (recipients) => (recipients.length > 0 ? recipients.map(r => r.email) : undefined);
+
+  return transporter.sendMail({
+    from: emailLog.sender || process.env.EMAIL_USERNAME,
+    to: recipientList(emailLog.to),
+    cc: recipientList(emailLog.cc),
+    bcc: recipientList(emailLog.bcc),
+    subject: content?.subject || emailLog.subject,
+    html: content?.html || emailLog.htmlContent,
+    text: content?.text || emailLog.textContent || htmlToPlainText(emailLog.htmlContent), // Logs queued before plain-text parts existed
+    attachments: emailLog.attachments.map(att => ({
+      filename: att.filename,
+      path: att.secure_url || att.path, // Nodemailer can use URLs directly for remote files
+      contentType: att.contentType,
+    })),
+  });
+};
+
+/**
+ * Records a successful delivery on an EmailLog (overall and per-recipient status).
+ * @param {object} emailLog - The EmailLog document.
+ * @param {object} info - Nodemailer's send info.
+ */
+export const markEmailLogSent = async (emailLog, info) => {
+  // Update the EmailLog entry with success status and messageId
+  emailLog.messageId = info.messageId;
+  emailLog.overallStatus = 'Success';
+  emailLog.sentAt = new Date();
+  emailLog.errorLog = null;
+  emailLog.nextAttemptAt = null;
+
+  // Nodemailer's `info.accepted` and `info.rejected` provide details.
+  // Convert them to lowercase for robust comparison
+  const acceptedEmails = (info.accepted || []).map(e => String(e).toLowerCase());
+  const rejectedEmails = (info.rejected || []).map(e => String(e).toLowerCase());
+
+  const updateRecipientStatus = (recipientsArray) => {
+    recipientsArray.forEach(r => {
+      const lowerCaseEmail = r.email.toLowerCase();
+      if (acceptedEmails.includes(lowerCaseEmail)) {
+        r.status = 'Success';
+        r.error = null;
+      } else if (rejectedEmails.includes(lowerCaseEmail)) {
+        r.status = 'Failed';
+        r.error = `Rejected by SMTP server.`; // Placeholder error
+      } else {
+        // If not explicitly accepted or rejected, assume success for simplicity if overall send was successful
+        r.status = 'Success';
+        r.error = null;
+      }
+    });
+  };
+
+  updateRecipientStatus(emailLog.to);
+  updateRecipientStatus(emailLog.cc);
+  updateRecipientStatus(emailLog.bcc);
+
+  await emailLog.save(); // Save updated status
+};
+
+/**
+ * Records a final delivery failure on an EmailLog (no more retries).
+ * @param {object} emailLog - The EmailLog document.
+ * @param {string} errorMessage
+ */
+export const markEmailLogFailed = async (emailLog, errorMessage) => {
+  emailLog.overallStatus = 'Failed';
+  emailLog.errorLog = errorMessage; // Store the error message
+  emailLog.nextAttemptAt = null;
+
+  // Set all pending recipients as 'Failed'
+  const markAsFailed = (recipientsArray) => {
+    recipientsArray.forEach(r => {
+      if (r.status === 'Pending') {
+        r.status = 'Failed';
+        r.error = errorMessage;
+      }
+    });
+  };
+  markAsFailed(emailLog.to);
+  markAsFailed(emailLog.cc);
+  markAsFailed(emailLog.bcc);
+
+  await emailLog.save(); // Save updated error status
 };
 
 /**
  * Sends a One-Time Password (OTP) email to a specified recipient.
- * This function now utilizes the generic `sendEmail` utility and will therefore be logged.
+ * This function now utilizes the generic `sendEmail` utility and will therefore be logged and queued;
+ * the code is redacted from the EmailLog (see `options.sensitiveValues`).
+ * The OTP body is sent in the default email layout (header, footer, signature; see /api/email-layouts), or in the
+ * built-in one if the stored layout fails to render, so a broken layout never stops admins from logging in.
  * @param {string} toEmail - The email address of the recipient.
  * @param {string} otp - The 6-digit OTP to be sent.
  * @param {string} [requestingEmail] - Optional: The email address that originally requested the OTP.
@@ -167,36 +238,35 @@ export const sendEmail = async (toEmail, subject, htmlContent, attachments = [],
  */
 export const sendOtpEmail = async (toEmail, otp, requestingEmail = toEmail) => {
   const introMessage = (requestingEmail && requestingEmail !== toEmail)
-    ? `An OTP was requested for ${requestingEmail}.`
+    ? `An OTP was requested for ${escapeHtml(requestingEmail)}.`
     : 'You have requested a One-Time Password.';
 
   const subject = 'Your One-Time Password (OTP)';
-  const htmlContent = `
-       <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 15px; color: #333; line-height: 1.6; background-color: #f4f7f6; padding: 20px;">
-        <div style="max-width: 600px; margin: 20px auto; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.05); overflow: hidden; border: 1px solid #e0e0e0;">
-          <div style="padding: 30px; border-bottom: 1px solid #eee; background-color: #fdfdfd;">
-            <h1 style="font-size: 24px; color: #2a64ad; margin-top: 0; margin-bottom: 15px; text-align: center;">One-Time Password (OTP)</h1>
-            <p style="text-align: center; color: #555;">${introMessage}</p>
-            <p style="text-align: center; color: #555;">Please use the following One-Time Password (OTP) to complete your action:</p>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <span style="display: inline-block; background-color: #e6f2ff; color: #2a64ad; font-size: 32px; font-weight: bold; padding: 15px 30px; border-radius: 8px; letter-spacing: 3px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); border: 1px solid #cce0f0;">
-                ${otp}
-              </span>
-            </div>
-            
-            <p style="text-align: center; font-size: 14px; color: #666;">This OTP is valid for 5 minutes. Please do not share it with anyone.</p>
-          </div>
-          
-          <div style="padding: 25px 30px; background-color: #f8f8f8; text-align: center; font-size: 13px; color: #777; border-top: 1px solid #eee;">
-            <p style="margin-top: 0; margin-bottom: 5px;">If you did not request this OTP, please ignore this email or contact support.</p>
-            <p style="margin: 0;">Regards,<br>Your Admin App Team</p>
-            <p style="margin-top: 15px; font-size: 11px; color: #999;">This is an automated message from the Admin App Backend.</p>
-          </div>
-        </div>
-      </div>
-    `;
-
-  // Call the generic sendEmail function to log OTP emails
-  return await sendEmail(toEmail, subject, htmlContent);
-};
\ No newline at end of file
+  const body = `
+    <h1 style="font-size: 24px; color: #2a64ad; margin-top: 0; margin-bottom: 15px; text-align: center;">One-Time Password (OTP)</h1>
+    <p style="text-align: center; color: #555;">${introMessage}</p>
+    <p style="text-align: center; color: #555;">Please use the following One-Time Password (OTP) to complete your action:</p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <span style="display: inline-block; background-color: #e6f2ff; color: #2a64ad; font-size: 32px; font-weight: bold; padding: 15px 30px; border-radius: 8px; letter-spacing: 3px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); border: 1px solid #cce0f0;">
+        ${escapeHtml(otp)}
+      </span>
+    </div>
+
+    <p style="text-align: center; font-size: 14px; color: #666;">This OTP is valid for 5 minutes. Please do not share it with anyone.</p>
+    <p style="text-align: center; font-size: 13px; color: #777;">If you did not request this OTP, please ignore this email or contact support.</p>
+  `;
+
+  let htmlContent;
+  try {
+    const renderer = await createEmailRenderer({ useDefaultLayout: true });
+    htmlContent = renderer.wrap(body, { email: toEmail });
+  } catch (error) {
+    console.error('Failed to render the OTP email in the default layout, using the built-in layout:', error);
+    const renderer = await createEmailRenderer({ builtIn: true });
+    htmlContent = renderer.wrap(body, { email: toEmail });
+  }
+
+  // Call the generic sendEmail function to log OTP emails, without the code
+  return await sendEmail(toEmail, subject, htmlContent, [], null, null, null, { sensitiveValues: [otp] });
+};
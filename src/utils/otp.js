@@ -0,0 +1,45 @@
+// src/utils/otp.js
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const OTP_LENGTH = 6;
+const SALT_BYTES = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Generates a numeric One-Time Password using a cryptographically secure generator.
+ * The OTP is returned as a string so leading zeros are preserved (e.g. '042917').
+ * @returns {string} A 6-digit OTP.
+ */
+export const generateOtp = () =>
+  crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+/**
+ * Hashes a secret (OTP or similar short-lived code) with a random salt using scrypt.
+ * @param {string} secret - The plain secret to hash.
+ * @returns {Promise<string>} The hash in the format 'scrypt$<saltHex>$<hashHex>'.
+ */
+export const hashSecret = async (secret) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derivedKey = await scrypt(String(secret).trim(), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${derivedKey.toString('hex')}`;
+};
+
+/**
+ * Checks a plain secret against a hash produced by `hashSecret` using a constant-time comparison.
+ * @param {string} secret - The plain secret provided by the user.
+ * @param {string} storedHash - The stored hash ('scrypt$<saltHex>$<hashHex>').
+ * @returns {Promise<boolean>} True if the secret matches the hash.
+ */
+export const verifySecret = async (secret, storedHash) => {
+  if (!secret || typeof storedHash !== 'string') return false;
+
+  const [algorithm, saltHex, hashHex] = storedHash.split('$');
+  if (algorithm !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const derivedKey = await scrypt(String(secret).trim(), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(derivedKey, expected);
+};
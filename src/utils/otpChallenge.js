@@ -0,0 +1,243 @@
+// src/utils/otpChallenge.js
+import { Admin } from '../models/Admin.model.js';
+import { sendOtpEmail } from './mailer.js';
+import { generateOtp, hashSecret, verifySecret } from './otp.js';
+import { sendTooManyRequests } from './rateLimiter.js';
+import { OTP_SECURITY } from '../constants.js';
+
+/**
+ * Returns the number of seconds until the given date (at least 1).
+ * @param {Date} date - A point in the future.
+ * @returns {number}
+ */
+export const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Tells why an admin may not request an OTP right now (lockout, resend cooldown or per-email request limit).
+ * @param {object} admin - The Admin document.
+ * @param {Date} now
+ * @returns {{ok: false, status: 429, message: string, retryAfter: number}|null} null if a request is allowed.
+ */
+const getOtpRequestRefusal = (admin, now) => {
+  // Refuse new OTPs while the account is locked out after too many wrong guesses
+  if (admin.lockoutUntil && admin.lockoutUntil > now) {
+    return { ok: false, status: 429, message: "Too many failed attempts. Please wait before requesting a new OTP.", retryAfter: secondsUntil(admin.lockoutUntil) };
+  }
+
+  // Enforce the resend cooldown
+  if (admin.lastOtpRequestedAt) {
+    const cooldownEndsAt = new Date(admin.lastOtpRequestedAt.getTime() + OTP_SECURITY.RESEND_COOLDOWN_MS);
+    if (cooldownEndsAt > now) {
+      return { ok: false, status: 429, message: "An OTP was requested recently. Please wait before requesting another one.", retryAfter: secondsUntil(cooldownEndsAt) };
+    }
+  }
+
+  // Enforce the per-email request limit within the request window
+  const windowEndsAt = admin.otpRequestWindowStartedAt
+    ? new Date(admin.otpRequestWindowStartedAt.getTime() + OTP_SECURITY.REQUEST_WINDOW_MS)
+    : null;
+  if (windowEndsAt && windowEndsAt > now && admin.otpRequestCount >= OTP_SECURITY.MAX_REQUESTS_PER_WINDOW) {
+    return { ok: false, status: 429, message: "Too many OTP requests for this email. Please try again later.", retryAfter: secondsUntil(windowEndsAt) };
+  }
+  return null;
+};
+
+/**
+ * Atomically records an OTP request if the lockout, resend cooldown and per-email request limit allow it,
+ * so concurrent requests can't all pass the checks: the conditions are part of the update's filter.
+ * Starts a new request window when the previous one has ended.
+ * @param {import('mongoose').Types.ObjectId} adminId
+ * @param {Date} now
+ * @returns {Promise<boolean>} false if the request was refused.
+ */
+const claimOtpRequest = async (adminId, now) => {
+  const windowStartedBefore = new Date(now.getTime() - OTP_SECURITY.REQUEST_WINDOW_MS);
+  const windowEnded = {
+    $or: [
+      { $eq: [{ $ifNull: ['$otpRequestWindowStartedAt', null] }, null] },
+      { $lte: ['$otpRequestWindowStartedAt', windowStartedBefore] },
+    ],
+  };
+
+  const claimed = await Admin.findOneAndUpdate(
+    {
+      _id: adminId,
+      $and: [
+        { $or: [{ lockoutUntil: null }, { lockoutUntil: { $lte: now } }] },
+        { $or: [{ lastOtpRequestedAt: null }, { lastOtpRequestedAt: { $lte: new Date(now.getTime() - OTP_SECURITY.RESEND_COOLDOWN_MS) } }] },
+        {
+          $or: [
+            { otpRequestWindowStartedAt: null },
+            { otpRequestWindowStartedAt: { $lte: windowStartedBefore } },
+            { otpRequestCount: { $lt: OTP_SECURITY.MAX_REQUESTS_PER_WINDOW } },
+          ],
+        },
+      ],
+    },
+    [{
+      $set: {
+        lastOtpRequestedAt: now,
+        otpRequestWindowStartedAt: { $cond: [windowEnded, now, '$otpRequestWindowStartedAt'] },
+        otpRequestCount: { $cond: [windowEnded, 1, { $add: [{ $ifNull: ['$otpRequestCount', 0] }, 1] }] },
+      },
+    }],
+    { new: true }
+  );
+  return Boolean(claimed);
+};
+
+/**
+ * Issues a new email OTP for an admin (used for login and for confirming sensitive account changes).
+ * - Enforces the lockout, resend cooldown and per-email request limits, atomically (see `claimOtpRequest`).
+ * - Generates the OTP with a CSPRNG and stores only its salted hash and expiry on the Admin document.
+ * - Sends the OTP to the admin, or to the admin's configured `otpRecipients` if any are set.
+ *
+ * @param {object} admin - The Admin document.
+ * @returns {Promise<{ok: boolean, status?: number, message: string, retryAfter?: number}>}
+ *   On failure `status` is 429 (with `retryAfter` in seconds) or 500 (email delivery failed).
+ */
+export const issueOtp = async (admin) => {
+  const now = new Date();
+
+  const refusal = getOtpRequestRefusal(admin, now);
+  if (refusal) return refusal;
+
+  if (!(await claimOtpRequest(admin._id, now))) {
+    // A concurrent request got there first: report the limit it hit
+    const current = await Admin.findById(admin._id);
+    return (current && getOtpRequestRefusal(current, now))
+      || { ok: false, status: 429, message: "An OTP was requested recently. Please wait before requesting another one.", retryAfter: secondsUntil(new Date(now.getTime() + OTP_SECURITY.RESEND_COOLDOWN_MS)) };
+  }
+
+  // Generate a 6-digit OTP (string, so leading zeros are kept)
+  const otp = generateOtp();
+
+  await Admin.updateOne(
+    { _id: admin._id },
+    {
+      $set: {
+        otpHash: await hashSecret(otp),
+        otpExpiresAt: new Date(now.getTime() + OTP_SECURITY.OTP_TTL_MS),
+        otpAttempts: 0, // Every issued OTP gets a fresh attempt budget
+        lockoutUntil: null,
+      },
+    }
+  );
+  console.log(`✅ Admin data for ${admin.email} saved/updated in DB.`);
+
+  // Deliver the OTP to the admin's own inbox unless dedicated OTP recipients are configured
+  let recipientsForEmail = [admin.email];
+  let message = `OTP sent to ${admin.email}. Please check your inbox for verification.`;
+
+  if (admin.otpRecipients && admin.otpRecipients.length > 0) {
+    recipientsForEmail = admin.otpRecipients;
+    message = `OTP for ${admin.email} has been sent to ${recipientsForEmail.join(' and ')}. Please check their inboxes for verification.`;
+  }
+
+  // Send OTP via email
+  for (const recipient of recipientsForEmail) {
+    try {
+      // Pass recipient email, OTP, and the original requesting email
+      await sendOtpEmail(recipient, otp, admin.email);
+      console.log(`📨 OTP for ${admin.email} successfully sent to ${recipient}.`);
+    } catch (emailError) {
+      console.error(`❌ Failed to send OTP email to ${recipient} for ${admin.email}:`, emailError);
+      return { ok: false, status: 500, message: "Failed to send OTP email. Please check your email configuration." };
+    }
+  }
+
+  return { ok: true, message };
+};
+
+/**
+ * Checks an email OTP for an admin and consumes it on success.
+ * - Refuses verification while the account is locked out.
+ * - Compares against the stored hash in constant time, counting wrong guesses atomically;
+ *   after MAX_VERIFY_ATTEMPTS the OTP is invalidated and the account is locked out for LOCKOUT_MS.
+ * - Rejects expired OTPs.
+ *
+ * @param {object} admin - The Admin document, loaded with `.select('+otpHash')`.
+ * @param {string} otp - The OTP provided by the admin.
+ * @returns {Promise<{ok: boolean, status?: number, message?: string, retryAfter?: number, attemptsRemaining?: number, otpInvalidated?: boolean}>}
+ *   On failure `status` is 401 or 429; `otpInvalidated` tells the caller the OTP can no longer be used.
+ */
+export const checkOtp = async (admin, otp) => {
+  // Refuse verification while the account is locked out
+  if (admin.lockoutUntil && admin.lockoutUntil > new Date()) {
+    return { ok: false, status: 429, message: "Too many failed attempts. Please wait before trying again.", retryAfter: secondsUntil(admin.lockoutUntil) };
+  }
+
+  // Admins whose OTP was stored before hashing was introduced have no otpHash and must request a new one
+  if (!admin.otpHash) {
+    return { ok: false, status: 401, message: "No active OTP. Please request a new OTP.", otpInvalidated: true };
+  }
+
+  const otpMatches = await verifySecret(String(otp), admin.otpHash);
+  if (!otpMatches) {
+    // Count the wrong guess atomically so parallel guesses can't bypass the limit
+    const { otpAttempts } = await Admin.findByIdAndUpdate(admin._id, { $inc: { otpAttempts: 1 } }, { new: true });
+
+    // Too many wrong guesses: invalidate the OTP and lock the account out for a while
+    if (otpAttempts >= OTP_SECURITY.MAX_VERIFY_ATTEMPTS) {
+      const lockoutUntil = new Date(Date.now() + OTP_SECURITY.LOCKOUT_MS);
+      await Admin.updateOne(
+        { _id: admin._id },
+        { $set: { otpHash: null, otpExpiresAt: null, otpAttempts: 0, lockoutUntil } }
+      );
+      return {
+        ok: false,
+        status: 429,
+        message: "Too many failed attempts. The OTP has been invalidated; please wait before requesting a new one.",
+        retryAfter: secondsUntil(lockoutUntil),
+        otpInvalidated: true,
+      };
+    }
+
+    return {
+      ok: false,
+      status: 401,
+      message: "Invalid OTP. Please try again.",
+      attemptsRemaining: OTP_SECURITY.MAX_VERIFY_ATTEMPTS - otpAttempts,
+    };
+  }
+
+  // Check if OTP has expired
+  if (admin.otpExpiresAt < new Date()) {
+    admin.otpHash = null;
+    admin.otpExpiresAt = null;
+    await admin.save();
+    return { ok: false, status: 401, message: "OTP has expired. Please request a new OTP.", otpInvalidated: true };
+  }
+
+  // Consume the OTP so it cannot be used twice
+  admin.otpHash = null;
+  admin.otpExpiresAt = null;
+  admin.otpAttempts = 0;
+  admin.lockoutUntil = null;
+  await admin.save();
+
+  return { ok: true };
+};
+
+/**
+ * Sends the error response for a failed `issueOtp` or `checkOtp` result
+ * in the standard `{statusCode, success, errors, message}` envelope.
+ * @param {import('express').Response} res - The Express response.
+ * @param {object} result - The failed result.
+ */
+export const sendOtpChallengeError = (res, result) => {
+  if (result.status === 429) {
+    return sendTooManyRequests(res, result.message, result.retryAfter);
+  }
+
+  const body = {
+    statusCode: result.status,
+    success: false,
+    errors: [{ message: result.message }],
+    message: result.message
+  };
+  if (result.attemptsRemaining !== undefined) {
+    body.attemptsRemaining = result.attemptsRemaining;
+  }
+  return res.status(result.status).json(body);
+};
@@ -0,0 +1,68 @@
+// src/utils/rateLimiter.js
+import { RateLimit } from '../models/RateLimit.model.js';
+
+/**
+ * Records a hit for the given key in a fixed time window stored in MongoDB,
+ * so limits are shared between server instances and survive restarts.
+ *
+ * @param {string} key - Counter key (e.g., 'otp-request:ip:203.0.113.7').
+ * @param {object} options
+ * @param {number} options.windowMs - Length of the window in milliseconds.
+ * @param {number} options.max - Maximum number of hits allowed within the window.
+ * @returns {Promise<{allowed: boolean, count: number, remaining: number, retryAfter: number}>}
+ *   `retryAfter` is the number of seconds until the current window resets.
+ */
+export const consumeRateLimit = async (key, { windowMs, max }) => {
+  const now = new Date();
+
+  // Increment the counter of the current (unexpired) window
+  let counter = await RateLimit.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+
+  if (!counter) {
+    // No active window: start a new one (replacing an expired window the TTL monitor hasn't removed yet)
+    try {
+      counter = await RateLimit.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // Another request created the window concurrently: count this hit against it
+      if (error.code !== 11000) throw error;
+      counter = await RateLimit.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+    }
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((counter.expiresAt.getTime() - now.getTime()) / 1000));
+
+  return {
+    allowed: counter.count <= max,
+    count: counter.count,
+    remaining: Math.max(0, max - counter.count),
+    retryAfter,
+  };
+};
+
+/**
+ * Sends a 429 Too Many Requests response in the standard error envelope,
+ * including a `retryAfter` value (seconds) and the matching Retry-After header
+ * so the frontend can show a countdown.
+ * @param {import('express').Response} res - The Express response.
+ * @param {string} message - Human readable error message.
+ * @param {number} retryAfter - Seconds until the client may retry.
+ */
+export const sendTooManyRequests = (res, message, retryAfter) => {
+  const seconds = Math.max(1, Math.ceil(retryAfter));
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    statusCode: 429,
+    success: false,
+    errors: [{ message }],
+    message,
+    retryAfter: seconds,
+  });
+};
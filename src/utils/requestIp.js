@@ -0,0 +1,24 @@
+// src/utils/requestIp.js
+
+/**
+ * Parses TRUST_PROXY into Express's 'trust proxy' setting, which decides how far `req.ip` trusts X-Forwarded-For:
+ * a hop count (e.g. 1 behind a single load balancer), or a comma-separated list of proxy addresses/subnets
+ * (e.g. 'loopback, 10.0.0.0/8'). Unset or 0 trusts no proxy: `req.ip` is the socket address.
+ * @param {string|undefined} value - The TRUST_PROXY environment variable.
+ * @returns {number|string[]|false}
+ */
+export const parseTrustProxy = (value) => {
+  const trimmed = String(value || '').trim();
+  if (!trimmed || trimmed === 'false') return false;
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10) || false;
+  return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+/**
+ * Extracts the client's IP address from a request.
+ * Uses `req.ip`, which only honours X-Forwarded-For for the proxies trusted through TRUST_PROXY
+ * (see `parseTrustProxy`); the header itself is client-supplied and can't be trusted.
+ * @param {import('express').Request} req - The Express request.
+ * @returns {string|undefined} The client's IP address.
+ */
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress;
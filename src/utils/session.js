@@ -0,0 +1,220 @@
+// src/utils/session.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { Session } from '../models/Session.model.js';
+import { Admin } from '../models/Admin.model.js';
+import { SESSION_SETTINGS } from '../constants.js';
+import { getClientIp } from './requestIp.js';
+
+// The refresh token cookie is only sent to the auth endpoints that need it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+/**
+ * Hashes a refresh token for storage. Refresh tokens are 256-bit random values,
+ * so a fast unsalted SHA-256 is sufficient (unlike 6-digit OTPs).
+ * @param {string} token - The plain refresh token.
+ * @returns {string} Hex encoded SHA-256 hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Constant-time comparison of two hex encoded hashes.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const hashesMatch = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
+/**
+ * Generates a new refresh token bound to a session ('<sessionId>.<secret>').
+ * @param {mongoose.Types.ObjectId} sessionId - The session the token belongs to.
+ * @returns {string}
+ */
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Signs a short-lived access token (JWT) for the given admin and session.
+ * @param {object} admin - The Admin document.
+ * @param {mongoose.Types.ObjectId} sessionId - The session the token belongs to.
+ * @returns {string}
+ */
+const signAccessToken = (admin, sessionId) => jwt.sign(
+  { adminId: admin._id, email: admin.email, sessionId }, // Include the session ID in the JWT
+  process.env.JWT_SECRET,
+  { expiresIn: Math.floor(SESSION_SETTINGS.ACCESS_TOKEN_TTL_MS / 1000) }
+);
+
+/**
+ * Sets the access and refresh token cookies.
+ * The access token cookie outlives the JWT inside it, so authMiddleware can tell
+ * "expired, refresh possible" apart from "not logged in".
+ * @param {import('express').Response} res - The Express response.
+ * @param {string} accessToken - The signed JWT.
+ * @param {string} refreshToken - The plain refresh token.
+ */
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie('admin_token', accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_SETTINGS.SESSION_IDLE_TTL_MS,
+    sameSite: 'None',
+  });
+  res.cookie('admin_refresh_token', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_SETTINGS.SESSION_IDLE_TTL_MS,
+    sameSite: 'None',
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Clears the access and refresh token cookies.
+ * @param {import('express').Response} res - The Express response.
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie('admin_token', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'None',
+  });
+  res.clearCookie('admin_refresh_token', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'None',
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Returns the session ID a refresh token belongs to, or null if the token is malformed.
+ * @param {string} refreshToken - The plain refresh token.
+ * @returns {string|null}
+ */
+export const getRefreshTokenSessionId = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret && mongoose.isValidObjectId(sessionId) ? sessionId : null;
+};
+
+/**
+ * Starts a new login session for the admin on the requesting device.
+ * - Creates a Session document (user agent, IP, expiry) so other devices stay logged in.
+ * - Issues a short-lived access token and a refresh token (stored only as a hash)
+ *   and sets them as HttpOnly cookies.
+ * @param {import('express').Request} req - The Express request.
+ * @param {import('express').Response} res - The Express response.
+ * @param {object} admin - The authenticated Admin document.
+ * @returns {Promise<{sessionId: mongoose.Types.ObjectId, accessToken: string, accessTokenExpiresAt: Date}>}
+ */
+export const startLoginSession = async (req, res, admin) => {
+  const now = Date.now();
+  const session = new Session({
+    admin: admin._id,
+    userAgent: req.headers['user-agent'] || '',
+    ip: getClientIp(req),
+    lastSeenIp: getClientIp(req),
+    expiresAt: new Date(now + SESSION_SETTINGS.SESSION_IDLE_TTL_MS),
+    absoluteExpiresAt: new Date(now + SESSION_SETTINGS.SESSION_MAX_LIFETIME_MS),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.refreshTokenRotatedAt = new Date(now);
+  await session.save();
+
+  const accessToken = signAccessToken(admin, session._id);
+  setAuthCookies(res, accessToken, refreshToken);
+
+  return { sessionId: session._id, accessToken, accessTokenExpiresAt: new Date(now + SESSION_SETTINGS.ACCESS_TOKEN_TTL_MS) };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new (rotated) refresh token,
+ * sliding the session's idle expiry forward (capped by its absolute lifetime).
+ * - A refresh token that was already rotated out (outside the short grace period) indicates
+ *   token theft: the whole session is revoked.
+ * @param {import('express').Response} res - The Express response (cookies are set on success).
+ * @param {string} refreshToken - The plain refresh token from the cookie.
+ * @returns {Promise<{admin?: object, accessToken?: string, accessTokenExpiresAt?: Date, error?: string}>}
+ *   On failure `error` is one of 'INVALID_REFRESH_TOKEN', 'SESSION_REVOKED', 'SESSION_EXPIRED',
+ *   'REFRESH_TOKEN_REUSED' or 'REFRESH_CONFLICT'.
+ */
+export const rotateRefreshToken = async (res, refreshToken) => {
+  const sessionId = getRefreshTokenSessionId(refreshToken);
+  if (!sessionId) return { error: 'INVALID_REFRESH_TOKEN' };
+
+  const now = new Date();
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+
+  if (!session || session.revokedAt) return { error: 'SESSION_REVOKED' };
+  if (session.expiresAt <= now || (session.absoluteExpiresAt && session.absoluteExpiresAt <= now)) {
+    return { error: 'SESSION_EXPIRED' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const isCurrentToken = hashesMatch(presentedHash, session.refreshTokenHash);
+  const isWithinGrace = !isCurrentToken
+    && hashesMatch(presentedHash, session.previousRefreshTokenHash)
+    && session.refreshTokenRotatedAt
+    && now.getTime() - session.refreshTokenRotatedAt.getTime() <= SESSION_SETTINGS.REFRESH_REUSE_GRACE_MS;
+
+  if (!isCurrentToken && !isWithinGrace) {
+    // A rotated-out token was replayed: assume it was stolen and kill the session
+    await revokeSessions({ _id: session._id }, 'refresh_token_reuse');
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}; session revoked.`);
+    return { error: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  const admin = await Admin.findById(session.admin);
+  if (!admin || admin.active === false) {
+    await revokeSessions({ _id: session._id }, 'admin_deactivated');
+    return { error: 'SESSION_REVOKED' };
+  }
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  const maxExpiry = session.absoluteExpiresAt ? session.absoluteExpiresAt.getTime() : Infinity;
+  const newExpiresAt = new Date(Math.min(now.getTime() + SESSION_SETTINGS.SESSION_IDLE_TTL_MS, maxExpiry));
+
+  // Conditional update: only one of several parallel refreshes can rotate a given token
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousRefreshTokenHash: session.refreshTokenHash,
+        refreshTokenRotatedAt: now,
+        expiresAt: newExpiresAt,
+        lastSeenAt: now,
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) return { error: 'REFRESH_CONFLICT' };
+
+  const accessToken = signAccessToken(admin, session._id);
+  setAuthCookies(res, accessToken, newRefreshToken);
+
+  return {
+    admin,
+    accessToken,
+    accessTokenExpiresAt: new Date(now.getTime() + SESSION_SETTINGS.ACCESS_TOKEN_TTL_MS),
+  };
+};
+
+/**
+ * Revokes login sessions matching the given filter.
+ * @param {object} filter - Session filter (e.g., { admin: adminId }).
+ * @param {string} reason - Why the sessions were revoked (stored for auditing).
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+export const revokeSessions = async (filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
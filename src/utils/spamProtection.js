@@ -0,0 +1,195 @@
+// src/utils/spamProtection.js
+import path from 'path';
+import fs from 'fs';
+import { QuarantinedSubmission } from '../models/QuarantinedSubmission.model.js';
+import { SPAM_PROTECTION } from '../constants.js';
+import { CAPTCHA_TOKEN_FIELDS } from './captcha.js';
+import { getClientIp } from './requestIp.js';
+
+// Throwaway email providers, extended with DISPOSABLE_EMAIL_DOMAINS (comma-separated)
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com',
+  '20minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'guerrillamailblock.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'moakt.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+];
+
+// Longest stored length of a quarantined body value
+const MAX_STORED_VALUE_LENGTH = 5000;
+
+/**
+ * Checks whether the hidden honeypot field of a submission was filled in (real users never see it).
+ * @param {object} body - req.body
+ * @returns {boolean}
+ */
+export const isHoneypotFilled = (body = {}) => {
+  const value = body[SPAM_PROTECTION.HONEYPOT_FIELD];
+  return value !== undefined && value !== null && String(value).trim() !== '';
+};
+
+/**
+ * Checks whether an email address belongs to a disposable email provider (or one of its subdomains).
+ * @param {string} email
+ * @returns {boolean}
+ */
+export const isDisposableEmail = (email) => {
+  const domain = String(email || '').trim().toLowerCase().split('@').pop();
+  if (!domain) return false;
+  const extraDomains = (process.env.DISPOSABLE_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(entry => entry);
+  return [...DISPOSABLE_EMAIL_DOMAINS, ...extraDomains]
+    .some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+};
+
+/**
+ * Moves the files uploaded with a quarantined submission into the quarantine uploads folder.
+ * Files that can't be moved are deleted and left out of the returned list.
+ * @param {object[]} [files] - `req.files` as populated by Multer.
+ * @returns {Promise<object[]>} Attachment metadata ({ filename, path, contentType, size }) with paths relative to the project root.
+ */
+const keepQuarantinedUploads = async (files) => {
+  if (!files || files.length === 0) return [];
+
+  const attachments = [];
+  for (const file of files) {
+    const relativePath = path.join(SPAM_PROTECTION.QUARANTINE_UPLOADS_DIR, file.filename);
+    try {
+      await fs.promises.mkdir(path.join(process.cwd(), SPAM_PROTECTION.QUARANTINE_UPLOADS_DIR), { recursive: true });
+      await fs.promises.rename(file.path, path.join(process.cwd(), relativePath));
+      attachments.push({ filename: file.originalname, path: relativePath, contentType: file.mimetype, size: file.size });
+    } catch (error) {
+      console.error(`Failed to move quarantined upload ${file.path}:`, error);
+      fs.unlink(file.path, () => {});
+    }
+  }
+  return attachments;
+};
+
+/**
+ * Deletes stored attachment files, e.g. the kept uploads of a quarantined submission once it was reviewed.
+ * @param {object[]} [attachments] - Attachment metadata with paths relative to the project root.
+ */
+export const deleteAttachmentFiles = (attachments) => {
+  (attachments || []).forEach(attachment => {
+    fs.unlink(path.join(process.cwd(), attachment.path), (err) => {
+      if (err && err.code !== 'ENOENT') console.error(`Failed to delete attachment file ${attachment.path}:`, err);
+    });
+  });
+};
+
+/**
+ * Copies the kept uploads of a quarantined submission back into 'uploads/' so they can be attached
+ * to the released submission. The quarantine copies stay until the release is saved.
+ * @param {object[]} [attachments] - The entry's `attachments`.
+ * @returns {Promise<object[]>} Attachment metadata for saveFormSubmission.
+ * @throws {Error} With code 'ENOENT' when a file is no longer available.
+ */
+export const restoreQuarantinedUploads = async (attachments) => {
+  const restored = [];
+  try {
+    for (const attachment of attachments || []) {
+      const relativePath = path.join('uploads', path.basename(attachment.path));
+      await fs.promises.copyFile(path.join(process.cwd(), attachment.path), path.join(process.cwd(), relativePath));
+      restored.push({ filename: attachment.filename, path: relativePath, contentType: attachment.contentType, size: attachment.size });
+    }
+  } catch (error) {
+    deleteAttachmentFiles(restored);
+    throw error;
+  }
+  return restored;
+};
+
+/**
+ * Deletes kept uploads older than the quarantine retention period: their entries were removed by the TTL index.
+ */
+export const purgeExpiredQuarantineUploads = async () => {
+  const directory = path.join(process.cwd(), SPAM_PROTECTION.QUARANTINE_UPLOADS_DIR);
+  let names;
+  try {
+    names = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const cutoff = Date.now() - SPAM_PROTECTION.QUARANTINE_RETENTION_MS;
+  for (const name of names) {
+    const filePath = path.join(directory, name);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats && stats.isFile() && stats.mtimeMs < cutoff) {
+      await fs.promises.unlink(filePath).catch(error => console.error(`Failed to delete expired quarantined upload ${filePath}:`, error));
+    }
+  }
+};
+
+/**
+ * Deletes expired quarantined uploads now and then every QUARANTINE_CLEANUP_INTERVAL_MS.
+ */
+export const startQuarantineUploadCleanup = async () => {
+  await purgeExpiredQuarantineUploads();
+  setInterval(() => {
+    purgeExpiredQuarantineUploads().catch(error => console.error('Failed to delete expired quarantined uploads:', error));
+  }, SPAM_PROTECTION.QUARANTINE_CLEANUP_INTERVAL_MS).unref();
+};
+
+/**
+ * Stores a rejected public submission for admin review, keeping its uploaded files in the quarantine
+ * uploads folder so a released submission gets its attachments back.
+ * Failures are logged and swallowed: the submission is rejected either way.
+ * @param {import('express').Request} req - The submission request.
+ * @param {object} options
+ * @param {string} options.formType - form_type the submission would have been stored with.
+ * @param {string} options.reason - One of QUARANTINE_REASONS.
+ * @param {string} [options.detail] - Extra information for reviewers.
+ */
+export const quarantineSubmission = async (req, { formType, reason, detail }) => {
+  let attachments = [];
+  try {
+    attachments = await keepQuarantinedUploads(req.files);
+
+    const body = {};
+    for (const [key, value] of Object.entries(req.body || {})) {
+      if (CAPTCHA_TOKEN_FIELDS.includes(key)) continue;
+      body[key] = typeof value === 'string' ? value.slice(0, MAX_STORED_VALUE_LENGTH) : value;
+    }
+
+    await QuarantinedSubmission.create({
+      form_type: formType,
+      reason,
+      detail,
+      body,
+      attachments,
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+    });
+    console.warn(`🚫 Quarantined ${formType} submission (${reason}${detail ? `: ${detail}` : ''}).`);
+  } catch (error) {
+    console.error("Failed to store quarantined submission:", error);
+    deleteAttachmentFiles(attachments);
+  }
+};
@@ -0,0 +1,122 @@
+// src/utils/submissionExport.js
+import ExcelJS from 'exceljs';
+import { toCsvRow, waitForDrain } from './csv.js';
+
+/**
+ * Columns available in submission exports, in export order.
+ * `key` is what clients pass in ?columns=..., `header` is the column title in the file.
+ * Keys and headers are part of the export contract: spreadsheets built on the export rely on them,
+ * so existing entries must not be renamed or reordered. Add new columns at the end.
+ */
+export const SUBMISSION_EXPORT_COLUMNS = [
+  { key: 'id', header: 'Submission ID', value: (s) => String(s._id) },
+  { key: 'createdAt', header: 'Submitted At', value: (s) => s.createdAt || s.timestamp },
+  { key: 'form_type', header: 'Form Type', value: (s) => s.form_type },
+  { key: 'name', header: 'Name', value: (s) => s.name },
+  { key: 'email', header: 'Email', value: (s) => s.email },
+  { key: 'user_type', header: 'User Type', value: (s) => s.user_type },
+  { key: 'college_name', header: 'College Name', value: (s) => s.college_name },
+  { key: 'bundle_form', header: 'Bundle Form', value: (s) => s.bundle_form },
+  { key: 'reason', header: 'Reason', value: (s) => s.reason },
+  { key: 'website_url', header: 'Website URL', value: (s) => s.website_url },
+  { key: 'page_Name', header: 'Page Name', value: (s) => s.page_Name },
+  { key: 'page_url', header: 'Page URL', value: (s) => s.page_url },
+  { key: 'geo_ip', header: 'IP Address', value: (s) => s.geo_ip },
+  { key: 'geo_hostname', header: 'Hostname', value: (s) => s.geo_hostname },
+  { key: 'geo_country', header: 'Country', value: (s) => s.geo_country },
+  { key: 'geo_region', header: 'Region', value: (s) => s.geo_region },
+  { key: 'geo_city', header: 'City', value: (s) => s.geo_city },
+  { key: 'geo_loc', header: 'Location (Lat,Long)', value: (s) => s.geo_loc },
+  { key: 'geo_org', header: 'Organization', value: (s) => s.geo_org },
+  { key: 'geo_postal', header: 'Postal Code', value: (s) => s.geo_postal },
+  { key: 'geo_timezone', header: 'Timezone', value: (s) => s.geo_timezone },
+  { key: 'attachments', header: 'Attachment Names', value: (s) => (s.attachments || []).map(a => a.filename).join('; ') },
+  { key: 'status', header: 'Lead Status', value: (s) => s.status },
+  { key: 'nextFollowUpAt', header: 'Next Follow-up', value: (s) => s.nextFollowUpAt },
+  { key: 'contact', header: 'Contact ID', value: (s) => (s.contact ? String(s.contact) : null) },
+  { key: 'isDuplicate', header: 'Repeat Submission', value: (s) => (s.isDuplicate ? 'Yes' : 'No') },
+];
+
+export const SUBMISSION_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Columns formatted as dates in XLSX exports
+const DATE_COLUMN_KEYS = ['createdAt', 'nextFollowUpAt'];
+
+/**
+ * Resolves the `columns` query parameter into export column definitions.
+ * Columns are always written in the order of SUBMISSION_EXPORT_COLUMNS, whatever order they were requested in.
+ * @param {string} [columnsParam] - Comma-separated column keys; all columns when omitted.
+ * @returns {{columns?: object[], error?: string}}
+ */
+export const resolveExportColumns = (columnsParam) => {
+  if (!columnsParam) return { columns: SUBMISSION_EXPORT_COLUMNS };
+
+  const requested = String(columnsParam).split(',').map(key => key.trim()).filter(key => key);
+  const unknown = requested.filter(key => !SUBMISSION_EXPORT_COLUMNS.some(column => column.key === key));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown export column(s): ${unknown.join(', ')}. Allowed: ${SUBMISSION_EXPORT_COLUMNS.map(column => column.key).join(', ')}.`
+    };
+  }
+  return { columns: SUBMISSION_EXPORT_COLUMNS.filter(column => requested.includes(column.key)) };
+};
+
+/**
+ * Streams submissions from a Mongoose cursor to the response as CSV.
+ * Starts with a UTF-8 byte order mark so Excel shows non-ASCII names correctly.
+ * The cursor is closed once done, including when the client disconnects mid-export.
+ * @param {import('express').Response} res
+ * @param {AsyncIterable<object>} cursor - Lean submission documents (a Mongoose QueryCursor).
+ * @param {object[]} columns - Columns from `resolveExportColumns`.
+ */
+export const streamSubmissionsCsv = async (res, cursor, columns) => {
+  try {
+    res.write('\uFEFF');
+    res.write(toCsvRow(columns.map(column => column.header)));
+    for await (const submission of cursor) {
+      const canContinue = res.write(toCsvRow(columns.map(column => column.value(submission))));
+      // Respect backpressure on large exports; stop reading if the client went away
+      if (!canContinue && !(await waitForDrain(res))) return;
+    }
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+/**
+ * Streams submissions from a Mongoose cursor to the response as an XLSX workbook.
+ * Rows are committed one by one and reading waits while the response is backed up, so the workbook
+ * is never held in memory. The cursor is closed once done, including when the client disconnects mid-export.
+ * @param {import('express').Response} res
+ * @param {AsyncIterable<object>} cursor - Lean submission documents (a Mongoose QueryCursor).
+ * @param {object[]} columns - Columns from `resolveExportColumns`.
+ */
+export const streamSubmissionsXlsx = async (res, cursor, columns) => {
+  try {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Submissions');
+    sheet.columns = columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: DATE_COLUMN_KEYS.includes(column.key) ? 22 : 20,
+      style: DATE_COLUMN_KEYS.includes(column.key) ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : undefined,
+    }));
+
+    for await (const submission of cursor) {
+      if (res.destroyed) return; // The client went away
+      const row = {};
+      for (const column of columns) {
+        row[column.key] = column.value(submission) ?? null;
+      }
+      sheet.addRow(row).commit();
+      // ExcelJS doesn't report backpressure itself: wait while the zipped output is backed up in the response
+      if (res.writableNeedDrain && !(await waitForDrain(res))) return;
+    }
+
+    sheet.commit();
+    await workbook.commit(); // Ends the response stream
+  } finally {
+    await cursor.close();
+  }
+};
@@ -0,0 +1,201 @@
+// src/utils/submissionQuery.js
+import mongoose from 'mongoose';
+import { zonedTimeToUtc } from './timezone.js';
+
+// Fields the submissions listing can be sorted by (prefix with '-' for descending order)
+export const SUBMISSION_SORT_FIELDS = [
+  'createdAt',
+  'name',
+  'email',
+  'form_type',
+  'user_type',
+  'page_Name',
+  'college_name',
+  'geo_country',
+  'status',
+  'nextFollowUpAt',
+];
+
+export const DEFAULT_SUBMISSION_SORT = '-createdAt';
+
+/**
+ * Escapes a user supplied string for use inside a regular expression.
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a comma-separated query value into a list ('a,b' or ?x=a&x=b).
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+const toList = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(item => item);
+
+/**
+ * Parses a date query parameter. Date-only values ('2024-05-31') are days in `timezone`: the start of
+ * that day, or its end when used as an upper bound (so the whole day is included).
+ * @param {string} value
+ * @param {boolean} endOfDay - Whether a date-only value should mean the end of that day.
+ * @param {string} [timezone='UTC'] - IANA timezone of date-only values.
+ * @returns {Date|null} null if the value is not a valid date.
+ */
+const parseDateParam = (value, endOfDay, timezone = 'UTC') => {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!dateOnly) return date;
+
+  const [, year, month, day] = dateOnly.map(Number);
+  return endOfDay
+    ? new Date(zonedTimeToUtc({ year, month, day: day + 1 }, timezone).getTime() - 1)
+    : zonedTimeToUtc({ year, month, day }, timezone);
+};
+
+/**
+ * Builds the MongoDB filter for the submission query parameters.
+ * Supported parameters:
+ * - form_type, user_type, geo_country: exact match, comma-separated for several values
+ * - page_Name: exact match
+ * - college_name, email: case-insensitive "contains" match
+ * - from, to: submission date range (ISO dates; a date-only `to` includes that day, date-only values are
+ *   days in `options.timezone`)
+ * - status: lead status, comma-separated for several values
+ * - assignedTo: admin ID, comma-separated for several values, or 'none' for unassigned submissions
+ * - contact: contact ID
+ * - isDuplicate: 'true' or 'false'
+ * @param {object} query - req.query
+ * @param {object} [preset] - Filter that is always applied (e.g. a fixed form_type).
+ * @param {object} [options]
+ * @param {string} [options.timezone='UTC'] - Valid IANA timezone of date-only `from`/`to` values.
+ * @returns {{filter?: object, error?: string}}
+ */
+export const buildSubmissionFilter = (query, preset = {}, { timezone = 'UTC' } = {}) => {
+  const filter = {};
+  const { form_type, user_type, geo_country, page_Name, college_name, email, from, to, status, assignedTo, contact, isDuplicate } = query;
+
+  if (form_type) {
+    const formTypes = toList(form_type);
+    filter.form_type = formTypes.length === 1 ? formTypes[0] : { $in: formTypes };
+  }
+  if (user_type) {
+    const userTypes = toList(user_type);
+    filter.user_type = userTypes.length === 1 ? userTypes[0] : { $in: userTypes };
+  }
+  if (geo_country) {
+    const countries = toList(geo_country);
+    filter.geo_country = countries.length === 1 ? countries[0] : { $in: countries };
+  }
+  if (page_Name) filter.page_Name = String(page_Name);
+  if (college_name) filter.college_name = { $regex: escapeRegex(college_name), $options: 'i' };
+  if (email) filter.email = { $regex: escapeRegex(email), $options: 'i' };
+  if (status) {
+    const statuses = toList(status);
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+  if (assignedTo) {
+    const assignees = toList(assignedTo);
+    if (assignees.some(assignee => assignee !== 'none' && !mongoose.isValidObjectId(assignee))) {
+      return { error: "Invalid 'assignedTo' admin ID." };
+    }
+    const values = assignees.map(assignee => (assignee === 'none' ? null : new mongoose.Types.ObjectId(assignee)));
+    filter.assignedTo = values.length === 1 ? values[0] : { $in: values };
+  }
+  if (contact) {
+    if (!mongoose.isValidObjectId(contact)) return { error: "Invalid 'contact' ID." };
+    filter.contact = new mongoose.Types.ObjectId(String(contact));
+  }
+  if (isDuplicate === 'true') filter.isDuplicate = true;
+  if (isDuplicate === 'false') filter.isDuplicate = { $ne: true };
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = parseDateParam(from, false, timezone);
+      if (!fromDate) return { error: "Invalid 'from' date." };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = parseDateParam(to, true, timezone);
+      if (!toDate) return { error: "Invalid 'to' date." };
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  // Preset filters (used by the fixed-type routes) always win over query parameters
+  return { filter: { ...filter, ...preset } };
+};
+
+/**
+ * Parses the `sort` query parameter ('createdAt', '-createdAt', 'name'...).
+ * @param {string} [sortParam]
+ * @returns {{field?: string, direction?: 1|-1, error?: string}}
+ */
+export const parseSubmissionSort = (sortParam = DEFAULT_SUBMISSION_SORT) => {
+  const value = String(sortParam).trim();
+  const direction = value.startsWith('-') ? -1 : 1;
+  const field = value.replace(/^[-+]/, '');
+  if (!SUBMISSION_SORT_FIELDS.includes(field)) {
+    return { error: `Invalid sort field '${field}'. Allowed: ${SUBMISSION_SORT_FIELDS.join(', ')}.` };
+  }
+  return { field, direction };
+};
+
+/**
+ * Encodes the position after the given submission as an opaque cursor.
+ * @param {object} submission - The last submission of the current page.
+ * @param {string} field - The sort field.
+ * @returns {string}
+ */
+export const encodeSubmissionCursor = (submission, field) => {
+  const value = submission[field] ?? null;
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date, // Restore dates as dates when decoding
+    id: String(submission._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Builds the filter selecting the submissions after a cursor for a given sort.
+ * Ties on the sort field are broken by `_id` (sorted in the same direction); missing
+ * values sort before all others in MongoDB, which is accounted for here.
+ * @param {string} cursor - Cursor from `encodeSubmissionCursor`.
+ * @param {string} field - The sort field.
+ * @param {1|-1} direction - The sort direction.
+ * @returns {{filter?: object, error?: string}}
+ */
+export const buildCursorFilter = (cursor, field, direction) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: "Invalid cursor." };
+  }
+  if (!payload || !mongoose.isValidObjectId(payload.id)) {
+    return { error: "Invalid cursor." };
+  }
+
+  const id = new mongoose.Types.ObjectId(payload.id);
+  const value = payload.d ? new Date(payload.v) : payload.v;
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return {
+      filter: direction === 1
+        ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+        : { [field]: null, _id: { $lt: id } }
+    };
+  }
+
+  const after = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } },
+  ];
+  if (direction === -1) after.push({ [field]: null }); // Missing values come last in descending order
+  return { filter: { $or: after } };
+};
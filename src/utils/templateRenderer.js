@@ -0,0 +1,198 @@
+// src/utils/templateRenderer.js
+import Handlebars from 'handlebars';
+import { FORM_COLUMN_FIELDS } from './formValidation.js';
+
+// Isolated Handlebars environment: only the built-in helpers (if, unless, each, with, lookup); partials
+// ({{> footer}}, stored as email layout partials) are passed at render time
+const handlebars = Handlebars.create();
+handlebars.registerHelper('log', () => ''); // Templates must not write to the server log
+
+// Block helpers that only render their content when the value is truthy (or falsy), so a missing value is fine
+const CONDITIONAL_HELPERS = ['if', 'unless'];
+// Block helpers whose content is rendered with the value as context
+const CONTEXT_HELPERS = ['each', 'with'];
+
+// Submission fields exposed to templates, besides the form's columns and custom fields
+const SUBMISSION_VARIABLE_FIELDS = ['form_type', 'geo_country', 'geo_region', 'geo_city', 'geo_timezone'];
+
+/**
+ * Checks the syntax of a template (subject or HTML content).
+ * @param {string} source
+ * @returns {string|null} Error message, or null if the template compiles.
+ */
+export const getTemplateSyntaxError = (source) => {
+  let ast;
+  try {
+    ast = handlebars.parse(String(source ?? ''));
+    handlebars.precompile(ast);
+  } catch (error) {
+    return error.message.split('\n')[0];
+  }
+
+  // Calls with arguments must use a known helper, otherwise rendering fails for every recipient
+  const unknownHelpers = new Set();
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'Program') node.body.forEach(visit);
+    if (['MustacheStatement', 'BlockStatement', 'SubExpression'].includes(node.type)) {
+      if (node.params.length > 0 && !handlebars.helpers[node.path.original]) unknownHelpers.add(node.path.original);
+      node.params.forEach(visit);
+      visit(node.program);
+      visit(node.inverse);
+    }
+  };
+  visit(ast);
+  if (unknownHelpers.size > 0) {
+    return `Unknown helper(s): ${[...unknownHelpers].join(', ')}. Available: if, unless, each, with, lookup.`;
+  }
+  return null;
+};
+
+/**
+ * Lists the partials a template includes ({{> name}} or {{#> name}}...{{/name}}).
+ * Dynamic partial names ({{> (lookup ...)}}) are not listed.
+ * @param {string} source
+ * @returns {string[]} Partial names.
+ */
+export const findTemplatePartials = (source) => {
+  const partials = new Set();
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'Program') node.body.forEach(visit);
+    if (['PartialStatement', 'PartialBlockStatement'].includes(node.type) && node.name.type === 'PathExpression') {
+      partials.add(node.name.original);
+    }
+    if (node.type === 'BlockStatement' || node.type === 'PartialBlockStatement') {
+      visit(node.program);
+      visit(node.inverse);
+    }
+  };
+  visit(handlebars.parse(String(source ?? '')));
+  return [...partials];
+};
+
+/**
+ * Returns the variable path (e.g. 'name' or 'address.city') a path expression reads from the data passed
+ * to the template, or null if it reads a loop item, a parent context or `this`.
+ * @param {object} node - Handlebars PathExpression.
+ * @param {boolean} inRootScope - Whether the expression is outside every each/with block.
+ * @returns {string|null}
+ */
+const rootVariablePath = (node, inRootScope) => {
+  if (!node || node.type !== 'PathExpression') return null;
+  if (node.data) {
+    return node.parts[0] === 'root' && node.parts.length > 1 ? node.parts.slice(1).join('.') : null; // @root.name
+  }
+  if (!inRootScope || node.depth > 0 || node.parts.length === 0 || /^this\b/.test(node.original)) return null;
+  return node.parts.join('.');
+};
+
+/**
+ * Collects the variables a template needs: values it outputs and lists/objects it iterates, at the root
+ * scope. Values only used as if/unless conditions, or output inside an if block on themselves, are optional.
+ * @param {string} source
+ * @returns {string[]} Variable paths, e.g. ['name', 'course.title'].
+ */
+export const findTemplateVariables = (source) => {
+  const required = new Set();
+
+  const visit = (node, inRootScope, guarded) => {
+    if (!node) return;
+    switch (node.type) {
+      case 'Program':
+        node.body.forEach(child => visit(child, inRootScope, guarded));
+        break;
+      case 'MustacheStatement': {
+        if (node.params.length > 0) break; // Helper call such as {{lookup list 0}}
+        const variable = rootVariablePath(node.path, inRootScope);
+        if (variable && !guarded.has(variable)) required.add(variable);
+        break;
+      }
+      case 'BlockStatement': {
+        const helper = node.path.original;
+        const target = rootVariablePath(node.params[0], inRootScope);
+        if (CONDITIONAL_HELPERS.includes(helper)) {
+          const inner = target ? new Set([...guarded, target]) : guarded;
+          visit(node.program, inRootScope, helper === 'if' ? inner : guarded);
+          visit(node.inverse, inRootScope, helper === 'unless' ? inner : guarded);
+        } else if (CONTEXT_HELPERS.includes(helper)) {
+          if (target && !guarded.has(target)) required.add(target);
+          visit(node.program, false, guarded); // Paths inside are relative to the item
+          visit(node.inverse, inRootScope, guarded); // {{else}} renders when the list is empty
+        } else {
+          // Mustache-style section {{#name}}...{{/name}}: renders only if the value is truthy
+          visit(node.program, false, guarded);
+          visit(node.inverse, inRootScope, guarded);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  visit(handlebars.parse(String(source ?? '')), true, new Set());
+  return [...required];
+};
+
+/**
+ * Reads a dotted variable path from the template data.
+ * @param {object} data
+ * @param {string} variable
+ * @returns {*}
+ */
+const readVariable = (data, variable) => variable.split('.').reduce(
+  (value, key) => (value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined),
+  data
+);
+
+/**
+ * Lists the variables of one or more templates that have no value (undefined, null or empty string) in the data.
+ * @param {string[]} sources - e.g. [subject, htmlContent].
+ * @param {object} data
+ * @returns {string[]}
+ */
+export const findMissingVariables = (sources, data) => {
+  const variables = new Set(sources.flatMap(source => findTemplateVariables(source)));
+  return [...variables].filter(variable => {
+    const value = readVariable(data, variable);
+    return value === undefined || value === null || value === '';
+  });
+};
+
+/**
+ * Compiles a template. Values are HTML-escaped unless output with triple braces ({{{html}}});
+ * missing values render as empty strings.
+ * @param {string} source
+ * @param {object} [options]
+ * @param {boolean} [options.escapeHtml=true] - false for plain text such as subjects.
+ * @param {object} [options.partials] - Compiled partials the template may include, keyed by name.
+ * @returns {(data: object) => string}
+ */
+export const compileTemplate = (source, { escapeHtml = true, partials } = {}) => {
+  const template = handlebars.compile(String(source ?? ''), { noEscape: !escapeHtml });
+  return partials ? (data) => template(data, { partials }) : template;
+};
+
+/**
+ * Renders a template once.
+ * @param {string} source
+ * @param {object} data
+ * @param {object} [options] - See `compileTemplate`.
+ * @returns {string}
+ */
+export const renderTemplate = (source, data, options) => compileTemplate(source, options)(data);
+
+/**
+ * Builds the template variables of a form submission: its form columns, custom fields, form type and location.
+ * @param {object|null} submission - The Form document.
+ * @returns {object}
+ */
+export const submissionTemplateVariables = (submission) => {
+  if (!submission) return {};
+  const variables = {};
+  for (const field of [...FORM_COLUMN_FIELDS, ...SUBMISSION_VARIABLE_FIELDS]) {
+    if (submission[field] !== undefined && submission[field] !== null) variables[field] = submission[field];
+  }
+  return { ...(submission.customFields || {}), ...variables };
+};
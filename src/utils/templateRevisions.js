@@ -0,0 +1,101 @@
+// src/utils/templateRevisions.js
+import { createTwoFilesPatch, diffLines } from 'diff';
+import { TemplateRevision } from '../models/TemplateRevision.model.js';
+
+// Template fields copied into each revision and restored by a rollback
+export const TEMPLATE_REVISION_FIELDS = ['templateName', 'subject', 'htmlContent', 'type', 'description', 'layout', 'attachments'];
+
+// Fields compared as single values in diffs (htmlContent gets a line diff, attachments a set diff)
+const SCALAR_DIFF_FIELDS = ['templateName', 'subject', 'type', 'description', 'layout'];
+
+/**
+ * Stores the current state of a template as its revision `template.currentRevision`.
+ * Callers increment `currentRevision` in the same write that changes the template, so concurrent saves
+ * get distinct revision numbers.
+ * @param {import('express').Request|null} req - The request saving the template (for the author); null in migrations.
+ * @param {object} template - The saved Template document.
+ * @param {object} options
+ * @param {'create'|'update'|'rollback'} options.action
+ * @param {number} [options.rolledBackFrom] - Revision restored by a rollback.
+ * @returns {Promise<object>} The TemplateRevision document.
+ */
+export const saveTemplateRevision = async (req, template, { action, rolledBackFrom = null }) => {
+  const snapshot = {};
+  for (const field of TEMPLATE_REVISION_FIELDS) {
+    snapshot[field] = field === 'attachments'
+      ? (template.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        secure_url: attachment.secure_url,
+        public_id: attachment.public_id,
+        contentType: attachment.contentType,
+        size: attachment.size,
+      }))
+      : template[field];
+  }
+  return TemplateRevision.create({
+    template: template._id,
+    revision: template.currentRevision,
+    action,
+    rolledBackFrom,
+    ...snapshot,
+    author: req?.admin?.adminId || null,
+    authorEmail: req?.admin?.email || null,
+  });
+};
+
+/**
+ * Returns the revision to record on the email log of a template send. A send overriding the subject or
+ * the HTML content (unsaved edits, custom message) is not a revision of the template, so none is recorded.
+ * @param {object} template - The Template document.
+ * @param {object} overrides
+ * @param {string} [overrides.subject] - Subject sent instead of the template's.
+ * @param {string} [overrides.htmlContent] - HTML content sent instead of the template's.
+ * @returns {number|null}
+ */
+export const getSentTemplateRevision = (template, { subject, htmlContent } = {}) => (
+  !subject && !htmlContent ? template.currentRevision || null : null
+);
+
+/**
+ * Compares two revisions of a template.
+ * @param {object} from - The older TemplateRevision.
+ * @param {object} to - The newer TemplateRevision.
+ * @returns {{fields: object[], htmlContent: object, attachments: {added: object[], removed: object[]}}}
+ *   `fields`: [{ field, from, to }] for changed scalar fields; `htmlContent`: unified patch and line counts.
+ */
+export const diffTemplateRevisions = (from, to) => {
+  const fields = SCALAR_DIFF_FIELDS
+    .filter(field => String(from[field] ?? '') !== String(to[field] ?? '')) // String() also compares layout ObjectIds
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  const fromHtml = from.htmlContent || '';
+  const toHtml = to.htmlContent || '';
+  const changes = diffLines(fromHtml, toHtml);
+  const htmlContent = {
+    changed: fromHtml !== toHtml,
+    addedLines: changes.filter(change => change.added).reduce((sum, change) => sum + change.count, 0),
+    removedLines: changes.filter(change => change.removed).reduce((sum, change) => sum + change.count, 0),
+    patch: createTwoFilesPatch(`revision ${from.revision}`, `revision ${to.revision}`, fromHtml, toHtml),
+  };
+
+  // Attachments are identified by their Cloudinary public_id (or URL for attachments without one)
+  const attachmentKey = (attachment) => attachment.public_id || attachment.secure_url;
+  const fromKeys = new Set(from.attachments.map(attachmentKey));
+  const toKeys = new Set(to.attachments.map(attachmentKey));
+  const attachments = {
+    added: to.attachments.filter(attachment => !fromKeys.has(attachmentKey(attachment))),
+    removed: from.attachments.filter(attachment => !toKeys.has(attachmentKey(attachment))),
+  };
+
+  return { fields, htmlContent, attachments };
+};
+
+/**
+ * Lists the Cloudinary public IDs of every attachment a template's revisions reference.
+ * @param {import('mongoose').Types.ObjectId} templateId
+ * @returns {Promise<string[]>}
+ */
+export const findRevisionAttachmentIds = async (templateId) => {
+  const publicIds = await TemplateRevision.distinct('attachments.public_id', { template: templateId });
+  return publicIds.filter(publicId => publicId);
+};
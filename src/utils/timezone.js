@@ -0,0 +1,89 @@
+// src/utils/timezone.js
+
+/**
+ * Checks whether a string is an IANA timezone name (e.g. 'Asia/Kolkata') supported by the runtime.
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Returns the calendar date and wall-clock time of an instant in a timezone.
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} `month` is 1-based.
+ */
+export const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds (positive east of UTC).
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {number}
+ */
+const getTimezoneOffsetMs = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClockAsUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Converts a wall-clock time in a timezone to the corresponding instant.
+ * Out-of-range values roll over like `Date.UTC` (e.g. day 32 is the next month).
+ * Times skipped by a DST change resolve to the instant after the change.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} wallClock - `month` is 1-based.
+ * @param {string} timezone - IANA timezone.
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffsetMs(new Date(wallClockAsUtc), timezone);
+  const candidate = wallClockAsUtc - offset;
+  // The offset at the result may differ from the offset at the guess around DST changes
+  const correctedOffset = getTimezoneOffsetMs(new Date(candidate), timezone);
+  if (correctedOffset === offset) return new Date(candidate);
+  const corrected = wallClockAsUtc - correctedOffset;
+  if (getTimezoneOffsetMs(new Date(corrected), timezone) === correctedOffset) return new Date(corrected);
+  return new Date(Math.max(candidate, corrected)); // The wall-clock time doesn't exist (skipped by DST)
+};
+
+/**
+ * Returns the start of the day containing `date` and the start of the next day, in a timezone.
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone.
+ * @returns {{start: Date, end: Date}} `end` is exclusive.
+ */
+export const getDayBoundsInTimezone = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return {
+    start: zonedTimeToUtc({ year, month, day }, timezone),
+    end: zonedTimeToUtc({ year, month, day: day + 1 }, timezone),
+  };
+};
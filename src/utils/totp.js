@@ -0,0 +1,182 @@
+// src/utils/totp.js
+import crypto from 'crypto';
+import { TOTP_SETTINGS } from '../constants.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20; // 160-bit secret, as recommended by RFC 4226 for HMAC-SHA1
+const IV_BYTES = 12;
+
+/**
+ * Encodes a buffer as unpadded RFC 4648 base32 (the format authenticator apps expect).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (case-insensitive, padding and spaces ignored).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character in TOTP secret.');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Computes the TOTP code for a given time step (RFC 6238, HMAC-SHA1 with dynamic truncation).
+ * @param {Buffer} key - The decoded shared secret.
+ * @param {number} step - The time step counter.
+ * @returns {string} A zero-padded code of TOTP_SETTINGS.DIGITS digits.
+ */
+const codeForStep = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_SETTINGS.DIGITS).padStart(TOTP_SETTINGS.DIGITS, '0');
+};
+
+/**
+ * Returns the TOTP time step for a point in time.
+ * @param {number} [timestamp=Date.now()] - Milliseconds since the epoch.
+ * @returns {number}
+ */
+export const currentTotpStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_SETTINGS.PERIOD_SECONDS);
+
+/**
+ * Generates a new random TOTP shared secret.
+ * @returns {string} The secret, base32 encoded.
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Checks a TOTP code against a secret, allowing TOTP_SETTINGS.WINDOW_STEPS steps of clock drift
+ * in each direction. Codes are compared in constant time.
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The code entered by the admin.
+ * @returns {number|null} The matching time step (store it to reject replays), or null if the code is wrong.
+ */
+export const verifyTotp = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_SETTINGS.DIGITS}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentTotpStep();
+  for (let drift = -TOTP_SETTINGS.WINDOW_STEPS; drift <= TOTP_SETTINGS.WINDOW_STEPS; drift++) {
+    const expected = codeForStep(key, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the `otpauth://` provisioning URI that authenticator apps read from a QR code.
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} accountName - The admin's email.
+ * @returns {string}
+ */
+export const buildOtpAuthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || TOTP_SETTINGS.DEFAULT_ISSUER;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_SETTINGS.DIGITS),
+    period: String(TOTP_SETTINGS.PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Derives the AES-256 key used to encrypt TOTP secrets at rest.
+ * Uses TOTP_ENCRYPTION_KEY, falling back to JWT_SECRET so existing deployments keep working.
+ * @returns {Buffer}
+ */
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keyMaterial) throw new Error('TOTP_ENCRYPTION_KEY (or JWT_SECRET) must be set to use authenticator apps.');
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+/**
+ * Encrypts a TOTP secret for storage (AES-256-GCM).
+ * Unlike OTPs, the secret must be recoverable to compute codes, so it is encrypted rather than hashed.
+ * @param {string} secret - The base32 encoded secret.
+ * @returns {string} 'v1$<ivHex>$<authTagHex>$<ciphertextHex>'
+ */
+export const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return `v1$${iv.toString('hex')}$${cipher.getAuthTag().toString('hex')}$${ciphertext.toString('hex')}`;
+};
+
+/**
+ * Decrypts a TOTP secret produced by `encryptTotpSecret`.
+ * @param {string} encrypted - The stored value.
+ * @returns {string} The base32 encoded secret.
+ */
+export const decryptTotpSecret = (encrypted) => {
+  const [version, ivHex, authTagHex, ciphertextHex] = String(encrypted).split('$');
+  if (version !== 'v1' || !ivHex || !authTagHex || !ciphertextHex) {
+    throw new Error('Unsupported TOTP secret format.');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertextHex, 'hex')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generates one-time recovery codes (e.g. '3f9a1-0c7de') for when the authenticator app is lost.
+ * @returns {string[]} TOTP_SETTINGS.RECOVERY_CODE_COUNT plain codes; store only their hashes.
+ */
+export const generateRecoveryCodes = () =>
+  Array.from({ length: TOTP_SETTINGS.RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+/**
+ * Normalizes a recovery code typed by an admin (case, spaces and a missing dash are tolerated).
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeRecoveryCode = (code) => {
+  const compact = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return compact.length === 10 ? `${compact.slice(0, 5)}-${compact.slice(5)}` : compact;
+};
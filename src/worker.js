@@ -0,0 +1,39 @@
+// src/worker.js
+import dotenv from 'dotenv';
+dotenv.config(); // Load environment variables from .env file
+
+import mongoose from 'mongoose';
+import { connectToDatabase } from './db/dbConnect.js'; // Import the database connection function
+import { startEmailWorker, stopEmailWorker } from './workers/emailWorker.js'; // Import the email queue worker
+
+/**
+ * Standalone email queue worker (`npm run worker`), for deployments that set EMAIL_WORKER_MODE=external
+ * so API processes only enqueue emails. Several workers can run side by side: jobs are claimed atomically.
+ */
+const startWorker = async () => {
+  try {
+    await connectToDatabase();
+    console.log('✅ Database connected successfully!');
+
+    await startEmailWorker();
+  } catch (error) {
+    console.error('❌ Failed to start email worker:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Lets in-flight sends finish before exiting, so their EmailLogs are not left Pending.
+ * @param {string} signal
+ */
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping email worker...`);
+  await stopEmailWorker();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorker();
@@ -0,0 +1,257 @@
+// src/workers/emailWorker.js
+import os from 'os';
+import { EmailJob } from '../models/EmailJob.model.js';
+import { EmailLog } from '../models/EmailLog.model.js';
+import { deliverEmailLog, markEmailLogSent, markEmailLogFailed } from '../utils/mailer.js';
+import { enqueueEmail, getRetryDelayMs, onEmailEnqueued } from '../utils/emailQueue.js';
+import { EMAIL_QUEUE } from '../constants.js';
+
+// Identifies this worker in `lockedBy`, so a job's owner can be traced in the database
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let running = false;
+let pollTimer = null;
+let removeEnqueueListener = null;
+let polling = false;
+let pollAgain = false;
+const inFlight = new Set(); // Promises of the sends currently running
+
+/**
+ * Reads the number of emails sent in parallel (EMAIL_WORKER_CONCURRENCY, default EMAIL_QUEUE.CONCURRENCY).
+ * @returns {number}
+ */
+const getConcurrency = () => {
+  const configured = parseInt(process.env.EMAIL_WORKER_CONCURRENCY, 10);
+  return configured > 0 ? configured : EMAIL_QUEUE.CONCURRENCY;
+};
+
+/**
+ * Tells whether an SMTP error will fail again on retry (5xx response, e.g. unknown mailbox or rejected sender).
+ * Connection errors, timeouts and 4xx responses are temporary.
+ * @param {Error} error - Error thrown by Nodemailer.
+ * @returns {boolean}
+ */
+const isPermanentSmtpError = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Atomically claims the next due job: a queued job whose runAt has passed, or a job whose worker
+ * stopped without finishing it (lock older than the lock timeout).
+ * @returns {Promise<object|null>} The claimed job, or null if none is due.
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - EMAIL_QUEUE.LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedBy: WORKER_ID, lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Marks a job as finished, dropping the body of a sensitive email; it is deleted by the TTL index after the retention period.
+ * @param {object} job
+ * @param {'completed'|'dead'} status
+ * @param {string|null} lastError
+ */
+const finishJob = async (job, status, lastError) => {
+  const now = new Date();
+  await EmailJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    {
+      $set: {
+        status,
+        lastError,
+        lockedBy: null,
+        lockedAt: null,
+        completedAt: now,
+        expiresAt: new Date(now.getTime() + EMAIL_QUEUE.COMPLETED_RETENTION_MS),
+      },
+      $unset: { content: '' },
+    }
+  );
+};
+
+/**
+ * Sends the email of a claimed job and records the outcome on the job and its EmailLog.
+ * Temporary failures are retried with exponential backoff until `maxAttempts`; permanent SMTP errors
+ * and exhausted retries move the job to 'dead' and the log to 'Failed'.
+ * @param {object} job - A job claimed by this worker.
+ */
+const processJob = async (job) => {
+  const emailLog = await EmailLog.findById(job.emailLog);
+  if (!emailLog) {
+    await finishJob(job, 'dead', 'Email log no longer exists.');
+    return;
+  }
+  if (!['Pending', 'Scheduled'].includes(emailLog.overallStatus)) {
+    // Already settled (e.g. sent by a worker that crashed before completing the job) or cancelled
+    await finishJob(job, 'completed', null);
+    return;
+  }
+
+  emailLog.overallStatus = 'Pending'; // A scheduled email is due: it is now being sent
+  emailLog.attempts = job.attempts;
+  try {
+    const info = await deliverEmailLog(emailLog, job.content);
+    await markEmailLogSent(emailLog, info);
+    await finishJob(job, 'completed', null);
+    console.log(`Email sent (Log ID: ${emailLog._id}, attempt ${job.attempts}): ${info.messageId}`);
+  } catch (error) {
+    const errorMessage = error.message || String(error);
+    if (isPermanentSmtpError(error) || job.attempts >= job.maxAttempts) {
+      console.error(`Email delivery failed permanently (Log ID: ${emailLog._id}, attempt ${job.attempts}):`, errorMessage);
+      await markEmailLogFailed(emailLog, errorMessage);
+      await finishJob(job, 'dead', errorMessage);
+      return;
+    }
+
+    const runAt = new Date(Date.now() + getRetryDelayMs(job.attempts));
+    console.warn(`Email delivery failed (Log ID: ${emailLog._id}, attempt ${job.attempts}), retrying at ${runAt.toISOString()}:`, errorMessage);
+    emailLog.errorLog = errorMessage;
+    emailLog.nextAttemptAt = runAt;
+    await emailLog.save(); // The log stays 'Pending' until the retries are exhausted
+    await EmailJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { status: 'queued', runAt, lastError: errorMessage, lockedBy: null, lockedAt: null } }
+    );
+  }
+};
+
+/**
+ * Claims and starts due jobs until the concurrency limit is reached or no job is due.
+ * Concurrent calls are coalesced: a call made while polling triggers one more pass afterwards.
+ */
+const poll = async () => {
+  if (polling) {
+    pollAgain = true;
+    return;
+  }
+  polling = true;
+  try {
+    do {
+      pollAgain = false;
+      while (running && inFlight.size < getConcurrency()) {
+        const job = await claimNextJob();
+        if (!job) break;
+        const task = processJob(job)
+          .catch(error => console.error(`Email worker failed to process job ${job._id}:`, error))
+          .finally(() => {
+            inFlight.delete(task);
+            if (running) poll(); // A slot is free: look for the next due job right away
+          });
+        inFlight.add(task);
+      }
+    } while (pollAgain && running);
+  } catch (error) {
+    console.error('Email worker failed to claim jobs:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Recovers emails left behind by a crash or restart:
+ * - Jobs still locked by a worker after the lock timeout are put back in the queue.
+ * - Pending and Scheduled email logs older than EMAIL_QUEUE.STALE_PENDING_MS without a job (created before the
+ *   queue existed, or the process stopped between saving the log and enqueuing it) are enqueued for their
+ *   scheduled time or now; logs with a messageId were already accepted by the SMTP server and are marked 'Success'.
+ *   Logs due more than EMAIL_QUEUE.RECOVERY_MAX_AGE_MS ago are marked 'Failed' rather than sent that late, and so are
+ *   sensitive logs, whose real content only existed on the missing job.
+ * @returns {Promise<{requeuedJobs: number, enqueued: number, markedSent: number, markedFailed: number}>}
+ */
+export const recoverStaleEmails = async () => {
+  const now = Date.now();
+  const summary = { requeuedJobs: 0, enqueued: 0, markedSent: 0, markedFailed: 0 };
+
+  const requeued = await EmailJob.updateMany(
+    { status: 'processing', lockedAt: { $lt: new Date(now - EMAIL_QUEUE.LOCK_TIMEOUT_MS) } },
+    { $set: { status: 'queued', runAt: new Date(now), lockedBy: null, lockedAt: null } }
+  );
+  summary.requeuedJobs = requeued.modifiedCount;
+
+  const staleLogs = await EmailLog.find({
+    overallStatus: { $in: ['Pending', 'Scheduled'] },
+    createdAt: { $lt: new Date(now - EMAIL_QUEUE.STALE_PENDING_MS) },
+  });
+
+  for (const emailLog of staleLogs) {
+    if (await EmailJob.exists({ emailLog: emailLog._id })) continue; // Handled by its job
+
+    if (emailLog.messageId) {
+      emailLog.overallStatus = 'Success';
+      await emailLog.save();
+      summary.markedSent++;
+      continue;
+    }
+
+    const dueAt = (emailLog.scheduledAt || emailLog.createdAt).getTime();
+    if (emailLog.isSensitive) {
+      await markEmailLogFailed(emailLog, 'Email was never sent: its content was lost with its queued job.');
+      summary.markedFailed++;
+    } else if (now - dueAt > EMAIL_QUEUE.RECOVERY_MAX_AGE_MS) {
+      await markEmailLogFailed(emailLog, 'Email was never sent: it stayed pending too long to be sent late.');
+      summary.markedFailed++;
+    } else {
+      await enqueueEmail(emailLog._id, { runAt: new Date(Math.max(dueAt, now)) });
+      summary.enqueued++;
+    }
+  }
+
+  if (summary.requeuedJobs || summary.enqueued || summary.markedSent || summary.markedFailed) {
+    console.log('Email worker recovered stale emails:', summary);
+  }
+  return summary;
+};
+
+/**
+ * Starts the email queue worker in this process: recovers stale emails, then polls for due jobs
+ * and picks up jobs enqueued by this process immediately.
+ * Requires an open database connection.
+ */
+export const startEmailWorker = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await recoverStaleEmails();
+  } catch (error) {
+    // Recovery is retried on the next start; the queue itself still works
+    console.error('Email worker failed to recover stale emails:', error);
+  }
+
+  removeEnqueueListener = onEmailEnqueued(() => {
+    if (running) poll();
+  });
+  pollTimer = setInterval(poll, EMAIL_QUEUE.POLL_INTERVAL_MS);
+  poll();
+  console.log(`📬 Email worker started (${WORKER_ID}, concurrency ${getConcurrency()})`);
+};
+
+/**
+ * Stops claiming new jobs and waits for in-flight sends (up to EMAIL_QUEUE.SHUTDOWN_TIMEOUT_MS).
+ * Sends still running after the timeout are reclaimed by another worker once their lock expires.
+ */
+export const stopEmailWorker = async () => {
+  if (!running) return;
+  running = false;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  if (removeEnqueueListener) removeEnqueueListener();
+  removeEnqueueListener = null;
+
+  let timeout;
+  await Promise.race([
+    Promise.allSettled([...inFlight]),
+    new Promise(resolve => { timeout = setTimeout(resolve, EMAIL_QUEUE.SHUTDOWN_TIMEOUT_MS); }),
+  ]);
+  clearTimeout(timeout);
+  console.log('Email worker stopped.');
+};
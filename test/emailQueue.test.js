@@ -0,0 +1,190 @@
+// test/emailQueue.test.js
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import nodemailer from 'nodemailer';
+import { EmailJob } from '../src/models/EmailJob.model.js';
+import { EmailLog } from '../src/models/EmailLog.model.js';
+import { enqueueEmail, getRetryDelayMs, onEmailEnqueued } from '../src/utils/emailQueue.js';
+import { EMAIL_QUEUE } from '../src/constants.js';
+
+// The mailer creates its SMTP transport when it is loaded: replace it before importing the mailer and the worker
+const transport = { sendMail: async () => ({ messageId: '<sent@test>', accepted: [], rejected: [] }) };
+mock.method(nodemailer, 'createTransport', () => transport);
+const { sendEmail } = await import('../src/utils/mailer.js');
+const { startEmailWorker, stopEmailWorker, recoverStaleEmails } = await import('../src/workers/emailWorker.js');
+
+/**
+ * Replaces the EmailJob and EmailLog collections with in-memory stores supporting what the worker does.
+ * @param {object} t - The test context.
+ * @returns {{jobs: object[], logs: Map<string, object>}}
+ */
+const mockQueueStore = (t) => {
+  const jobs = [];
+  const logs = new Map();
+  const findJob = (filter) => jobs.find(job => String(job._id) === String(filter._id) && (!('lockedBy' in filter) || job.lockedBy === filter.lockedBy));
+
+  t.mock.method(EmailJob, 'updateOne', async (filter, update) => {
+    if (update.$setOnInsert) {
+      if (!jobs.some(job => String(job.emailLog) === String(filter.emailLog))) {
+        jobs.push({ _id: new mongoose.Types.ObjectId(), attempts: 0, ...update.$setOnInsert });
+      }
+      return {};
+    }
+    const job = findJob(filter);
+    if (job) {
+      Object.assign(job, update.$set);
+      Object.keys(update.$unset || {}).forEach(field => delete job[field]);
+    }
+    return {};
+  });
+  t.mock.method(EmailJob, 'findOneAndUpdate', async (filter, update) => {
+    const job = jobs.find(candidate => candidate.status === 'queued' && candidate.runAt <= new Date());
+    if (!job) return null;
+    Object.assign(job, update.$set);
+    job.attempts += update.$inc.attempts;
+    return { ...job };
+  });
+  t.mock.method(EmailJob, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(EmailJob, 'exists', async (filter) => jobs.some(job => String(job.emailLog) === String(filter.emailLog)));
+  t.mock.method(EmailLog.prototype, 'save', async function () {
+    logs.set(String(this._id), this);
+    return this;
+  });
+  t.mock.method(EmailLog, 'findById', async (id) => logs.get(String(id)) || null);
+  t.mock.method(EmailLog, 'find', async () => []);
+  return { jobs, logs };
+};
+
+/**
+ * Runs the worker until `done()` returns true (or a second has passed), then stops it.
+ * @param {() => boolean} done
+ */
+const runWorkerUntil = async (done) => {
+  await startEmailWorker();
+  for (let waited = 0; !done() && waited < 1000; waited += 10) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await stopEmailWorker();
+};
+
+test('enqueueEmail keeps the existing job when a log is enqueued twice and notifies listeners', async (t) => {
+  const updateOne = t.mock.method(EmailJob, 'updateOne', async () => ({}));
+  const emailLogId = new mongoose.Types.ObjectId();
+  const runAt = new Date(Date.now() + 60 * 1000);
+  let notified = 0;
+  const removeListener = onEmailEnqueued(() => { notified++; });
+
+  await enqueueEmail(emailLogId, { runAt, content: { subject: 'Code', html: '<p>123456</p>', text: '123456' } });
+  removeListener();
+  await enqueueEmail(emailLogId);
+
+  const [filter, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { emailLog: emailLogId });
+  assert.deepEqual(options, { upsert: true });
+  assert.equal(update.$setOnInsert.status, 'queued');
+  assert.equal(update.$setOnInsert.runAt, runAt);
+  assert.equal(update.$setOnInsert.maxAttempts, EMAIL_QUEUE.MAX_ATTEMPTS);
+  assert.equal(update.$setOnInsert.content.text, '123456');
+  assert.equal(updateOne.mock.calls[1].arguments[1].$setOnInsert.content, undefined);
+  assert.equal(notified, 1);
+});
+
+test('retry delays grow exponentially with jitter and are capped', () => {
+  for (let attempts = 1; attempts <= 12; attempts++) {
+    const delay = Math.min(EMAIL_QUEUE.MAX_BACKOFF_MS, EMAIL_QUEUE.BASE_BACKOFF_MS * 2 ** (attempts - 1));
+    const actual = getRetryDelayMs(attempts);
+    assert.ok(actual >= delay * 0.8 && actual <= delay * 1.2, `attempt ${attempts}: ${actual}ms`);
+  }
+});
+
+test('the worker sends a queued email and marks its log and job as done', async (t) => {
+  const { jobs, logs } = mockQueueStore(t);
+  t.mock.method(console, 'log', () => {});
+  const sendMail = t.mock.method(transport, 'sendMail', async () => ({ messageId: '<sent@test>', accepted: ['a@example.com'], rejected: [] }));
+
+  const emailLogId = await sendEmail('a@example.com', 'Your code', '<p>Code: 123456</p>', [], null, null, null, { sensitiveValues: ['123456'] });
+  assert.equal(logs.get(String(emailLogId)).overallStatus, 'Pending');
+  await runWorkerUntil(() => jobs[0].status === 'completed');
+
+  const log = logs.get(String(emailLogId));
+  assert.equal(sendMail.mock.callCount(), 1);
+  assert.match(sendMail.mock.calls[0].arguments[0].html, /123456/);
+  assert.equal(log.overallStatus, 'Success');
+  assert.equal(log.messageId, '<sent@test>');
+  assert.equal(log.to[0].status, 'Success');
+  assert.equal(jobs[0].status, 'completed');
+  assert.equal(jobs[0].content, undefined);
+});
+
+test('a temporary failure puts the job back in the queue with a backoff', async (t) => {
+  const { jobs, logs } = mockQueueStore(t);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(transport, 'sendMail', async () => { throw Object.assign(new Error('Greylisted'), { responseCode: 451 }); });
+
+  const emailLogId = await sendEmail('a@example.com', 'Hello', '<p>Hello</p>');
+  const startedAt = Date.now();
+  await runWorkerUntil(() => jobs[0].attempts === 1 && jobs[0].status === 'queued');
+
+  const log = logs.get(String(emailLogId));
+  assert.equal(log.overallStatus, 'Pending');
+  assert.equal(log.errorLog, 'Greylisted');
+  assert.equal(jobs[0].lastError, 'Greylisted');
+  assert.ok(jobs[0].runAt.getTime() >= startedAt + EMAIL_QUEUE.BASE_BACKOFF_MS * 0.8);
+});
+
+test('a permanent SMTP error fails the email without retrying', async (t) => {
+  const { jobs, logs } = mockQueueStore(t);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const sendMail = t.mock.method(transport, 'sendMail', async () => { throw Object.assign(new Error('No such user'), { responseCode: 550 }); });
+
+  const emailLogId = await sendEmail('a@example.com', 'Hello', '<p>Hello</p>');
+  await runWorkerUntil(() => jobs[0].status === 'dead');
+
+  const log = logs.get(String(emailLogId));
+  assert.equal(sendMail.mock.callCount(), 1);
+  assert.equal(jobs[0].status, 'dead');
+  assert.equal(log.overallStatus, 'Failed');
+  assert.equal(log.to[0].status, 'Failed');
+});
+
+test('the last allowed attempt failing dead-letters the job', async (t) => {
+  const { jobs, logs } = mockQueueStore(t);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(transport, 'sendMail', async () => { throw new Error('Connection timeout'); });
+
+  const emailLogId = await sendEmail('a@example.com', 'Hello', '<p>Hello</p>');
+  jobs[0].attempts = EMAIL_QUEUE.MAX_ATTEMPTS - 1;
+  await runWorkerUntil(() => jobs[0].status === 'dead');
+
+  assert.equal(jobs[0].status, 'dead');
+  assert.equal(logs.get(String(emailLogId)).overallStatus, 'Failed');
+});
+
+test('recovery enqueues stale pending logs without a job and fails sensitive ones', async (t) => {
+  const { jobs } = mockQueueStore(t);
+  t.mock.method(console, 'log', () => {});
+  const createdAt = new Date(Date.now() - EMAIL_QUEUE.STALE_PENDING_MS - 60 * 1000);
+  const buildLog = (fields) => Object.assign(new EmailLog({
+    to: [{ email: 'a@example.com', status: 'Pending' }],
+    subject: 'Hello',
+    htmlContent: '<p>Hello</p>',
+    overallStatus: 'Pending',
+    ...fields,
+  }), { createdAt });
+  const plain = buildLog({});
+  const sensitive = buildLog({ isSensitive: true });
+  const alreadySent = buildLog({ messageId: '<sent@test>' });
+  t.mock.method(EmailLog, 'find', async () => [plain, sensitive, alreadySent]);
+
+  const summary = await recoverStaleEmails();
+
+  assert.deepEqual(summary, { requeuedJobs: 0, enqueued: 1, markedSent: 1, markedFailed: 1 });
+  assert.equal(jobs.length, 1);
+  assert.equal(String(jobs[0].emailLog), String(plain._id));
+  assert.equal(sensitive.overallStatus, 'Failed');
+  assert.equal(alreadySent.overallStatus, 'Success');
+});
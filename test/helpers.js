@@ -0,0 +1,61 @@
+// test/helpers.js
+// Tests run without a database: model methods are replaced with `t.mock.method` in each test.
+import { EmailLayout } from '../src/models/EmailLayout.model.js';
+import { EmailLog } from '../src/models/EmailLog.model.js';
+import { EmailJob } from '../src/models/EmailJob.model.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+/**
+ * Creates a stand-in for an Express response that records the status, JSON body, headers and cookies sent.
+ * @returns {object}
+ */
+export const createMockResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  headers: {},
+  cookies: {},
+  clearedCookies: [],
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  },
+  cookie(name, value, options) {
+    this.cookies[name] = { value, options };
+    return this;
+  },
+  clearCookie(name) {
+    this.clearedCookies.push(name);
+    return this;
+  },
+});
+
+/**
+ * Replaces the database calls made when an email is queued with `sendEmail`: no stored layouts or partials
+ * (the built-in ones are used), and saved EmailLogs and enqueued EmailJobs are collected instead.
+ * @param {object} t - The test context.
+ * @returns {{logs: object[], jobs: object[]}} The saved EmailLog documents and the `$setOnInsert` of each enqueued job.
+ */
+export const mockEmailQueue = (t) => {
+  const logs = [];
+  const jobs = [];
+  t.mock.method(EmailLayout, 'find', () => ({ select: async () => [] }));
+  t.mock.method(EmailLayout, 'findOne', () => ({ select: async () => null }));
+  t.mock.method(EmailLog.prototype, 'save', async function () {
+    logs.push(this);
+    return this;
+  });
+  t.mock.method(EmailJob, 'updateOne', async (filter, update) => {
+    if (update.$setOnInsert) jobs.push(update.$setOnInsert);
+    return {};
+  });
+  return { logs, jobs };
+};
@@ -0,0 +1,163 @@
+// test/idempotency.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { IdempotencyKey } from '../src/models/IdempotencyKey.model.js';
+import { idempotency } from '../src/middlewares/idempotency.middleware.js';
+import { IDEMPOTENCY } from '../src/constants.js';
+
+/**
+ * Replaces the IdempotencyKey collection with an in-memory store (unique on scope + key, like the real index).
+ * @param {object} t - The test context.
+ * @returns {Map<string, object>} The stored records by '<scope>|<key>'.
+ */
+const mockKeyStore = (t) => {
+  const records = new Map();
+  const id = (filter) => `${filter.scope}|${filter.key}`;
+  const byRecordId = (recordId) => [...records.values()].find(record => record._id === recordId);
+
+  t.mock.method(IdempotencyKey, 'create', async (doc) => {
+    if (records.has(id(doc))) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    const record = { _id: records.size + 1, status: 'in_progress', ...doc };
+    records.set(id(doc), record);
+    return record;
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async (filter) => records.get(id(filter)) || null);
+  t.mock.method(IdempotencyKey, 'findOneAndUpdate', async (filter, update) => {
+    const record = records.get(id(filter));
+    if (!record || record.status !== filter.status || !(record.lockedAt < filter.lockedAt.$lt)) return null;
+    return Object.assign(record, update.$set);
+  });
+  t.mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    Object.assign(byRecordId(filter._id) || {}, update.$set);
+    return {};
+  });
+  t.mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    const record = byRecordId(filter._id);
+    if (record && record.status === filter.status) records.delete(id(record));
+    return {};
+  });
+  return records;
+};
+
+/**
+ * Starts an app whose POST /send runs `handler` behind the idempotency middleware.
+ * @param {object} t - The test context (the server is closed when the test ends).
+ * @param {Function} handler - Express handler.
+ * @returns {Promise<(body: object, key?: string) => Promise<{status: number, headers: Headers, body: object}>>}
+ */
+const startApp = async (t, handler) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/send', idempotency({ ignoreFields: ['captchaToken'] }), handler);
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  return async (body, key) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key !== undefined && { 'Idempotency-Key': key }) },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+};
+
+/**
+ * Waits until the response 'finish' handlers have stored the outcome.
+ */
+const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('a retry with the same key replays the stored response without running the handler again', async (t) => {
+  mockKeyStore(t);
+  let runs = 0;
+  const send = await startApp(t, (req, res) => res.status(201).json({ run: ++runs }));
+
+  const first = await send({ to: 'a@example.com' }, 'key-1');
+  await settled();
+  const retry = await send({ to: 'a@example.com' }, 'key-1');
+
+  assert.equal(runs, 1);
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, { run: 1 });
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+});
+
+test('ignored fields may differ between retries, other fields may not', async (t) => {
+  mockKeyStore(t);
+  let runs = 0;
+  const send = await startApp(t, (req, res) => res.status(201).json({ run: ++runs }));
+
+  await send({ to: 'a@example.com', captchaToken: 'first' }, 'key-1');
+  await settled();
+  const sameRequest = await send({ captchaToken: 'second', to: 'a@example.com' }, 'key-1');
+  const otherRequest = await send({ to: 'b@example.com' }, 'key-1');
+
+  assert.equal(sameRequest.status, 201);
+  assert.equal(otherRequest.status, 422);
+  assert.equal(runs, 1);
+});
+
+test('a retry while the first request is still running gets 409 with Retry-After', async (t) => {
+  mockKeyStore(t);
+  let finishFirst;
+  const send = await startApp(t, (req, res) => {
+    finishFirst = () => res.status(201).json({ ok: true });
+  });
+
+  const first = send({ to: 'a@example.com' }, 'key-1');
+  await settled();
+  const retry = await send({ to: 'a@example.com' }, 'key-1');
+  finishFirst();
+  await first;
+
+  assert.equal(retry.status, 409);
+  assert.equal(retry.headers.get('retry-after'), String(Math.ceil(IDEMPOTENCY.RETRY_AFTER_MS / 1000)));
+});
+
+test('server errors are not stored, so the same key can be retried', async (t) => {
+  const records = mockKeyStore(t);
+  let runs = 0;
+  const send = await startApp(t, (req, res) => (++runs === 1
+    ? res.status(500).json({ success: false })
+    : res.status(201).json({ run: runs })));
+
+  assert.equal((await send({ to: 'a@example.com' }, 'key-1')).status, 500);
+  await settled();
+  assert.equal(records.size, 0);
+  const retry = await send({ to: 'a@example.com' }, 'key-1');
+
+  assert.equal(retry.status, 201);
+  assert.equal(runs, 2);
+});
+
+test('an abandoned attempt is taken over after the lock timeout', async (t) => {
+  const records = mockKeyStore(t);
+  let runs = 0;
+  const send = await startApp(t, (req, res) => res.status(201).json({ run: ++runs }));
+  await send({ to: 'a@example.com' }, 'key-1');
+  await settled();
+  const [record] = records.values();
+  Object.assign(record, { status: 'in_progress', lockedAt: new Date(Date.now() - IDEMPOTENCY.LOCK_TIMEOUT_MS - 1000) });
+
+  const retry = await send({ to: 'a@example.com' }, 'key-1');
+
+  assert.equal(retry.status, 201);
+  assert.equal(runs, 2);
+});
+
+test('requests without a key are not affected and invalid keys are rejected', async (t) => {
+  const records = mockKeyStore(t);
+  let runs = 0;
+  const send = await startApp(t, (req, res) => res.status(201).json({ run: ++runs }));
+
+  await send({ to: 'a@example.com' });
+  await send({ to: 'a@example.com' });
+  const invalid = await send({ to: 'a@example.com' }, ' ');
+
+  assert.equal(runs, 2);
+  assert.equal(records.size, 0);
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,52 @@
+// test/otp.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { mockEmailQueue } from './helpers.js';
+import { Admin } from '../src/models/Admin.model.js';
+import { generateOtp, hashSecret, verifySecret } from '../src/utils/otp.js';
+import { issueOtp } from '../src/utils/otpChallenge.js';
+
+test('generateOtp returns 6 digits, keeping leading zeros', () => {
+  for (let i = 0; i < 200; i++) {
+    assert.match(generateOtp(), /^\d{6}$/);
+  }
+});
+
+test('hashSecret salts every hash and verifySecret only accepts the hashed secret', async () => {
+  const first = await hashSecret('042917');
+  const second = await hashSecret('042917');
+
+  assert.match(first, /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+  assert.ok(!first.includes('042917'));
+  assert.notEqual(first, second);
+  assert.equal(await verifySecret('042917', first), true);
+  assert.equal(await verifySecret(' 042917 ', first), true);
+  assert.equal(await verifySecret('042918', first), false);
+  assert.equal(await verifySecret('', first), false);
+});
+
+test('verifySecret rejects plain-text and malformed stored values', async () => {
+  assert.equal(await verifySecret('042917', '042917'), false);
+  assert.equal(await verifySecret('042917', 'scrypt$abc'), false);
+  assert.equal(await verifySecret('042917', null), false);
+});
+
+test('an issued OTP is stored only as a hash and redacted from the email log', async (t) => {
+  const admin = { _id: new mongoose.Types.ObjectId(), email: 'owner@example.com', otpRecipients: [] };
+  const { logs, jobs } = mockEmailQueue(t);
+  t.mock.method(Admin, 'findOneAndUpdate', async () => admin);
+  const updateOne = t.mock.method(Admin, 'updateOne', async () => ({}));
+  t.mock.method(console, 'log', () => {});
+
+  const result = await issueOtp(admin);
+
+  assert.equal(result.ok, true);
+  const otp = jobs[0].content.html.match(/>\s*(\d{6})\s*</)[1];
+  const { $set } = updateOne.mock.calls[0].arguments[1];
+  assert.equal(await verifySecret(otp, $set.otpHash), true);
+  assert.ok(!JSON.stringify($set).includes(otp));
+  assert.equal(logs[0].isSensitive, true);
+  assert.ok(!logs[0].htmlContent.includes(otp));
+  assert.ok(!logs[0].textContent.includes(otp));
+});
@@ -0,0 +1,156 @@
+// test/otpChallenge.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { mockEmailQueue } from './helpers.js';
+import { Admin } from '../src/models/Admin.model.js';
+import { hashSecret } from '../src/utils/otp.js';
+import { issueOtp, checkOtp } from '../src/utils/otpChallenge.js';
+import { OTP_SECURITY } from '../src/constants.js';
+
+/**
+ * Builds an Admin-like object that has never requested an OTP.
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+const buildAdmin = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'owner@example.com',
+  otpRecipients: [],
+  otpAttempts: 0,
+  otpRequestCount: 0,
+  lockoutUntil: null,
+  lastOtpRequestedAt: null,
+  otpRequestWindowStartedAt: null,
+  save: async function () { return this; },
+  ...overrides,
+});
+
+test('issueOtp refuses requests within the resend cooldown without touching the database', async (t) => {
+  const admin = buildAdmin({ lastOtpRequestedAt: new Date(Date.now() - 1000) });
+  const findOneAndUpdate = t.mock.method(Admin, 'findOneAndUpdate', async () => admin);
+  const { jobs } = mockEmailQueue(t);
+
+  const result = await issueOtp(admin);
+
+  assert.equal(result.status, 429);
+  assert.ok(result.retryAfter > 0 && result.retryAfter <= OTP_SECURITY.RESEND_COOLDOWN_MS / 1000);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(jobs.length, 0);
+});
+
+test('issueOtp refuses requests over the per-email limit until the window ends', async (t) => {
+  const windowStartedAt = new Date(Date.now() - 10 * 60 * 1000);
+  const admin = buildAdmin({
+    lastOtpRequestedAt: new Date(Date.now() - OTP_SECURITY.RESEND_COOLDOWN_MS - 1000),
+    otpRequestWindowStartedAt: windowStartedAt,
+    otpRequestCount: OTP_SECURITY.MAX_REQUESTS_PER_WINDOW,
+  });
+  t.mock.method(Admin, 'findOneAndUpdate', async () => admin);
+
+  const result = await issueOtp(admin);
+
+  assert.equal(result.status, 429);
+  assert.equal(result.message, "Too many OTP requests for this email. Please try again later.");
+  const windowEndsInSeconds = (windowStartedAt.getTime() + OTP_SECURITY.REQUEST_WINDOW_MS - Date.now()) / 1000;
+  assert.ok(Math.abs(result.retryAfter - windowEndsInSeconds) <= 1);
+});
+
+test('issueOtp refuses requests while the account is locked out', async (t) => {
+  const admin = buildAdmin({ lockoutUntil: new Date(Date.now() + 60 * 1000) });
+  t.mock.method(Admin, 'findOneAndUpdate', async () => admin);
+
+  const result = await issueOtp(admin);
+
+  assert.equal(result.status, 429);
+  assert.match(result.message, /Too many failed attempts/);
+});
+
+test('issueOtp records the request with the limits in the update filter', async (t) => {
+  const admin = buildAdmin();
+  const findOneAndUpdate = t.mock.method(Admin, 'findOneAndUpdate', async () => admin);
+  t.mock.method(Admin, 'updateOne', async () => ({}));
+  const { jobs } = mockEmailQueue(t);
+  t.mock.method(console, 'log', () => {});
+
+  const result = await issueOtp(admin);
+
+  assert.equal(result.ok, true);
+  assert.equal(jobs.length, 1);
+  const [filter] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filter._id, admin._id);
+  const conditions = JSON.stringify(filter.$and);
+  ['lockoutUntil', 'lastOtpRequestedAt', 'otpRequestWindowStartedAt', 'otpRequestCount'].forEach(field => {
+    assert.ok(conditions.includes(field), `filter checks ${field}`);
+  });
+});
+
+test('a request losing the race to a concurrent one sends no OTP', async (t) => {
+  const admin = buildAdmin();
+  t.mock.method(Admin, 'findOneAndUpdate', async () => null);
+  t.mock.method(Admin, 'findById', async () => ({ ...admin, lastOtpRequestedAt: new Date() }));
+  const updateOne = t.mock.method(Admin, 'updateOne', async () => ({}));
+  const { jobs } = mockEmailQueue(t);
+
+  const result = await issueOtp(admin);
+
+  assert.equal(result.status, 429);
+  assert.match(result.message, /requested recently/);
+  assert.equal(updateOne.mock.callCount(), 0);
+  assert.equal(jobs.length, 0);
+});
+
+test('checkOtp counts wrong guesses and reports the attempts left', async (t) => {
+  const admin = buildAdmin({ otpHash: await hashSecret('123456'), otpExpiresAt: new Date(Date.now() + 60 * 1000) });
+  const findByIdAndUpdate = t.mock.method(Admin, 'findByIdAndUpdate', async () => ({ otpAttempts: 1 }));
+
+  const result = await checkOtp(admin, '654321');
+
+  assert.equal(result.status, 401);
+  assert.equal(result.attemptsRemaining, OTP_SECURITY.MAX_VERIFY_ATTEMPTS - 1);
+  assert.deepEqual(findByIdAndUpdate.mock.calls[0].arguments[1], { $inc: { otpAttempts: 1 } });
+});
+
+test('checkOtp invalidates the OTP and locks the account out after too many wrong guesses', async (t) => {
+  const admin = buildAdmin({ otpHash: await hashSecret('123456'), otpExpiresAt: new Date(Date.now() + 60 * 1000) });
+  t.mock.method(Admin, 'findByIdAndUpdate', async () => ({ otpAttempts: OTP_SECURITY.MAX_VERIFY_ATTEMPTS }));
+  const updateOne = t.mock.method(Admin, 'updateOne', async () => ({}));
+
+  const result = await checkOtp(admin, '654321');
+
+  assert.equal(result.status, 429);
+  assert.equal(result.otpInvalidated, true);
+  const { $set } = updateOne.mock.calls[0].arguments[1];
+  assert.equal($set.otpHash, null);
+  assert.ok($set.lockoutUntil.getTime() > Date.now() + OTP_SECURITY.LOCKOUT_MS - 5000);
+});
+
+test('checkOtp refuses even the right OTP during a lockout', async (t) => {
+  const admin = buildAdmin({
+    otpHash: await hashSecret('123456'),
+    otpExpiresAt: new Date(Date.now() + 60 * 1000),
+    lockoutUntil: new Date(Date.now() + 60 * 1000),
+  });
+
+  const result = await checkOtp(admin, '123456');
+
+  assert.equal(result.status, 429);
+});
+
+test('checkOtp consumes a correct OTP so it cannot be used twice', async () => {
+  const admin = buildAdmin({ otpHash: await hashSecret('123456'), otpExpiresAt: new Date(Date.now() + 60 * 1000), otpAttempts: 2 });
+
+  assert.equal((await checkOtp(admin, '123456')).ok, true);
+  assert.equal(admin.otpHash, null);
+  assert.equal(admin.otpAttempts, 0);
+  assert.equal((await checkOtp(admin, '123456')).status, 401);
+});
+
+test('checkOtp rejects an expired OTP', async () => {
+  const admin = buildAdmin({ otpHash: await hashSecret('123456'), otpExpiresAt: new Date(Date.now() - 1000) });
+
+  const result = await checkOtp(admin, '123456');
+
+  assert.equal(result.status, 401);
+  assert.equal(result.otpInvalidated, true);
+});
@@ -0,0 +1,150 @@
+// test/refreshToken.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { createMockResponse } from './helpers.js';
+import { Session } from '../src/models/Session.model.js';
+import { Admin } from '../src/models/Admin.model.js';
+import { rotateRefreshToken } from '../src/utils/session.js';
+import { SESSION_SETTINGS } from '../src/constants.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'owner@example.com', active: true };
+
+/**
+ * Builds a session whose current refresh token is `<id>.current` and whose previous one is `<id>.previous`.
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+const buildSession = (overrides = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    admin: admin._id,
+    refreshTokenHash: hashToken(`${_id}.current`),
+    previousRefreshTokenHash: hashToken(`${_id}.previous`),
+    refreshTokenRotatedAt: new Date(),
+    expiresAt: new Date(Date.now() + SESSION_SETTINGS.SESSION_IDLE_TTL_MS),
+    absoluteExpiresAt: new Date(Date.now() + SESSION_SETTINGS.SESSION_MAX_LIFETIME_MS),
+    revokedAt: null,
+    ...overrides,
+  };
+};
+
+/**
+ * Replaces the Session and Admin lookups used by rotateRefreshToken.
+ * @param {object} t - The test context.
+ * @param {object|null} session - What Session.findById resolves to.
+ * @param {object} [options]
+ * @param {boolean} [options.rotationWins=true] - Whether the conditional rotation update matches.
+ * @returns {{findOneAndUpdate: object, updateMany: object}} The mocks of the session writes.
+ */
+const mockSessionStore = (t, session, { rotationWins = true } = {}) => {
+  t.mock.method(Session, 'findById', () => ({ select: async () => session }));
+  t.mock.method(Admin, 'findById', async () => admin);
+  return {
+    findOneAndUpdate: t.mock.method(Session, 'findOneAndUpdate', async () => (rotationWins ? session : null)),
+    updateMany: t.mock.method(Session, 'updateMany', async () => ({ modifiedCount: 1 })),
+  };
+};
+
+test('a current refresh token is rotated and slides the idle expiry forward', async (t) => {
+  const session = buildSession({ expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+  const { findOneAndUpdate, updateMany } = mockSessionStore(t, session);
+  const res = createMockResponse();
+
+  const startedAt = Date.now();
+  const result = await rotateRefreshToken(res, `${session._id}.current`);
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.admin, admin);
+  const newRefreshToken = res.cookies.admin_refresh_token.value;
+  assert.notEqual(newRefreshToken, `${session._id}.current`);
+
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null });
+  assert.equal(update.$set.refreshTokenHash, hashToken(newRefreshToken));
+  assert.equal(update.$set.previousRefreshTokenHash, session.refreshTokenHash);
+  assert.ok(update.$set.expiresAt.getTime() >= startedAt + SESSION_SETTINGS.SESSION_IDLE_TTL_MS);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
+
+test('the sliding expiry never passes the absolute session lifetime', async (t) => {
+  const absoluteExpiresAt = new Date(Date.now() + 60 * 1000);
+  const session = buildSession({ absoluteExpiresAt });
+  const { findOneAndUpdate } = mockSessionStore(t, session);
+
+  await rotateRefreshToken(createMockResponse(), `${session._id}.current`);
+
+  assert.equal(findOneAndUpdate.mock.calls[0].arguments[1].$set.expiresAt.getTime(), absoluteExpiresAt.getTime());
+});
+
+test('the previous refresh token is accepted within the grace period (parallel tabs)', async (t) => {
+  const session = buildSession();
+  const { updateMany } = mockSessionStore(t, session);
+
+  const result = await rotateRefreshToken(createMockResponse(), `${session._id}.previous`);
+
+  assert.equal(result.error, undefined);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
+
+test('reusing a rotated-out refresh token revokes the session', async (t) => {
+  const session = buildSession({ refreshTokenRotatedAt: new Date(Date.now() - SESSION_SETTINGS.REFRESH_REUSE_GRACE_MS - 1000) });
+  const { findOneAndUpdate, updateMany } = mockSessionStore(t, session);
+  t.mock.method(console, 'warn', () => {});
+
+  const result = await rotateRefreshToken(createMockResponse(), `${session._id}.previous`);
+
+  assert.equal(result.error, 'REFRESH_TOKEN_REUSED');
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  const [filter, update] = updateMany.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: session._id, revokedAt: null });
+  assert.equal(update.$set.revokedReason, 'refresh_token_reuse');
+});
+
+test('an unknown refresh token for the session is treated as reuse', async (t) => {
+  const session = buildSession();
+  mockSessionStore(t, session);
+  t.mock.method(console, 'warn', () => {});
+
+  const result = await rotateRefreshToken(createMockResponse(), `${session._id}.forged`);
+
+  assert.equal(result.error, 'REFRESH_TOKEN_REUSED');
+});
+
+test('only one of two parallel refreshes rotates the token', async (t) => {
+  const session = buildSession();
+  mockSessionStore(t, session, { rotationWins: false });
+  const res = createMockResponse();
+
+  const result = await rotateRefreshToken(res, `${session._id}.current`);
+
+  assert.equal(result.error, 'REFRESH_CONFLICT');
+  assert.deepEqual(res.cookies, {});
+});
+
+test('refresh tokens of revoked, expired or unknown sessions are refused', async (t) => {
+  const revoked = buildSession({ revokedAt: new Date() });
+  mockSessionStore(t, revoked);
+  assert.equal((await rotateRefreshToken(createMockResponse(), `${revoked._id}.current`)).error, 'SESSION_REVOKED');
+
+  const expired = buildSession({ expiresAt: new Date(Date.now() - 1000) });
+  mockSessionStore(t, expired);
+  assert.equal((await rotateRefreshToken(createMockResponse(), `${expired._id}.current`)).error, 'SESSION_EXPIRED');
+
+  assert.equal((await rotateRefreshToken(createMockResponse(), 'not-a-token')).error, 'INVALID_REFRESH_TOKEN');
+});
+
+test('refreshing a deactivated admin\'s session revokes it', async (t) => {
+  const session = buildSession();
+  const { updateMany } = mockSessionStore(t, session);
+  t.mock.method(Admin, 'findById', async () => ({ ...admin, active: false }));
+
+  const result = await rotateRefreshToken(createMockResponse(), `${session._id}.current`);
+
+  assert.equal(result.error, 'SESSION_REVOKED');
+  assert.equal(updateMany.mock.calls[0].arguments[1].$set.revokedReason, 'admin_deactivated');
+});
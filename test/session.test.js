@@ -0,0 +1,95 @@
+// test/session.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { createMockResponse } from './helpers.js';
+import { Session } from '../src/models/Session.model.js';
+import { Admin } from '../src/models/Admin.model.js';
+import { startLoginSession, revokeSessions, getRefreshTokenSessionId } from '../src/utils/session.js';
+import { authMiddleware } from '../src/middlewares/auth.middleware.js';
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'owner@example.com', role: 'owner', active: true };
+
+const loginRequest = () => ({ headers: { 'user-agent': 'test-browser' }, ip: '203.0.113.7', socket: {} });
+
+test('every login starts its own session and stores only the refresh token hash', async (t) => {
+  const saved = [];
+  t.mock.method(Session.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+
+  const first = createMockResponse();
+  const second = createMockResponse();
+  const firstLogin = await startLoginSession(loginRequest(), first, admin);
+  const secondLogin = await startLoginSession(loginRequest(), second, admin);
+
+  assert.equal(saved.length, 2);
+  assert.notEqual(String(firstLogin.sessionId), String(secondLogin.sessionId));
+
+  const refreshToken = first.cookies.admin_refresh_token.value;
+  assert.equal(getRefreshTokenSessionId(refreshToken), String(firstLogin.sessionId));
+  assert.equal(saved[0].refreshTokenHash, crypto.createHash('sha256').update(refreshToken).digest('hex'));
+  assert.equal(saved[0].ip, '203.0.113.7');
+  assert.equal(saved[0].userAgent, 'test-browser');
+  assert.equal(jwt.verify(first.cookies.admin_token.value, process.env.JWT_SECRET).sessionId, String(firstLogin.sessionId));
+});
+
+test('revokeSessions only revokes sessions that are still active', async (t) => {
+  const updateMany = t.mock.method(Session, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+  const revoked = await revokeSessions({ admin: admin._id }, 'logout_all');
+
+  assert.equal(revoked, 3);
+  const [filter, update] = updateMany.mock.calls[0].arguments;
+  assert.deepEqual(filter, { admin: admin._id, revokedAt: null });
+  assert.equal(update.$set.revokedReason, 'logout_all');
+});
+
+/**
+ * Runs authMiddleware for an access token of the given session.
+ * @param {object} t - The test context.
+ * @param {object|null} session - What Session.findOne resolves to.
+ * @param {object} [payload] - Claims overriding the token's defaults.
+ * @returns {Promise<{res: object, nextCalled: boolean}>}
+ */
+const authenticate = async (t, session, payload = {}) => {
+  t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(Session, 'updateOne', async () => ({}));
+  t.mock.method(Admin, 'findById', async () => admin);
+
+  const token = jwt.sign({ adminId: admin._id, email: admin.email, sessionId: session?._id, ...payload }, process.env.JWT_SECRET);
+  const res = createMockResponse();
+  let nextCalled = false;
+  await authMiddleware({ cookies: { admin_token: token }, ip: '203.0.113.7', socket: {} }, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+};
+
+test('authMiddleware accepts an access token whose session is active', async (t) => {
+  const session = { _id: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() + 60000), lastSeenAt: new Date() };
+
+  const { res, nextCalled } = await authenticate(t, session);
+
+  assert.equal(nextCalled, true);
+  assert.equal(res.body, undefined);
+});
+
+test('authMiddleware rejects an access token whose session was revoked on another device', async (t) => {
+  const session = { _id: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() + 60000), lastSeenAt: new Date(), revokedAt: new Date() };
+
+  const { res, nextCalled } = await authenticate(t, session);
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'SESSION_REVOKED');
+  assert.deepEqual(res.clearedCookies, ['admin_token', 'admin_refresh_token']);
+});
+
+test('authMiddleware rejects access tokens issued before multi-device sessions', async (t) => {
+  const { res, nextCalled } = await authenticate(t, null, { sessionId: undefined });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.body.code, 'SESSION_REVOKED');
+});